@@ -0,0 +1,86 @@
+/**
+ * Declarations for the ES module entry point (DataStore.mjs), see DataStore.d.ts.
+ */
+import DataStore = require('./DataStore.js')
+
+export default DataStore
+
+export import createDataStoreRoot = DataStore.createDataStoreRoot
+export import formatPrometheusMetrics = DataStore.formatPrometheusMetrics
+export import VALID_NAMESPACE_FORMAT = DataStore.VALID_NAMESPACE_FORMAT
+export import VALID_COLLECTION_NAME_FORMAT = DataStore.VALID_COLLECTION_NAME_FORMAT
+export import SCOPE_DELEGATE = DataStore.SCOPE_DELEGATE
+export import SCOPE_COLLECTIONSONLY = DataStore.SCOPE_COLLECTIONSONLY
+export import SCOPE_READONLY = DataStore.SCOPE_READONLY
+export import SCOPE_WRITEONLY = DataStore.SCOPE_WRITEONLY
+export import MEMORY_CONNECTION_STRING = DataStore.MEMORY_CONNECTION_STRING
+export import DEFAULT_DBNAME = DataStore.DEFAULT_DBNAME
+export import AUDIT_COLLECTION_NAME = DataStore.AUDIT_COLLECTION_NAME
+export import NAMESPACE_REGISTRY_COLLECTION_NAME = DataStore.NAMESPACE_REGISTRY_COLLECTION_NAME
+export import InvalidCollectionNameError = DataStore.InvalidCollectionNameError
+export import DataStoreExistsError = DataStore.DataStoreExistsError
+export import SchemaLockedError = DataStore.SchemaLockedError
+export import MigrationError = DataStore.MigrationError
+export import MigrationLockTimeoutError = DataStore.MigrationLockTimeoutError
+export import ForbiddenOperationError = DataStore.ForbiddenOperationError
+export import ScopeEscalationError = DataStore.ScopeEscalationError
+export import QuotaExceededError = DataStore.QuotaExceededError
+export import TransactionsNotSupportedError = DataStore.TransactionsNotSupportedError
+export import ArchiveFormatError = DataStore.ArchiveFormatError
+export import AlreadyInitializedError = DataStore.AlreadyInitializedError
+export import NotInitializedError = DataStore.NotInitializedError
+export import InvalidNamespaceError = DataStore.InvalidNamespaceError
+export import InvalidScopeError = DataStore.InvalidScopeError
+export import DiscardedDataStoreError = DataStore.DiscardedDataStoreError
+export import RevokedDataStoreError = DataStore.RevokedDataStoreError
+export import EncryptionError = DataStore.EncryptionError
+
+export import Scope = DataStore.Scope
+export import ScopeInput = DataStore.ScopeInput
+export import DataStore = DataStore.DataStore
+export import BaseDataStore = DataStore.BaseDataStore
+export import DelegateDataStore = DataStore.DelegateDataStore
+export import DelegateMethods = DataStore.DelegateMethods
+export import RootDataStore = DataStore.RootDataStore
+export import RootOptions = DataStore.RootOptions
+export import Quota = DataStore.Quota
+export import Usage = DataStore.Usage
+export import NamespaceDescription = DataStore.NamespaceDescription
+export import CollectionDescription = DataStore.CollectionDescription
+export import SchemaOptions = DataStore.SchemaOptions
+export import SchemaInfo = DataStore.SchemaInfo
+export import IndexSpec = DataStore.IndexSpec
+export import EnsureIndexesOptions = DataStore.EnsureIndexesOptions
+export import EnsureIndexesReport = DataStore.EnsureIndexesReport
+export import Migration = DataStore.Migration
+export import MigrateOptions = DataStore.MigrateOptions
+export import MigrationReport = DataStore.MigrationReport
+export import Transaction = DataStore.Transaction
+export import WatchOptions = DataStore.WatchOptions
+export import DataStoreChangeStream = DataStore.DataStoreChangeStream
+export import ExportSummary = DataStore.ExportSummary
+export import ImportOptions = DataStore.ImportOptions
+export import ImportSummary = DataStore.ImportSummary
+export import GetDataStoreOptions = DataStore.GetDataStoreOptions
+export import NamespaceMetadata = DataStore.NamespaceMetadata
+export import NamespaceEntry = DataStore.NamespaceEntry
+export import ListNamespacesOptions = DataStore.ListNamespacesOptions
+export import RetryOptions = DataStore.RetryOptions
+export import AuditEntry = DataStore.AuditEntry
+export import AuditOptions = DataStore.AuditOptions
+export import BackendOptions = DataStore.BackendOptions
+export import Credentials = DataStore.Credentials
+export import CommandEvent = DataStore.CommandEvent
+export import MetricsOptions = DataStore.MetricsOptions
+export import SlowCommand = DataStore.SlowCommand
+export import CommandMetrics = DataStore.CommandMetrics
+export import Metrics = DataStore.Metrics
+export import EncryptionKeys = DataStore.EncryptionKeys
+export import EncryptionOptions = DataStore.EncryptionOptions
+export import GetCollectionOptions = DataStore.GetCollectionOptions
+export import ReencryptReport = DataStore.ReencryptReport
+export import CredentialSource = DataStore.CredentialSource
+export import DiscardOptions = DataStore.DiscardOptions
+export import HealthReport = DataStore.HealthReport
+export import ConnectionEvent = DataStore.ConnectionEvent
+export import Topology = DataStore.Topology
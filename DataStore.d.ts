@@ -0,0 +1,566 @@
+import type { EventEmitter } from 'events'
+import type { Readable, Writable } from 'stream'
+import type {
+    ChangeStream, ChangeStreamDocument, ChangeStreamOptions, Collection, CreateCollectionOptions, Document,
+    IndexDescription, MongoClientOptions, ReadConcernLike, ResumeToken, TransactionOptions, WriteConcernSettings
+} from 'mongodb'
+
+/**
+ * Initializes the module and returns the root DataStore API object that can be used to delegate access to the DB.
+ *
+ * This is a wrapper around createDataStoreRoot that only allows one root to exist at a time.
+ *
+ * @param connectionString MongoDB connection string to use when connecting to the MongoDB server, or ':memory:'.
+ * @param options Optional settings, see createDataStoreRoot.
+ * @returns Top level DataStore for the system.
+ * @throws AlreadyInitializedError if called again before the root has been discarded.
+ */
+declare function DataStoreModule(connectionString: string, options?: DataStoreModule.RootOptions): Promise<DataStoreModule.RootDataStore>
+
+declare namespace DataStoreModule {
+
+    /**
+     * Names of the scopes that can be given to a DataStore.
+     */
+    type Scope = 'delegate' | 'collectionsOnly' | 'readOnly' | 'writeOnly'
+
+    /**
+     * A scope name, or an array of scope names to combine (e.g. ['delegate', 'readOnly']).
+     */
+    type ScopeInput = Scope | readonly Scope[]
+
+    /**
+     * Resolves to true if a scope includes 'delegate', false if it does not, and boolean if it cannot be known
+     * from the type (e.g. when the scope is only known to be a Scope, or an array of scope names of unknown length).
+     */
+    type IncludesDelegate<S extends ScopeInput> =
+        [S] extends [readonly (infer E)[]]
+            ? ('delegate' extends E ? (number extends S['length'] ? ([E] extends ['delegate'] ? true : boolean) : (Scope extends E ? boolean : true)) : false)
+            : ('delegate' extends S ? ([S] extends ['delegate'] ? true : boolean) : false)
+
+    /**
+     * A DataStore with the given scope. Only DataStores with the 'delegate' scope have the methods that
+     * manage child namespaces (getDataStore, listDataStores, lockSchema, dropDataStore and renameDataStore).
+     */
+    type DataStore<S extends ScopeInput = ScopeInput> =
+        [IncludesDelegate<S>] extends [true] ? DelegateDataStore
+            : [IncludesDelegate<S>] extends [false] ? BaseDataStore
+            : BaseDataStore & Partial<DelegateMethods>
+
+    /**
+     * Quota for a DataStore namespace, applies to the whole subtree of the namespace.
+     */
+    interface Quota {
+        maxCollections?: number
+        maxDocuments?: number
+        maxBytes?: number
+    }
+
+    interface Usage {
+        collections: number
+        documents: number
+        bytes: number
+        storageSize: number
+        indexSize: number
+    }
+
+    interface IndexDescriptionSummary {
+        name: string
+        key: Document
+        unique: boolean
+        size: number
+    }
+
+    interface CollectionDescription {
+        count: number
+        size: number
+        storageSize: number
+        totalIndexSize: number
+        indexes: IndexDescriptionSummary[]
+    }
+
+    interface NamespaceDescription {
+        namespace: string
+        collections: Record<string, CollectionDescription>
+        /** Only included for DataStores with the 'delegate' scope. */
+        dataStores?: Record<string, NamespaceDescription>
+        totals: {
+            collections: number
+            documents: number
+            size: number
+            storageSize: number
+            indexes: number
+            indexSize: number
+        }
+    }
+
+    interface SchemaOptions {
+        level?: 'off' | 'strict' | 'moderate'
+        action?: 'error' | 'warn'
+    }
+
+    interface SchemaInfo {
+        schema: Document
+        level: 'off' | 'strict' | 'moderate'
+        action: 'error' | 'warn'
+        /** True if the schema was locked by a parent DataStore. */
+        locked: boolean
+    }
+
+    /**
+     * Declared index, in the format used by createIndexes.
+     */
+    type IndexSpec = IndexDescription
+
+    interface EnsureIndexesOptions {
+        dropUndeclared?: boolean
+        dryRun?: boolean
+    }
+
+    interface EnsureIndexesReport {
+        created: string[]
+        changed: string[]
+        dropped: string[]
+        unchanged: string[]
+        undeclared: string[]
+    }
+
+    interface Migration<D = BaseDataStore> {
+        version: number
+        up: (dataStore: D) => Promise<unknown> | unknown
+        down?: (dataStore: D) => Promise<unknown> | unknown
+    }
+
+    interface MigrateOptions {
+        target?: number
+        lockTimeout?: number
+        lockTTL?: number
+    }
+
+    interface MigrationReport {
+        previousVersion: number
+        version: number
+        applied: number[]
+        reverted: number[]
+    }
+
+    /**
+     * Object passed to the function given to withTransaction.
+     */
+    interface Transaction {
+        /** Returns a collection bound to the transaction's session. */
+        getCollection<TSchema extends Document = Document>(name: string, collectionOptions?: GetCollectionOptions): Collection<TSchema>
+        /** Shorthand for getCollection. */
+        collection<TSchema extends Document = Document>(name: string, collectionOptions?: GetCollectionOptions): Collection<TSchema>
+    }
+
+    interface GetCollectionOptions {
+        /** Paths of fields to encrypt, requires the 'encryption' option of the root. */
+        encrypt?: string[]
+    }
+
+    interface ReencryptReport {
+        /** Number of documents that were updated. */
+        documents: number
+    }
+
+    interface WatchOptions extends ChangeStreamOptions {
+        /** Key to store resume tokens under, enables commitResumeToken. */
+        resumeTokenKey?: string
+    }
+
+    interface DataStoreChangeStream<TChange extends Document = ChangeStreamDocument> extends ChangeStream<Document, TChange> {
+        /** Only set if watch was called with a resumeTokenKey. */
+        commitResumeToken?: (token?: ResumeToken) => Promise<void>
+    }
+
+    interface ExportSummary {
+        collections: number
+        documents: number
+    }
+
+    interface ImportOptions {
+        mode?: 'merge' | 'replace'
+    }
+
+    interface ImportSummary extends ExportSummary {
+        /** Namespace the archive was exported from. */
+        namespace: string
+    }
+
+    /**
+     * Record of a namespace in the namespace registry.
+     */
+    interface NamespaceMetadata {
+        namespace: string
+        parent: string | null
+        /** Scope the namespace was last issued with, null if it has only been labeled. */
+        scope: Scope[] | null
+        createdAt: Date | null
+        updatedAt: Date | null
+        labels: Record<string, unknown>
+    }
+
+    interface NamespaceEntry extends NamespaceMetadata {
+        /** Number of collections belonging to the namespace itself. */
+        collections: number
+        /** True if the namespace has collections but no record. */
+        orphaned: boolean
+    }
+
+    interface ListNamespacesOptions {
+        /** Query filter for the records, orphaned namespaces are not included when a filter is given. */
+        filter?: Document
+        /** true to only list orphaned namespaces, false to only list recorded namespaces. */
+        orphaned?: boolean
+    }
+
+    interface GetDataStoreOptions {
+        quota?: Quota
+        /** Default read concern for the collections of the child, inherited from the parent if not set. */
+        readConcern?: ReadConcernLike
+        /** Default write concern for the collections of the child, inherited from the parent if not set. */
+        writeConcern?: WriteConcernSettings
+    }
+
+    /**
+     * Methods available on every DataStore.
+     */
+    interface BaseDataStore {
+        getNamespace(): string
+        getScope(): Scope[]
+        getCollection<TSchema extends Document = Document>(name: string, collectionOptions?: GetCollectionOptions): Collection<TSchema>
+        /** Shorthand for getCollection. */
+        collection<TSchema extends Document = Document>(name: string, collectionOptions?: GetCollectionOptions): Collection<TSchema>
+        createCollection<TSchema extends Document = Document>(name: string, schema?: Pick<CreateCollectionOptions, 'validator' | 'validationLevel' | 'validationAction'>): Promise<Collection<TSchema>>
+        setSchema(name: string, jsonSchema: Document, schemaOptions?: SchemaOptions): Promise<void>
+        getSchema(name: string): Promise<SchemaInfo | null>
+        dropCollection(name: string): Promise<boolean>
+        ensureIndexes(name: string, specs: IndexSpec[], indexOptions?: EnsureIndexesOptions): Promise<EnsureIndexesReport>
+        listCollections(): Promise<string[]>
+        describe(): Promise<NamespaceDescription>
+        getUsage(): Promise<Usage>
+        getQuota(): Quota | null
+        getMetadata(): Promise<NamespaceMetadata | null>
+        /** Merges labels into the record of the namespace, null removes a label. */
+        setLabels(labels: Record<string, unknown>): Promise<NamespaceMetadata>
+        /** Re-encrypts the encrypted fields of a collection with the current key. */
+        reencrypt(name: string, collectionOptions: GetCollectionOptions & { encrypt: string[] }): Promise<ReencryptReport>
+        migrate(migrations: Migration[], migrateOptions?: MigrateOptions): Promise<MigrationReport>
+        withTransaction<T>(fn: (tx: Transaction) => Promise<T>, transactionOptions?: TransactionOptions): Promise<T>
+        watch<TChange extends Document = ChangeStreamDocument>(pipeline?: Document[], watchOptions?: WatchOptions): Promise<DataStoreChangeStream<TChange>>
+        exportDataStore(target: Writable | string): Promise<ExportSummary>
+        importDataStore(source: Readable | string, importOptions?: ImportOptions): Promise<ImportSummary>
+        /**
+         * Revokes every DataStore issued for a child namespace (requires the 'delegate' scope), or this DataStore
+         * if no namespace is given.
+         */
+        revoke(namespace?: string): Promise<void>
+    }
+
+    /**
+     * Methods only available on DataStores with the 'delegate' scope.
+     */
+    interface DelegateMethods {
+        listDataStores(): Promise<string[]>
+        /**
+         * Creates a DataStore for a child namespace. The scope defaults to 'collectionsOnly' (with the same access
+         * restrictions as this DataStore).
+         */
+        getDataStore<const C extends ScopeInput = 'collectionsOnly'>(namespace: string, childScope?: C, childOptions?: GetDataStoreOptions): Promise<DataStore<C>>
+        lockSchema(namespace: string, name: string, jsonSchema: Document, schemaOptions?: SchemaOptions): Promise<void>
+        dropDataStore(namespace: string): Promise<string[]>
+        renameDataStore(oldNamespace: string, newNamespace: string): Promise<string[]>
+    }
+
+    interface DelegateDataStore extends BaseDataStore, DelegateMethods {}
+
+    interface RetryOptions {
+        retries?: number
+        minDelay?: number
+        maxDelay?: number
+        factor?: number
+        onRetry?: (attempt: { attempt: number, delay: number, error: Error }) => void
+    }
+
+    interface AuditEntry {
+        namespace: string
+        operation: string
+        collection: string | null
+        documentIds?: unknown[]
+        details?: Document
+        timestamp: Date
+    }
+
+    type AuditSink = ((entry: AuditEntry) => unknown) | { file: string }
+
+    interface AuditOptions {
+        writes?: boolean
+        collection?: boolean
+        sinks?: AuditSink[]
+        /** Called when a sink fails to record an entry, defaults to logging a warning to the console. */
+        onSinkError?: (error: Error, entry: AuditEntry) => void
+    }
+
+    /**
+     * A completed command, reported by backends when metrics are enabled.
+     */
+    interface CommandEvent {
+        collectionName: string
+        commandName: string
+        durationMS: number
+        error: Error | null
+        command: Document | null
+    }
+
+    interface BackendOptions {
+        dbName: string
+        retry: RetryOptions | null | undefined
+        emitter: EventEmitter
+        clientOptions: MongoClientOptions
+        /** Only set when metrics are enabled. */
+        onCommand?: (event: CommandEvent) => void
+    }
+
+    interface SlowCommand {
+        namespace: string
+        collection: string | null
+        command: string
+        durationMS: number
+        error: Error | null
+        /** The command document, if the backend provides it. */
+        commandDocument: Document | null
+    }
+
+    interface MetricsOptions {
+        /** Upper bounds of the latency histogram buckets, in milliseconds. */
+        buckets?: number[]
+        /** Commands that take longer than this are reported as slow (default 100), null disables reporting. */
+        slowCommandMS?: number | null
+        /** Called with each slow command, defaults to logging a warning to the console. */
+        onSlowCommand?: (entry: SlowCommand) => void
+    }
+
+    interface CommandMetrics {
+        namespace: string
+        collection: string | null
+        command: string
+        count: number
+        errors: number
+        latency: {
+            sumMS: number
+            /** Cumulative bucket counts, the last bucket has 'le' Infinity. */
+            buckets: { le: number, count: number }[]
+        }
+    }
+
+    interface Metrics {
+        since: Date
+        commands: CommandMetrics[]
+    }
+
+    /**
+     * Source of a credential: the value itself, an environment variable or a file (e.g. a Docker secret).
+     */
+    type CredentialSource = string | { env: string } | { file: string }
+
+    interface Credentials {
+        username?: CredentialSource
+        password?: CredentialSource
+        authSource?: string
+        mechanism?: MongoClientOptions['authMechanism']
+    }
+
+    /**
+     * Master keys returned by a key provider. Keys are 32 bytes long, given as Buffers or base64 strings.
+     */
+    interface EncryptionKeys {
+        /** ID of the key that new values are encrypted with. */
+        currentKeyId: string
+        keys: Record<string, Buffer | string>
+    }
+
+    interface EncryptionOptions {
+        keyProvider: () => EncryptionKeys | Promise<EncryptionKeys>
+    }
+
+    interface RootOptions {
+        /** Name of the database to use, defaults to DEFAULT_DBNAME ('DataStore'). */
+        dbName?: string
+        audit?: boolean | AuditOptions
+        retry?: RetryOptions
+        /** Options passed to the MongoClient. */
+        clientOptions?: MongoClientOptions
+        /** Credentials to authenticate with, override any credentials in clientOptions. */
+        credentials?: Credentials
+        metrics?: boolean | MetricsOptions
+        encryption?: EncryptionOptions
+        /** Creates a custom storage backend, see backends/index.js. */
+        backend?: (connectionString: string, backendOptions: BackendOptions) => unknown
+    }
+
+    interface DiscardOptions {
+        /** Drop the database before closing the connection. */
+        dropDb?: boolean
+    }
+
+    interface Topology {
+        type: string
+        servers: { address: string, type: string, roundTripTime?: number }[]
+    }
+
+    interface HealthReport {
+        ok: boolean
+        latencyMS: number
+        topology: Topology | null
+        error?: Error
+    }
+
+    interface ConnectionEvent {
+        topology: Topology | null
+    }
+
+    /**
+     * Methods only available on root DataStores.
+     */
+    interface RootMethods {
+        /** Closes the connection, after which the root and every DataStore under it reject all calls. */
+        discard(options?: DiscardOptions): Promise<void>
+        healthCheck(healthCheckOptions?: { timeoutMS?: number }): Promise<HealthReport>
+        listNamespaces(listOptions?: ListNamespacesOptions): Promise<NamespaceEntry[]>
+        on(event: 'connected' | 'disconnected' | 'reconnected', listener: (event: ConnectionEvent) => void): this
+        on(event: 'error', listener: (error: Error) => void): this
+    }
+
+    /**
+     * A root DataStore: an EventEmitter with the 'delegate' scope. getMetrics is only set when metrics are enabled,
+     * reloadEncryptionKeys when encryption is enabled, and getAuditLog when the audit log is enabled (and written to
+     * the audit collection).
+     */
+    type RootDataStore = Omit<EventEmitter, 'on'> & DelegateDataStore & RootMethods & {
+        getMetrics?: () => Promise<Metrics>
+        reloadEncryptionKeys?: () => Promise<void>
+        getAuditLog?: (filter?: Document, queryOptions?: { limit?: number }) => Promise<AuditEntry[]>
+    }
+
+    /**
+     * Creates a new root DataStore with its own connection, independent of the module-level root.
+     */
+    function createDataStoreRoot(connectionString: string, options?: RootOptions): Promise<RootDataStore>
+
+    /**
+     * Formats metrics returned by getMetrics in the Prometheus text exposition format.
+     */
+    function formatPrometheusMetrics(metrics: Metrics, formatOptions?: { prefix?: string }): string
+
+    const VALID_NAMESPACE_FORMAT: RegExp
+    const VALID_COLLECTION_NAME_FORMAT: RegExp
+    const SCOPE_DELEGATE: 'delegate'
+    const SCOPE_COLLECTIONSONLY: 'collectionsOnly'
+    const SCOPE_READONLY: 'readOnly'
+    const SCOPE_WRITEONLY: 'writeOnly'
+    const MEMORY_CONNECTION_STRING: ':memory:'
+    const DEFAULT_DBNAME: 'DataStore'
+    const AUDIT_COLLECTION_NAME: string
+    const NAMESPACE_REGISTRY_COLLECTION_NAME: string
+
+    class InvalidCollectionNameError extends Error {
+        constructor(collectionName: string, namespace: string)
+        collectionName: string
+        namespace: string
+    }
+
+    class DataStoreExistsError extends Error {
+        constructor(namespace: string)
+        namespace: string
+    }
+
+    class SchemaLockedError extends Error {
+        constructor(collectionName: string, lockedBy: string)
+        collectionName: string
+        lockedBy: string
+    }
+
+    class MigrationError extends Error {
+        constructor(message: string, namespace: string, version?: number)
+        namespace: string
+        version?: number
+    }
+
+    class MigrationLockTimeoutError extends Error {
+        constructor(namespace: string, timeout: number)
+        namespace: string
+        timeout: number
+    }
+
+    class ForbiddenOperationError extends Error {
+        constructor(namespace: string, operation: string, scope: Scope[])
+        namespace: string
+        operation: string
+        scope: Scope[]
+    }
+
+    class ScopeEscalationError extends Error {
+        constructor(namespace: string, scope: Scope[], parentScope: Scope[])
+        namespace: string
+        scope: Scope[]
+        parentScope: Scope[]
+    }
+
+    class QuotaExceededError extends Error {
+        constructor(namespace: string, limit: keyof Quota, max: number, usage: number)
+        namespace: string
+        limit: keyof Quota
+        max: number
+        usage: number
+    }
+
+    class TransactionsNotSupportedError extends Error {
+        constructor(namespace: string)
+        namespace: string
+    }
+
+    class ArchiveFormatError extends Error {
+        constructor(message: string)
+    }
+
+    class AlreadyInitializedError extends Error {
+        constructor()
+    }
+
+    class NotInitializedError extends Error {
+        constructor(namespace: string)
+        namespace: string
+    }
+
+    class InvalidNamespaceError extends Error {
+        constructor(namespace: unknown, parentNamespace: string)
+        namespace: unknown
+        parentNamespace: string
+    }
+
+    class InvalidScopeError extends Error {
+        constructor(scope: unknown, validScopes: Scope[], namespace: string)
+        scope: unknown
+        validScopes: Scope[]
+        namespace: string
+    }
+
+    class DiscardedDataStoreError extends Error {
+        constructor(namespace: string)
+        namespace: string
+    }
+
+    class RevokedDataStoreError extends Error {
+        constructor(namespace: string, revokedNamespace: string)
+        namespace: string
+        revokedNamespace: string
+    }
+
+    class EncryptionError extends Error {
+        constructor(message: string, namespace: string)
+        namespace: string
+    }
+}
+
+export = DataStoreModule
@@ -1,4 +1,27 @@
-const { MongoClient } = require('mongodb')
+const { EventEmitter } = require('events')
+const {
+    InvalidCollectionNameError, DataStoreExistsError, SchemaLockedError, MigrationError, MigrationLockTimeoutError,
+    ForbiddenOperationError, ScopeEscalationError, QuotaExceededError, TransactionsNotSupportedError, ArchiveFormatError,
+    AlreadyInitializedError, NotInitializedError, InvalidNamespaceError, InvalidScopeError, DiscardedDataStoreError,
+    RevokedDataStoreError, EncryptionError
+} = require('./errors')
+const { wrapCollection, signalError, restrictCollection, isolateCollection } = require('./collections')
+const { auditCollectionName, createAuditor, auditCollection } = require('./audit')
+const { validateQuota, checkQuotas, estimateWrite, enforceQuotas } = require('./quotas')
+const { memoryConnectionString, createBackend } = require('./backends')
+const { bindSession, requireTransactionSupport } = require('./transactions')
+const { exportCollections, importCollections } = require('./archive')
+const { validateIndexSpecs, diffIndexes } = require('./indexes')
+const { resumeTokenCollectionName, namespacePipeline, loadResumeToken, saveResumeToken } = require('./changeStreams')
+const { runMigrations } = require('./migrations')
+const { createHandle, findRevokedHandle, revokeIssued, trackChangeStream, closeRevokedChangeStreams } = require('./handles')
+const { resolveCredentials } = require('./credentials')
+const { registryCollectionName, createRegistry } = require('./namespaces')
+const { createMetrics, formatPrometheusMetrics } = require('./metrics')
+const {
+    createKeyring, createCipher, validateEncryptedFields, encryptCollection, reencryptCollection, containsEncryptedValues,
+    transferEncryptedValues
+} = require('./encryption')
 
 const defaultDbName = 'DataStore'
 
@@ -8,79 +31,1533 @@ const moduleState = {
 
 const scopes = {
     delegate: 'delegate',
-    collectionsOnly: 'collectionsOnly'
+    collectionsOnly: 'collectionsOnly',
+    readOnly: 'readOnly',
+    writeOnly: 'writeOnly'
 }
 
+/**
+ * Scopes that restrict access to collections. These can be combined with 'delegate' or 'collectionsOnly'.
+ */
+const accessScopes = [scopes.readOnly, scopes.writeOnly]
+
 const namespaceFormat = /^[a-z0-9\-_]+$/i
+const collectionNameFormat = /^[a-z0-9\-_]+$/i
+
+/**
+ * Prefix used for collections reserved for internal use by the DataStore (e.g. '#migrations').
+ * 
+ * The prefix is not allowed by the collection name format, so reserved collections cannot be accessed using getCollection.
+ */
+const reservedCollectionPrefix = '#'
+
+/**
+ * Validates a scope and converts it to a list of scope names.
+ * @param {string|string[]} scope A scope name, or an array of scope names to combine.
+ * @param {string} namespace Namespace of the DataStore that the scope is for.
+ * @returns Array of scope names.
+ * @throws InvalidScopeError if the scope is not valid.
+ */
+const normalizeScope = (scope, namespace) => {
+    let scopeList = Array.isArray(scope) ? scope : [scope]
+    let allScopes = Object.keys(scopes)
+
+    if (scopeList.length === 0 || scopeList.some(s => !allScopes.includes(s))) {
+        throw new InvalidScopeError(scope, allScopes, namespace)
+    }
+
+    return scopeList.filter((s, i) => scopeList.indexOf(s) === i)
+}
+
+/**
+ * Determines the read and write concerns of a child DataStore.
+ * 
+ * The child inherits the concerns of its parent, unless they are overridden in the options passed to getDataStore.
+ * Read concerns can be given as a level (e.g. 'majority') or as an object ({level}), write concerns as an object
+ * (e.g. {w: 'majority', wtimeoutMS: 5000}).
+ * 
+ * @param {object} concerns Concerns of the parent DataStore ({readConcern, writeConcern}).
+ * @param {object} childOptions Options passed to getDataStore.
+ * @returns Concerns of the child DataStore.
+ */
+const inheritConcerns = (concerns, childOptions) => {
+    let childConcerns = Object.assign({}, concerns)
+    if (!childOptions) {
+        return childConcerns
+    }
+
+    let readConcern = childOptions.readConcern
+    if (readConcern !== undefined) {
+        if (typeof readConcern === 'string') {
+            readConcern = { level: readConcern }
+        }
+        if (readConcern === null || typeof readConcern !== 'object' || typeof readConcern.level !== 'string') {
+            throw new Error(`Invalid read concern: ${JSON.stringify(childOptions.readConcern)}. The read concern should be a level or an object with 'level'.`)
+        }
+        childConcerns.readConcern = readConcern
+    }
+
+    let writeConcern = childOptions.writeConcern
+    if (writeConcern !== undefined) {
+        if (writeConcern === null || typeof writeConcern !== 'object') {
+            throw new Error(`Invalid write concern: ${JSON.stringify(writeConcern)}. The write concern should be an object with 'w', 'j' and/or 'wtimeoutMS'.`)
+        }
+        childConcerns.writeConcern = writeConcern
+    }
+
+    return childConcerns
+}
+
+/**
+ * Determines the rights granted by a scope.
+ * 
+ * The 'delegate' scope grants the right to create child DataStores. Collections can be both read and written,
+ * unless 'readOnly' and/or 'writeOnly' is included in the scope.
+ * 
+ * @param {string[]} scopeList Array of scope names, as returned by normalizeScope.
+ * @returns Object with 'delegate', 'read' and 'write' booleans.
+ */
+const scopeToRights = (scopeList) => {
+    let rights = {
+        delegate: scopeList.includes(scopes.delegate),
+        read: true,
+        write: true
+    }
+
+    if (scopeList.some(s => accessScopes.includes(s))) {
+        rights.read = scopeList.includes(scopes.readOnly)
+        rights.write = scopeList.includes(scopes.writeOnly)
+    }
+
+    return rights
+}
+
+/**
+ * Ensures that the root DataStore that a DataStore belongs to can be used.
+ * @param {object} state State of the root DataStore.
+ * @param {string} namespace Namespace of the DataStore being used.
+ * @throws NotInitializedError if the root has not finished initializing.
+ * @throws DiscardedDataStoreError if the root has been discarded.
+ */
+const checkState = (state, namespace) => {
+    if (state.status === 'discarded') {
+        throw new DiscardedDataStoreError(namespace)
+    }
+    if (state.status !== 'ready') {
+        throw new NotInitializedError(namespace)
+    }
+}
+
+/**
+ * Wraps methods of a DataStore so that a check is run before each call.
+ * 
+ * Errors thrown by the check are thrown by synchronous methods, and returned as rejected promises by async methods.
+ * Aliases (names referring to the same method, e.g. 'collection' and 'getCollection') share a single wrapper.
+ * 
+ * @param {object} dataStore The DataStore.
+ * @param {string[]} names Names of the methods to wrap.
+ * @param {function} check Function that throws if the DataStore cannot be used.
+ */
+const guardMethods = (dataStore, names, check) => {
+    let wrappers = new Map()
+    for (const name of names) {
+        let method = dataStore[name]
+        if (wrappers.has(method)) {
+            dataStore[name] = wrappers.get(method)
+            continue
+        }
+        let isAsync = method.constructor.name === 'AsyncFunction'
+        dataStore[name] = (...args) => {
+            try {
+                check()
+            } catch (e) {
+                if (isAsync) {
+                    return Promise.reject(e)
+                }
+                throw e
+            }
+            return method(...args)
+        }
+        wrappers.set(method, dataStore[name])
+    }
+}
+
+/**
+ * Wraps a collection so that it cannot be used once the DataStore that handed it out cannot be used.
+ * @param {Collection} collection Collection to wrap.
+ * @param {function} check Function that throws if the DataStore cannot be used.
+ * @returns The wrapped collection.
+ */
+const guardCollection = (collection, check) => {
+    return wrapCollection(collection, (method, args, invoke) => {
+        try {
+            check()
+        } catch (e) {
+            return signalError(method, e)
+        }
+        return invoke()
+    })
+}
+
+/**
+ * Ensures that a collection whose schema has been locked by a parent DataStore is not dropped or replaced, as it
+ * would be recreated without the schema when it is next written to.
+ * @param {object} state State of the root DataStore.
+ * @param {string} collectionName Full name of the collection.
+ * @throws SchemaLockedError if the schema of the collection has been locked.
+ */
+const requireUnlockedSchema = (state, collectionName) => {
+    let entry = state.schemas.get(collectionName)
+    if (entry && entry.lockedBy !== null) {
+        throw new SchemaLockedError(collectionName, entry.lockedBy)
+    }
+}
+
+/**
+ * Wraps a collection so that it cannot be dropped, renamed or replaced by a rename while its schema is locked.
+ * @param {Collection} collection Collection to wrap.
+ * @param {object} state State of the root DataStore.
+ * @param {string} collectionName Full name of the collection.
+ * @returns The wrapped collection.
+ */
+const protectLockedSchema = (collection, state, collectionName) => {
+    return wrapCollection(collection, (method, args, invoke) => {
+        try {
+            if (method === 'drop') {
+                requireUnlockedSchema(state, collectionName)
+            } else if (method === 'rename') {
+                requireUnlockedSchema(state, collectionName)
+                requireUnlockedSchema(state, args[0])
+            }
+        } catch (e) {
+            return signalError(method, e)
+        }
+        return invoke()
+    })
+}
+
+/**
+ * Loads the encryption ID of a namespace from the namespace registry, assigning one if it has none, so that
+ * DataStores for the namespace can encrypt and decrypt fields.
+ * @param {object} state State of the root DataStore.
+ * @param {string} namespace Full name of the namespace.
+ * @returns The encryption ID, or null if encryption is not enabled.
+ */
+const loadEncryptionId = async (state, namespace) => {
+    if (!state.keyring) {
+        return null
+    }
+    let encryptionId = await state.registry.ensureEncryptionId(namespace)
+    state.encryptionIds.set(namespace, encryptionId)
+    return encryptionId
+}
+
+/**
+ * Removes the loaded encryption IDs of a namespace and its descendants, after their registry records have been
+ * removed or moved. DataStores for these namespaces can no longer encrypt or decrypt fields.
+ * @param {object} state State of the root DataStore.
+ * @param {string} namespace Full name of the namespace.
+ * @returns Array of the removed [namespace, encryptionId] pairs.
+ */
+const forgetEncryptionIds = (state, namespace) => {
+    let removed = []
+    for (const entry of state.encryptionIds) {
+        if (entry[0] === namespace || entry[0].startsWith(namespace + '.')) {
+            removed.push(entry)
+        }
+    }
+    removed.forEach(([name]) => state.encryptionIds.delete(name))
+    return removed
+}
+
+/**
+ * Moves the loaded encryption IDs of a namespace and its descendants to a new namespace, after it has been renamed.
+ * @param {object} state State of the root DataStore.
+ * @param {string} oldNamespace Full name of the renamed namespace.
+ * @param {string} newNamespace Full name of the new namespace.
+ */
+const moveEncryptionIds = (state, oldNamespace, newNamespace) => {
+    for (const [namespace, encryptionId] of forgetEncryptionIds(state, oldNamespace)) {
+        state.encryptionIds.set(newNamespace + namespace.substring(oldNamespace.length), encryptionId)
+    }
+}
+
+/**
+ * Lists the full names of all collections under the given namespace, including those belonging to child namespaces.
+ * @param {object} backend Backend to list collections in.
+ * @param {string} namespace Namespace to list collections for.
+ * @returns Array of full collection names.
+ */
+const listCollectionNames = async (backend, namespace) => {
+    return await backend.listCollectionNames(namespace + '.')
+}
+
+/**
+ * Sorts a list of full collection names into the collections that belong directly to the namespace and
+ * the collections that belong to each of its child namespaces.
+ * 
+ * Names that do not match the collection name or namespace formats are ignored.
+ * 
+ * @param {string} namespace Namespace that the names were listed under.
+ * @param {string[]} names Full collection names, as returned by listCollectionNames.
+ * @returns Object with 'collections' (map of relative name to full name) and 'dataStores' (map of child namespace name to an array of full collection names).
+ */
+const groupCollectionNames = (namespace, names) => {
+    let collections = {}
+    let dataStores = {}
+
+    for (const name of names) {
+        let relativeName = name.substring(namespace.length + 1)
+        let separatorIndex = relativeName.indexOf('.')
+
+        if (separatorIndex === -1) {
+            if (collectionNameFormat.test(relativeName)) {
+                collections[relativeName] = name
+            }
+            continue
+        }
+
+        let childName = relativeName.substring(0, separatorIndex)
+        if (namespaceFormat.test(childName)) {
+            if (!dataStores[childName]) {
+                dataStores[childName] = []
+            }
+            dataStores[childName].push(name)
+        }
+    }
+
+    return { collections, dataStores }
+}
+
+/**
+ * Checks whether a collection exists.
+ * @param {object} backend Backend to look for the collection in.
+ * @param {string} collectionName Full name of the collection.
+ * @returns True if the collection exists, otherwise false.
+ */
+const collectionExists = async (backend, collectionName) => {
+    return (await backend.getCollectionOptions(collectionName)) !== null
+}
+
+/**
+ * Converts a schema registry entry to the validation options used by createCollection and collMod.
+ * @param {object} entry Schema registry entry.
+ * @returns Object with validator, validationLevel and validationAction.
+ */
+const schemaToValidationOptions = (entry) => {
+    return {
+        validator: { $jsonSchema: entry.schema },
+        validationLevel: entry.level,
+        validationAction: entry.action
+    }
+}
+
+/**
+ * Options that can be passed to createCollection. Other options are rejected, as some of them (e.g. 'viewOn' and
+ * 'pipeline', which create views) could be used to read collections outside of the namespace.
+ */
+const validationOptionNames = ['validator', 'validationLevel', 'validationAction']
+
+/**
+ * Returns the validation options (validator, validationLevel and validationAction) from collection options.
+ * @param {object} collectionOptions The collection options.
+ * @returns Object with the validation options that were set.
+ */
+const pickValidationOptions = (collectionOptions) => {
+    let picked = {}
+    for (const name of validationOptionNames) {
+        if (collectionOptions && collectionOptions[name] !== undefined) {
+            picked[name] = collectionOptions[name]
+        }
+    }
+    return picked
+}
+
+/**
+ * Applies a JSON schema to a collection and records it in the schema registry.
+ * 
+ * Existing collections are modified using collMod, collections that do not exist yet are created with the schema.
+ * 
+ * @param {object} state State of the root DataStore.
+ * @param {string} collectionName Full name of the collection.
+ * @param {object} entry Schema registry entry (schema, level, action and lockedBy).
+ */
+const applySchema = async (state, collectionName, entry) => {
+    let validationOptions = schemaToValidationOptions(entry)
+
+    if (await collectionExists(state.backend, collectionName)) {
+        await state.backend.modifyCollection(collectionName, validationOptions)
+    } else {
+        await state.backend.createCollection(collectionName, validationOptions)
+    }
+
+    state.schemas.set(collectionName, entry)
+}
+
+/**
+ * Creates a schema registry entry from the arguments passed to setSchema or lockSchema.
+ * @param {object} jsonSchema JSON schema to validate documents against.
+ * @param {object} schemaOptions Optional settings, recognizes 'level' and 'action'.
+ * @param {string} lockedBy Namespace of the DataStore that locked the schema, if any.
+ * @returns Schema registry entry.
+ */
+const createSchemaEntry = (jsonSchema, schemaOptions, lockedBy) => {
+    schemaOptions = schemaOptions || {}
+    return {
+        schema: jsonSchema,
+        level: schemaOptions.level || 'strict',
+        action: schemaOptions.action || 'error',
+        lockedBy: lockedBy || null
+    }
+}
+
+/**
+ * Sums the storage statistics of all collections under a namespace, including those belonging to child namespaces.
+ * 
+ * Reserved collections are not included.
+ * 
+ * @param {object} backend Backend that the namespace belongs to.
+ * @param {string} namespace Namespace to sum the statistics for.
+ * @returns Object with collections, documents, bytes (uncompressed size of the documents), storageSize and indexSize.
+ */
+const getNamespaceUsage = async (backend, namespace) => {
+    let names = (await listCollectionNames(backend, namespace)).filter(name => {
+        return name.substring(namespace.length + 1).split('.').every(segment => collectionNameFormat.test(segment))
+    })
+
+    let usage = { collections: 0, documents: 0, bytes: 0, storageSize: 0, indexSize: 0 }
+    for (const name of names) {
+        let stats = await backend.getCollectionStats(name)
+        usage.collections += 1
+        usage.documents += stats.count
+        usage.bytes += stats.size
+        usage.storageSize += stats.storageSize
+        usage.indexSize += stats.totalIndexSize
+    }
+    return usage
+}
+
+/**
+ * Collects statistics and index summaries for a single collection.
+ * @param {object} backend Backend that the collection belongs to.
+ * @param {string} collectionName Full name of the collection.
+ * @returns Object describing the collection.
+ */
+const describeCollection = async (backend, collectionName) => {
+    let collection = backend.collection(collectionName)
+    let storageStats = await backend.getCollectionStats(collectionName)
+    let indexes = await collection.indexes()
+
+    return {
+        count: storageStats.count,
+        size: storageStats.size,
+        storageSize: storageStats.storageSize,
+        totalIndexSize: storageStats.totalIndexSize,
+        indexes: indexes.map(index => {
+            return {
+                name: index.name,
+                key: index.key,
+                unique: index.unique === true,
+                size: storageStats.indexSizes[index.name]
+            }
+        })
+    }
+}
+
+/**
+ * Describes the collections under a namespace and, optionally, all of its child namespaces.
+ * @param {object} backend Backend that the namespace belongs to.
+ * @param {string} namespace Namespace to describe.
+ * @param {string[]} names Full names of all collections under the namespace.
+ * @param {boolean} includeDataStores Whether child namespaces should be included.
+ * @returns Object describing the namespace.
+ */
+const describeNamespace = async (backend, namespace, names, includeDataStores) => {
+    let grouped = groupCollectionNames(namespace, names)
+
+    let description = {
+        namespace,
+        collections: {},
+        totals: {
+            collections: 0,
+            documents: 0,
+            size: 0,
+            storageSize: 0,
+            indexes: 0,
+            indexSize: 0
+        }
+    }
+
+    const addToTotals = (totals) => {
+        for (const key in totals) {
+            description.totals[key] += totals[key]
+        }
+    }
+
+    for (const relativeName of Object.keys(grouped.collections).sort()) {
+        let collectionDescription = await describeCollection(backend, grouped.collections[relativeName])
+        description.collections[relativeName] = collectionDescription
+        addToTotals({
+            collections: 1,
+            documents: collectionDescription.count,
+            size: collectionDescription.size,
+            storageSize: collectionDescription.storageSize,
+            indexes: collectionDescription.indexes.length,
+            indexSize: collectionDescription.totalIndexSize
+        })
+    }
+
+    if (includeDataStores) {
+        description.dataStores = {}
+        for (const childName of Object.keys(grouped.dataStores).sort()) {
+            let childDescription = await describeNamespace(backend, `${namespace}.${childName}`, grouped.dataStores[childName], true)
+            description.dataStores[childName] = childDescription
+            addToTotals(childDescription.totals)
+        }
+    }
+
+    return description
+}
+
+/**
+ * Generates a new DataStore API object that can be used to store data in the underlying storage backend.
+ * @param {string} namespace Namespace that this DataStore should operate under.
+ * @param {object} options Settings for the DataStore:
+ *   - scope: Scope of the DataStore (a scope name or an array of scope names).
+ *   - state: State shared by all DataStores under the same root (holds the storage backend).
+ *   - quotas: Quotas that apply to the DataStore ({namespace, quota}), including those of its ancestors.
+ *   - parentHandle: Handle of the DataStore that issued this DataStore (see handles.js), not set for root DataStores.
+ *   - concerns: Default read and write concerns for the collections of the DataStore ({readConcern, writeConcern}).
+ * @returns New DataStore object.
+ */
+function DataStore(namespace, options) {
+
+    let parentNameSpace = namespace
+    let state = options.state
+    let scope = normalizeScope(options.scope, namespace)
+    let rights = scopeToRights(scope)
+    let quotas = options.quotas || []
+    let handle = createHandle(namespace, options.parentHandle)
+    let concerns = options.concerns || {}
+
+    this.getNamespace = () => {
+        return parentNameSpace
+    }
+
+    /**
+     * Returns the scope of this DataStore.
+     * @returns Array of scope names.
+     */
+    this.getScope = () => {
+        return scope.slice()
+    }
+
+    /**
+     * Ensures that this DataStore can still be used.
+     * @throws NotInitializedError if the root DataStore has not finished initializing.
+     * @throws DiscardedDataStoreError if the root DataStore has been discarded.
+     * @throws RevokedDataStoreError if this DataStore, or one of its ancestors, has been revoked.
+     */
+    const requireUsable = () => {
+        checkState(state, parentNameSpace)
+        let revoked = findRevokedHandle(handle)
+        if (revoked !== null) {
+            throw new RevokedDataStoreError(parentNameSpace, revoked.namespace)
+        }
+    }
+
+    /**
+     * Revokes the DataStores that this DataStore has issued for a child namespace. Only set for DataStores with the 'delegate' scope.
+     */
+    let revokeChild = null
+
+    /**
+     * Ensures that this DataStore has the rights needed to perform an operation.
+     * @param {string[]} required Rights needed ('read' and/or 'write').
+     * @param {string} operation Name of the operation.
+     * @throws ForbiddenOperationError if any of the rights are missing.
+     */
+    const requireRights = (required, operation) => {
+        if (required.some(right => !rights[right])) {
+            throw new ForbiddenOperationError(parentNameSpace, operation, scope)
+        }
+    }
+
+    /**
+     * Resolves a collection name to its full name under the current namespace.
+     * 
+     * Names are not allowed to contain '.', as that would allow access to collections belonging to child namespaces.
+     * 
+     * @param {string} name Name of the collection.
+     * @returns Full name of the collection.
+     * @throws InvalidCollectionNameError if the name does not match the collection name format.
+     */
+    const resolveCollectionName = (name) => {
+        if (typeof name !== 'string' || !collectionNameFormat.test(name)) {
+            throw new InvalidCollectionNameError(name, parentNameSpace)
+        }
+        return parentNameSpace + '.' + name
+    }
+
+    /**
+     * Returns a collection from the backend, with the read and write concerns of this DataStore.
+     * @param {string} collectionName Full name of the collection.
+     * @returns The collection.
+     */
+    const openCollection = (collectionName) => {
+        return state.backend.collection(collectionName, concerns)
+    }
+
+    /**
+     * Cipher used to encrypt fields of collections under the current namespace, null if encryption is not enabled.
+     */
+    let cipher = state.keyring ? createCipher(state.keyring, parentNameSpace, () => {
+        let encryptionId = state.encryptionIds.get(parentNameSpace)
+        if (encryptionId === undefined) {
+            throw new EncryptionError(`Unable to use encrypted fields under '${parentNameSpace}': the namespace has been renamed or dropped.`, parentNameSpace)
+        }
+        return encryptionId
+    }) : null
+
+    /**
+     * Validates the encrypted fields requested for a collection.
+     * @param {object} collectionOptions Options passed to getCollection.
+     * @returns Paths of the encrypted fields (empty if none were requested).
+     */
+    const resolveEncryptedFields = (collectionOptions) => {
+        if (!collectionOptions || collectionOptions.encrypt === undefined) {
+            return []
+        }
+        validateEncryptedFields(collectionOptions.encrypt)
+        if (cipher === null) {
+            throw new Error(`Unable to encrypt fields of collections under '${parentNameSpace}': encryption has not been enabled (see the 'encryption' option of the initializer).`)
+        }
+        return collectionOptions.encrypt
+    }
+
+    /**
+     * Returns a collection reserved for internal use, under the current DataStore namespace.
+     * @param {string} name Name of the reserved collection (without prefix).
+     * @returns The reserved collection.
+     */
+    const getReservedCollection = (name) => {
+        return state.backend.collection(parentNameSpace + '.' + reservedCollectionPrefix + name)
+    }
+
+    /**
+     * Applies the scope restrictions, isolation and auditing of this DataStore to a collection before it is handed out.
+     * @param {Collection} collection The collection to hand out.
+     * @param {string} name Name of the collection, relative to the namespace.
+     * @param {string[]} encryptedFields Paths of the fields to encrypt, if any.
+     * @returns The wrapped collection.
+     */
+    const prepareCollection = (collection, name, encryptedFields) => {
+        let collectionName = parentNameSpace + '.' + name
+        collection = enforceQuotas(collection, quotas, getUsage, () => collectionExists(state.backend, collectionName))
+        if (encryptedFields && encryptedFields.length > 0) {
+            collection = encryptCollection(collection, encryptedFields, cipher, parentNameSpace)
+        }
+        collection = auditCollection(collection, state.auditor, parentNameSpace, name)
+        collection = protectLockedSchema(collection, state, collectionName)
+        collection = isolateCollection(collection, resolveCollectionName, (newName) => {
+            return prepareCollection(openCollection(resolveCollectionName(newName)), newName, encryptedFields)
+        })
+        return guardCollection(restrictCollection(collection, rights, parentNameSpace, scope), requireUsable)
+    }
+
+    /**
+     * Returns the usage of a namespace, used to check quotas.
+     * @param {string} namespace The namespace.
+     * @returns Usage of the namespace, see getNamespaceUsage.
+     */
+    const getUsage = async (namespace) => {
+        return await getNamespaceUsage(state.backend, namespace)
+    }
+
+    /**
+     * Ensures that creating a new collection would not exceed any of the quotas that apply to this DataStore.
+     * @param {string} collectionName Full name of the collection to create.
+     * @throws QuotaExceededError if a quota would be exceeded.
+     */
+    const checkCollectionQuotas = async (collectionName) => {
+        if (quotas.length > 0 && !(await collectionExists(state.backend, collectionName))) {
+            await checkQuotas(quotas, getUsage, { collections: 1 })
+        }
+    }
+
+    /**
+     * Records an operation performed by this DataStore in the audit log, if auditing is enabled.
+     * @param {string} operation Name of the operation.
+     * @param {string} collection Name of the affected collection (relative to the namespace), if any.
+     * @param {object} details Additional details about the operation, if any.
+     */
+    const audit = async (operation, collection, details) => {
+        if (state.auditor) {
+            let entry = { namespace: parentNameSpace, operation, collection: collection || null }
+            if (details) {
+                entry.details = details
+            }
+            await state.auditor.record(entry)
+        }
+    }
+
+    /**
+     * Returns a collection with the given name, under the current DataStore namespace.
+     * 
+     * This method will create a new collection if one does not exist.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#collection
+     * 
+     * Fields listed in 'encrypt' are encrypted before they are written and decrypted when they are read, using
+     * a key derived for the current namespace. Encrypted fields cannot be used in filters, and can only be updated
+     * using $set, $setOnInsert and $unset.
+     * 
+     * @param {string} name Name of the collection to create/retrieve
+     * @param {object} collectionOptions Optional settings:
+     *   - encrypt: Paths of fields to encrypt (e.g. ['token', 'credentials.password']). Requires the 'encryption' option of the initializer.
+     * @returns A collection with the given name under the current namespace.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     */
+    this.getCollection = (name, collectionOptions) => {
+        let collectionName = resolveCollectionName(name)
+        return prepareCollection(openCollection(collectionName), name, resolveEncryptedFields(collectionOptions))
+    }
+
+    /**
+     * Shorthand for getCollection
+     */
+    this.collection = this.getCollection
+
+    /**
+     * Explicitly creates a collection to the provided schema.
+     * 
+     * Throws an exception if the collection already exists.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#createCollection
+     * 
+     * Only the validation options (validator, validationLevel and validationAction) are accepted, views and other
+     * kinds of collections cannot be created through a DataStore.
+     * 
+     * @param {string} name Name of the collection to create/retrieve
+     * @param {object} schema Validation options for the collection.
+     * @returns The newly created collection.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     */
+    this.createCollection = async (name, schema) => {
+        requireRights(['write'], 'createCollection')
+        let collectionName = resolveCollectionName(name)
+
+        for (const option in schema || {}) {
+            if (!validationOptionNames.includes(option)) {
+                throw new Error(`Invalid collection option '${option}'. Valid options are: ${validationOptionNames.join(', ')}`)
+            }
+        }
+
+        let entry = state.schemas.get(collectionName)
+        if (entry) {
+            let validationOptions = schemaToValidationOptions(entry)
+            if (entry.lockedBy !== null && schema) {
+                for (const key in validationOptions) {
+                    if (key in schema) {
+                        throw new SchemaLockedError(collectionName, entry.lockedBy)
+                    }
+                }
+            }
+            schema = Object.assign(validationOptions, schema)
+        }
+
+        await checkCollectionQuotas(collectionName)
+        await state.backend.createCollection(collectionName, schema)
+        await audit('createCollection', name)
+        return prepareCollection(openCollection(collectionName), name)
+    }
+
+    /**
+     * Sets the JSON schema used to validate documents in a collection under the current DataStore namespace.
+     * 
+     * The schema is applied immediately: existing collections are modified using collMod and collections that
+     * do not exist yet are created with the schema. The schema is also recorded, so that it is applied again if
+     * the collection is dropped and later recreated using createCollection.
+     * 
+     * See: https://www.mongodb.com/docs/manual/core/schema-validation/
+     * 
+     * @param {string} name Name of the collection.
+     * @param {object} jsonSchema JSON schema to validate documents against.
+     * @param {object} schemaOptions Optional settings:
+     *   - level: Validation level ('off', 'strict' or 'moderate'), defaults to 'strict'.
+     *   - action: Validation action ('error' or 'warn'), defaults to 'error'.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     * @throws SchemaLockedError if the schema has been locked by a parent DataStore.
+     */
+    this.setSchema = async (name, jsonSchema, schemaOptions) => {
+        requireRights(['write'], 'setSchema')
+        let collectionName = resolveCollectionName(name)
+
+        let entry = state.schemas.get(collectionName)
+        if (entry && entry.lockedBy !== null) {
+            throw new SchemaLockedError(collectionName, entry.lockedBy)
+        }
+
+        await checkCollectionQuotas(collectionName)
+        await applySchema(state, collectionName, createSchemaEntry(jsonSchema, schemaOptions))
+        await audit('setSchema', name)
+    }
+
+    /**
+     * Returns the JSON schema used to validate documents in a collection under the current DataStore namespace.
+     * 
+     * The schema is read from the options of the collection. For collections that do not exist, the recorded schema
+     * (which is applied when the collection is created using createCollection) is returned instead.
+     * 
+     * @param {string} name Name of the collection.
+     * @returns Object with schema, level, action and locked (true if the schema was locked by a parent DataStore), or null if the collection has no schema.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     */
+    this.getSchema = async (name) => {
+        let collectionName = resolveCollectionName(name)
+
+        let entry = state.schemas.get(collectionName)
+        let collectionOptions = await state.backend.getCollectionOptions(collectionName)
+        if (!collectionOptions) {
+            return entry ? { schema: entry.schema, level: entry.level, action: entry.action, locked: entry.lockedBy !== null } : null
+        }
+        if (!collectionOptions.validator || !collectionOptions.validator.$jsonSchema) {
+            return null
+        }
+
+        return {
+            schema: collectionOptions.validator.$jsonSchema,
+            level: collectionOptions.validationLevel || 'strict',
+            action: collectionOptions.validationAction || 'error',
+            locked: entry !== undefined && entry.lockedBy !== null
+        }
+    }
+
+    /**
+     * Drops the collection with the given name, under the current DataStore namespace.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#dropCollection
+     * 
+     * @param {string} name Name of the collection to drop.
+     * @returns True if the collection was dropped, false if it did not exist.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     * @throws SchemaLockedError if the schema of the collection has been locked by a parent DataStore.
+     */
+    this.dropCollection = async (name) => {
+        requireRights(['write'], 'dropCollection')
+        let collectionName = resolveCollectionName(name)
+        requireUnlockedSchema(state, collectionName)
+        if (!(await state.backend.dropCollection(collectionName))) {
+            return false
+        }
+        await audit('dropCollection', name)
+        return true
+    }
+
+    /**
+     * Makes the indexes of a collection under the current DataStore namespace match a list of declared indexes.
+     * 
+     * Declared indexes are matched to the existing indexes by name (or by key, if no existing index has the name).
+     * Missing indexes are created, and indexes whose key or options (unique, sparse, partialFilterExpression,
+     * expireAfterSeconds and hidden) differ from the declaration are dropped and recreated. Existing indexes that
+     * are not declared are only dropped if indexOptions.dropUndeclared is set. The _id index is never changed.
+     * 
+     * In dry-run mode nothing is changed, and the report describes the changes that would be made.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Collection.html#createIndexes
+     * 
+     * @param {string} name Name of the collection.
+     * @param {object[]} specs Declared indexes ({key, name, ...options}), in the format used by createIndexes.
+     * @param {object} indexOptions Optional settings:
+     *   - dropUndeclared: Whether existing indexes that are not declared should be dropped (default false).
+     *   - dryRun: Whether to only report the changes, without making them (default false).
+     * @returns Object with the names of the indexes that were created, changed (recreated), dropped and unchanged, and the names of the undeclared indexes that were kept.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     */
+    this.ensureIndexes = async (name, specs, indexOptions) => {
+        indexOptions = indexOptions || {}
+        let dryRun = indexOptions.dryRun === true
+        let dropUndeclared = indexOptions.dropUndeclared === true
+
+        requireRights(dryRun ? ['read'] : ['read', 'write'], 'ensureIndexes')
+        let collectionName = resolveCollectionName(name)
+        let declared = validateIndexSpecs(specs)
+
+        let collection = openCollection(collectionName)
+        let existing = (await collectionExists(state.backend, collectionName)) ? await collection.indexes() : []
+        let diff = diffIndexes(existing, declared)
+
+        let report = {
+            created: diff.create.map(spec => spec.name),
+            changed: diff.change.map(change => change.declared.name),
+            dropped: dropUndeclared ? diff.undeclared : [],
+            unchanged: diff.unchanged,
+            undeclared: dropUndeclared ? [] : diff.undeclared
+        }
+
+        if (dryRun || report.created.length + report.changed.length + report.dropped.length === 0) {
+            return report
+        }
+
+        for (const change of diff.change) {
+            await collection.dropIndex(change.existing.name)
+        }
+        for (const indexName of report.dropped) {
+            await collection.dropIndex(indexName)
+        }
+
+        let toCreate = diff.create.concat(diff.change.map(change => change.declared))
+        if (toCreate.length > 0) {
+            await checkCollectionQuotas(collectionName)
+            await collection.createIndexes(toCreate)
+        }
+
+        await audit('ensureIndexes', name, { created: report.created, changed: report.changed, dropped: report.dropped })
+        return report
+    }
+
+    /**
+     * Lists the collections under the current DataStore namespace.
+     * 
+     * Collections belonging to child namespaces are not included.
+     * 
+     * @returns Sorted array of collection names, relative to the current namespace.
+     */
+    this.listCollections = async () => {
+        let names = await listCollectionNames(state.backend, parentNameSpace)
+        return Object.keys(groupCollectionNames(parentNameSpace, names).collections).sort()
+    }
+
+    /**
+     * Describes the collections under the current DataStore namespace.
+     * 
+     * For DataStores with the 'delegate' scope, the description includes all child namespaces (under 'dataStores').
+     * 
+     * The description has the following format:
+     *   - namespace: The namespace that was described.
+     *   - collections: Map of collection names to an object with count, size, storageSize, totalIndexSize and indexes (name, key, unique and size of each index).
+     *   - dataStores: Map of child namespace names to their descriptions (delegate scope only).
+     *   - totals: Sums of collections, documents, size, storageSize, indexes and indexSize for the whole subtree.
+     * 
+     * @returns Object describing the namespace.
+     */
+    this.describe = async () => {
+        let names = await listCollectionNames(state.backend, parentNameSpace)
+        return await describeNamespace(state.backend, parentNameSpace, names, rights.delegate)
+    }
+
+    /**
+     * Sums the storage statistics of all collections under the current DataStore namespace, including those
+     * belonging to child namespaces.
+     * 
+     * @returns Object with collections, documents, bytes (uncompressed size of the documents), storageSize and indexSize.
+     */
+    this.getUsage = async () => {
+        return await getUsage(parentNameSpace)
+    }
+
+    /**
+     * Returns the quota of this DataStore, as passed to getDataStore.
+     * 
+     * Quotas of parent DataStores also apply, but are not included.
+     * 
+     * @returns The quota, or null if the DataStore does not have one.
+     */
+    this.getQuota = () => {
+        let own = quotas.find(q => q.namespace === parentNameSpace)
+        return own ? Object.assign({}, own.quota) : null
+    }
 
-/**
- * Generates a new DataStore API object that can be used to store data in an underlying MongoDB database.
- * @param {string} namespace Namespace that this DataStore should operate under.
- * @param {object} options Optional settings. Currently only options.scope is recognized. 
- * @returns New DataStore object.
- */
-function DataStore(namespace, options) {
+    /**
+     * Returns the record of the current DataStore namespace from the namespace registry.
+     * 
+     * Namespaces are recorded when a DataStore is issued for them using getDataStore. The record has the following format:
+     *   - namespace: The full namespace.
+     *   - parent: The full namespace of the parent.
+     *   - scope: The scope that the namespace was last issued with (null if it has only been labeled).
+     *   - createdAt: When a DataStore was first issued for the namespace.
+     *   - updatedAt: When the record was last changed (issued again or labeled).
+     *   - labels: Free-form labels set using setLabels.
+     * 
+     * @returns The record, or null if the namespace has not been recorded (e.g. the root namespace before it is labeled).
+     */
+    this.getMetadata = async () => {
+        return await state.registry.get(parentNameSpace)
+    }
 
-    let parentNameSpace = namespace
+    /**
+     * Sets labels on the current DataStore namespace in the namespace registry, e.g. to record which component owns it.
+     * 
+     * Labels are merged with the existing labels. Set a label to null to remove it.
+     * 
+     * @param {object} labels Map of label names to values.
+     * @returns The updated record, see getMetadata.
+     */
+    this.setLabels = async (labels) => {
+        requireRights(['write'], 'setLabels')
+        let metadata = await state.registry.setLabels(parentNameSpace, labels)
+        await audit('setLabels', null, { labels })
+        return metadata
+    }
 
-    this.getNamespace = () => {
-        return parentNameSpace
+    /**
+     * Re-encrypts the encrypted fields of a collection under the current DataStore namespace with the current key.
+     * 
+     * Used after rotating keys: values encrypted with older keys are encrypted again with the current key (after
+     * which the older keys can be removed from the key provider), and values written before the fields were
+     * declared as encrypted are encrypted.
+     * 
+     * @param {string} name Name of the collection.
+     * @param {object} collectionOptions Settings used to get the collection, 'encrypt' lists the paths of the encrypted fields.
+     * @returns Object with the number of documents that were updated.
+     * @throws InvalidCollectionNameError if the name is not a valid collection name.
+     */
+    this.reencrypt = async (name, collectionOptions) => {
+        requireRights(['read', 'write'], 'reencrypt')
+        let collectionName = resolveCollectionName(name)
+        let fields = resolveEncryptedFields(collectionOptions)
+        if (fields.length === 0) {
+            throw new Error(`Unable to re-encrypt '${collectionName}': no encrypted fields were given.`)
+        }
+        let result = await reencryptCollection(openCollection(collectionName), fields, cipher)
+        await audit('reencrypt', name, { fields, documents: result.documents })
+        return result
     }
 
     /**
-     * Returns a collection with the given name, under the current DataStore namespace.
+     * Migrates the data under the current DataStore namespace using the provided migration steps.
      * 
-     * This method will create a new collection if one does not exist.
+     * Each step should have a 'version' (positive integer), an 'up' function and optionally a 'down' function.
+     * Both functions are called with this DataStore as their only argument.
      * 
-     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#collection
+     * Pending steps are run in order of version. The versions that have been applied are recorded in a reserved
+     * collection under the namespace, and a lock is held while migrating so that only one process runs the
+     * migrations at a time.
      * 
-     * @param {string} name Name of the collection to create/retrieve
-     * @returns A collection with the given name under the current namespace.
+     * If options.target is lower than the current version, applied steps above the target are rolled back using
+     * their 'down' functions, in reverse order.
+     * 
+     * @param {object[]} migrations Migration steps ({version, up, down}).
+     * @param {object} migrateOptions Optional settings:
+     *   - target: Version to migrate to, defaults to the highest version provided.
+     *   - lockTimeout: Time to wait for the migration lock, in milliseconds (default 60000).
+     *   - lockTTL: Time before a held lock is considered abandoned, in milliseconds (default 300000).
+     * @returns Object with previousVersion, version, applied (versions applied) and reverted (versions rolled back).
+     * @throws MigrationError if the migrations are invalid, or if a step cannot be rolled back.
+     * @throws MigrationLockTimeoutError if the migration lock could not be taken in time.
      */
-    this.getCollection = (name) => {
-        let collectionName = parentNameSpace + '.' + name
-        return moduleState.database.collection(collectionName)
+    this.migrate = async (migrations, migrateOptions) => {
+        requireRights(['read', 'write'], 'migrate')
+        return await runMigrations(this, getReservedCollection('migrations'), getReservedCollection('locks'), migrations, migrateOptions)
     }
 
     /**
-     * Shorthand for getCollection
+     * Runs a function inside a transaction.
+     * 
+     * The function is called with a transaction object that provides getCollection (and its alias 'collection'),
+     * returning collections under the current DataStore namespace that are bound to the transaction's session.
+     * 
+     * The transaction is committed when the function returns, and aborted if it throws. If the transaction fails
+     * with a transient error (or the commit result is unknown), the function is retried by the driver, so it should
+     * be safe to call more than once.
+     * 
+     * Transactions require a replica set or a sharded cluster.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/ClientSession.html#withTransaction
+     * 
+     * @param {function} fn Async function called with the transaction object.
+     * @param {object} transactionOptions Optional settings for the transaction (readConcern, writeConcern, readPreference and maxCommitTimeMS).
+     * @returns Whatever the function returned.
+     * @throws TransactionsNotSupportedError if the server does not support transactions.
      */
-    this.collection = this.getCollection
+    this.withTransaction = async (fn, transactionOptions) => {
+        await requireTransactionSupport(state, parentNameSpace)
+
+        let session = state.backend.startSession()
+        try {
+            let result = undefined
+            await session.withTransaction(async () => {
+                let tx = {
+                    getCollection: (name, collectionOptions) => {
+                        let collectionName = resolveCollectionName(name)
+                        return bindSession(prepareCollection(openCollection(collectionName), name, resolveEncryptedFields(collectionOptions)), session)
+                    }
+                }
+                tx.collection = tx.getCollection
+
+                result = await fn(tx)
+            }, transactionOptions)
+            return result
+        } finally {
+            await session.endSession()
+        }
+    }
 
     /**
-     * Explicitly creates a collection to the provided schema.
+     * Opens a change stream that reports changes to the collections under the current DataStore namespace.
      * 
-     * Throws an exception if the collection already exists.
+     * For DataStores with the 'delegate' scope, changes to the collections of all child namespaces are included.
+     * Collection names in the events (ns.coll, and to.coll for renames) are relative to the current namespace,
+     * e.g. 'users' or 'child.users'. The pipeline is applied after the events have been filtered and rewritten.
      * 
-     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#createCollection
+     * If watchOptions.resumeTokenKey is set, the change stream gets a commitResumeToken function that stores the
+     * resume token under the key (in a reserved collection under the namespace). A later call to watch with the same
+     * key resumes after the last committed token, e.g. after a restart. Call commitResumeToken once an event has
+     * been processed, to receive each event at least once.
      * 
-     * @param {string} name Name of the collection to create/retrieve
-     * @param {object} schema Specification of how to generate the collection (see: )
-     * @returns The newly created collection.
+     * Change streams require a replica set or a sharded cluster.
+     * 
+     * See: https://mongodb.github.io/node-mongodb-native/5.0/classes/Db.html#watch
+     * 
+     * @param {object[]} pipeline Optional pipeline to apply to the change events.
+     * @param {object} watchOptions Optional settings for the change stream, and:
+     *   - resumeTokenKey: Key to store resume tokens under.
+     * @returns The change stream.
      */
-    this.createCollection = async (name, schema) => {
-        let collectionName = parentNameSpace + '.' + name
-        return await moduleState.database.createCollection(collectionName, schema)
+    this.watch = async (pipeline, watchOptions) => {
+        requireRights(['read'], 'watch')
+
+        let changeStreamOptions = Object.assign({}, watchOptions)
+        let resumeTokenKey = changeStreamOptions.resumeTokenKey
+        delete changeStreamOptions.resumeTokenKey
+
+        let tokens = null
+        if (resumeTokenKey !== undefined) {
+            if (typeof resumeTokenKey !== 'string' || resumeTokenKey.length === 0) {
+                throw new Error(`Invalid resume token key: ${resumeTokenKey}. The key should be a non-empty string.`)
+            }
+            tokens = getReservedCollection(resumeTokenCollectionName)
+            if (!['resumeAfter', 'startAfter', 'startAtOperationTime'].some(option => option in changeStreamOptions)) {
+                let token = await loadResumeToken(tokens, resumeTokenKey)
+                if (token !== null) {
+                    changeStreamOptions.startAfter = token
+                }
+            }
+        }
+
+        let changeStream = state.backend.watch(namespacePipeline(parentNameSpace, rights.delegate).concat(pipeline || []), changeStreamOptions)
+        trackChangeStream(handle, changeStream)
+
+        if (tokens !== null) {
+            /**
+             * Stores a resume token, so that watching with the same resumeTokenKey resumes after it.
+             * @param {object} token The token to store, defaults to the resume token of the last event returned by the change stream.
+             */
+            changeStream.commitResumeToken = async (token) => {
+                requireUsable()
+                token = token || changeStream.resumeToken
+                if (token) {
+                    await saveResumeToken(tokens, resumeTokenKey, token)
+                }
+            }
+        }
+
+        return changeStream
+    }
+
+    /**
+     * Checks whether a collection name (relative to the current namespace) can be included in archives.
+     * 
+     * Collections belonging to child namespaces are only included for DataStores with the 'delegate' scope.
+     * The reserved migrations collection is included, so that the migration state follows the data.
+     * 
+     * @param {string} relativeName Name of the collection, relative to the current namespace.
+     * @returns 'own' if the collection belongs to this namespace, 'child' if it belongs to a child namespace, or null if it cannot be archived.
+     */
+    const getArchivableScope = (relativeName) => {
+        let segments = relativeName.split('.')
+        let last = segments.pop()
+        if (!segments.every(segment => namespaceFormat.test(segment))) {
+            return null
+        }
+        if (!collectionNameFormat.test(last) && last !== reservedCollectionPrefix + 'migrations') {
+            return null
+        }
+        return segments.length > 0 ? 'child' : 'own'
+    }
+
+    /**
+     * Lists the full names of the collections that are included when exporting or importing this DataStore.
+     * @returns Array of full collection names.
+     */
+    const listArchivableCollectionNames = async () => {
+        let names = await listCollectionNames(state.backend, parentNameSpace)
+        return names.filter(name => {
+            let archivable = getArchivableScope(name.substring(parentNameSpace.length + 1))
+            return archivable === 'own' || (archivable === 'child' && rights.delegate)
+        })
+    }
+
+    /**
+     * Exports every collection under the current DataStore namespace to an archive.
+     * 
+     * The archive is a file of JSON lines: a manifest listing the collections (with their options, validators
+     * and indexes), followed by the documents as canonical Extended JSON. Collection names are stored relative
+     * to the namespace, so the archive can be imported under a different namespace. When encryption is enabled,
+     * the encryption IDs of the exported namespaces are included so that encrypted values can be imported as well.
+     * 
+     * For DataStores with the 'delegate' scope, the collections of all child namespaces are included.
+     * 
+     * @param {Writable|string} target Stream or file path to write the archive to. Streams are not ended, files are closed once written.
+     * @returns Object with the number of collections and documents exported.
+     */
+    this.exportDataStore = async (target) => {
+        requireRights(['read'], 'exportDataStore')
+        let names = (await listArchivableCollectionNames()).sort()
+
+        let encryptionIds = null
+        if (state.keyring) {
+            encryptionIds = {}
+            for (const name of names) {
+                let namespace = name.substring(0, name.lastIndexOf('.'))
+                let relativeNamespace = namespace.substring(parentNameSpace.length + 1)
+                if (!(relativeNamespace in encryptionIds)) {
+                    encryptionIds[relativeNamespace] = await state.registry.getEncryptionId(namespace)
+                }
+            }
+        }
+
+        let summary = await exportCollections(state.backend, parentNameSpace, names, target, encryptionIds)
+        await audit('exportDataStore', null, summary)
+        return summary
+    }
+
+    /**
+     * Imports an archive created by exportDataStore into the current DataStore namespace.
+     * 
+     * Modes:
+     *   - 'merge' (default): Collections and indexes are created if missing, and documents replace existing documents with the same _id.
+     *   - 'replace': Every collection included when exporting this DataStore is dropped before the archive is imported.
+     *     Nothing is imported if any of these collections has a schema locked by a parent DataStore.
+     * 
+     * Archives containing collections of child namespaces can only be imported by DataStores with the 'delegate' scope.
+     * Quotas are checked before each batch of documents is written, and schemas set using setSchema/lockSchema take
+     * precedence over the validators in the archive.
+     * 
+     * Encrypted values are encrypted again for the namespaces they are imported into, using the encryption IDs
+     * recorded in the archive (so the archive must have been exported by a root with the same master keys).
+     * 
+     * @param {Readable|string} source Stream or file path to read the archive from.
+     * @param {object} importOptions Optional settings, recognizes 'mode' ('merge' or 'replace').
+     * @returns Object with the namespace the archive was exported from, and the number of collections and documents imported.
+     * @throws ArchiveFormatError if the source is not a valid archive.
+     * @throws SchemaLockedError if the mode is 'replace' and a collection that would be dropped has a locked schema.
+     */
+    this.importDataStore = async (source, importOptions) => {
+        requireRights(['write'], 'importDataStore')
+
+        let mode = (importOptions && importOptions.mode) || 'merge'
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Invalid import mode '${mode}'. Valid modes are: merge, replace`)
+        }
+
+        let sourceIds = {}
+
+        /**
+         * Encrypts the encrypted values of imported documents again with the key of the namespace they are imported
+         * into, if they were exported from a namespace with another encryption ID.
+         * @param {string} name Full name of the collection the documents are imported into.
+         * @param {object[]} documents The documents.
+         * @returns The documents to write.
+         */
+        const transferDocuments = async (name, documents) => {
+            let namespace = name.substring(0, name.lastIndexOf('.'))
+            let sourceId = sourceIds[namespace.substring(parentNameSpace.length + 1)] || null
+            let targetId = await loadEncryptionId(state, namespace)
+            if (sourceId === targetId) {
+                return documents
+            }
+
+            let from = createCipher(state.keyring, namespace, () => {
+                if (sourceId === null) {
+                    throw new EncryptionError(`Unable to import encrypted values into '${namespace}': the archive does not record the encryption ID they were encrypted with.`, namespace)
+                }
+                return sourceId
+            })
+            let to = createCipher(state.keyring, namespace, () => targetId)
+            return documents.map(document => transferEncryptedValues(document, from, to, null))
+        }
+
+        let summary = await importCollections(source, {
+            resolveName: (relativeName) => {
+                let archivable = typeof relativeName === 'string' ? getArchivableScope(relativeName) : null
+                if (archivable === null) {
+                    throw new InvalidCollectionNameError(relativeName, parentNameSpace)
+                }
+                if (archivable === 'child' && !rights.delegate) {
+                    throw new ForbiddenOperationError(parentNameSpace, 'importDataStore', scope)
+                }
+                return parentNameSpace + '.' + relativeName
+            },
+            prepare: async (names, mode, manifest) => {
+                sourceIds = manifest.encryptionIds || {}
+                if (mode === 'replace') {
+                    // Nothing is dropped if any of the collections has a locked schema:
+                    let dropped = await listArchivableCollectionNames()
+                    dropped.forEach(name => requireUnlockedSchema(state, name))
+                    for (const name of dropped) {
+                        await state.backend.dropCollection(name)
+                    }
+                }
+            },
+            createCollection: async (name, collectionOptions) => {
+                if (await collectionExists(state.backend, name)) {
+                    return
+                }
+                // Only validation options are taken from the archive, so that it cannot create views of other namespaces:
+                collectionOptions = pickValidationOptions(collectionOptions)
+                let entry = state.schemas.get(name)
+                if (entry) {
+                    collectionOptions = Object.assign({}, collectionOptions, schemaToValidationOptions(entry))
+                }
+                await checkCollectionQuotas(name)
+                await state.backend.createCollection(name, collectionOptions)
+            },
+            insertDocuments: async (name, documents, mode) => {
+                if (state.keyring && documents.some(containsEncryptedValues)) {
+                    documents = await transferDocuments(name, documents)
+                }
+                if (quotas.length > 0) {
+                    await checkQuotas(quotas, getUsage, estimateWrite('insertMany', [documents]))
+                }
+                let collection = openCollection(name)
+                if (mode === 'replace') {
+                    await collection.insertMany(documents)
+                } else {
+                    await collection.bulkWrite(documents.map(document => {
+                        return { replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true } }
+                    }), { ordered: false })
+                }
+            },
+            createIndexes: async (name, indexes) => {
+                await openCollection(name).createIndexes(indexes)
+            }
+        }, mode)
+
+        await audit('importDataStore', null, Object.assign({ mode }, summary))
+        return summary
     }
 
-    if (options.scope === 'delegate') {
-        this.getDataStore = async (namespace, scope) => {
+    if (rights.delegate) {
+
+        /**
+         * Lists the child namespaces that currently have collections under the current DataStore namespace.
+         * 
+         * Child namespaces are discovered from the prefixes of existing collections, so namespaces without any collections will not be listed.
+         * 
+         * @returns Sorted array of child namespace names, relative to the current namespace.
+         */
+        this.listDataStores = async () => {
+            let names = await listCollectionNames(state.backend, parentNameSpace)
+            return Object.keys(groupCollectionNames(parentNameSpace, names).dataStores).sort()
+        }
+
+        /**
+         * Resolves a child namespace name to its full namespace under the current namespace.
+         * @param {string} namespace Name of the child namespace.
+         * @returns Full name of the child namespace.
+         * @throws InvalidNamespaceError if the name does not match the namespace format.
+         */
+        const resolveChildNamespace = (namespace) => {
+            if (typeof namespace !== 'string' || !namespaceFormat.test(namespace)) {
+                throw new InvalidNamespaceError(namespace, parentNameSpace)
+            }
+            return parentNameSpace + '.' + namespace
+        }
+
+        /**
+         * Creates a DataStore for a child namespace.
+         * 
+         * The scope can be a single scope name, or an array of scope names to combine (e.g. ['delegate', 'readOnly']).
+         * A child DataStore can never be given more rights than this DataStore has: if this DataStore is read-only,
+         * so are its children. If no scope is specified, the child gets the 'collectionsOnly' scope with the same
+         * access restrictions as this DataStore.
+         * 
+         * A quota can be set for the child namespace using childOptions.quota. Quotas apply to the whole subtree of
+         * the namespace and are enforced when collections are created and on writes through the collections handed
+         * out by the child DataStore (and its children). The quotas of this DataStore also apply to the child.
+         * 
+         * The child uses the read and write concerns of this DataStore for its collections, unless they are
+         * overridden using childOptions.readConcern and childOptions.writeConcern.
+         * 
+         * @param {string} namespace Name of the child namespace.
+         * @param {string|string[]} childScope Scope of the child DataStore, defaults to 'collectionsOnly'.
+         * @param {object} childOptions Optional settings:
+         *   - quota: Object with maxCollections, maxDocuments and/or maxBytes.
+         *   - readConcern: Default read concern for the collections of the child (and its children), e.g. 'majority'.
+         *   - writeConcern: Default write concern for the collections of the child (and its children), e.g. {w: 'majority'}.
+         * @returns New DataStore for the child namespace.
+         * @throws ScopeEscalationError if the scope would give the child more rights than this DataStore.
+         */
+        this.getDataStore = async (namespace, childScope, childOptions) => {
+
+            if ( typeof childScope === 'undefined' ) {
+                childScope = [scopes.collectionsOnly].concat(scope.filter(s => accessScopes.includes(s)))
+            }
+
+            let newNamespace = resolveChildNamespace(namespace)
+
+            childScope = normalizeScope(childScope, newNamespace)
+            let childRights = scopeToRights(childScope)
+            if ((childRights.read && !rights.read) || (childRights.write && !rights.write)) {
+                throw new ScopeEscalationError(newNamespace, childScope, scope)
+            }
+
+            let childQuotas = quotas
+            if (childOptions && childOptions.quota) {
+                childQuotas = quotas.concat([{ namespace: newNamespace, quota: validateQuota(childOptions.quota) }])
+            }
+            let childConcerns = inheritConcerns(concerns, childOptions)
+
+            await state.registry.register(newNamespace, childScope)
+            await loadEncryptionId(state, newNamespace)
+            await audit('getDataStore', null, { namespace: newNamespace, scope: childScope })
+            return new DataStore(newNamespace, { scope: childScope, state, quotas: childQuotas, parentHandle: handle, concerns: childConcerns })
+        }
+
+        revokeChild = async (namespace) => {
+            let childNamespace = resolveChildNamespace(namespace)
+            revokeIssued(handle, childNamespace)
+            await closeRevokedChangeStreams(handle)
+            await audit('revoke', null, { namespace: childNamespace })
+        }
+
+        /**
+         * Sets and locks the JSON schema of a collection under a child namespace.
+         * 
+         * Once locked, the child DataStore (or any other DataStore under the child namespace) is not allowed to change
+         * the schema using setSchema, to override it when calling createCollection, or to drop or rename the collection.
+         * The lock can only be changed by calling lockSchema again.
+         * 
+         * Locks are held in memory by the root DataStore, so they should be applied each time the system starts.
+         * 
+         * @param {string} namespace Name of the child namespace.
+         * @param {string} name Name of the collection under the child namespace.
+         * @param {object} jsonSchema JSON schema to validate documents against.
+         * @param {object} schemaOptions Optional settings, see setSchema.
+         * @throws SchemaLockedError if the schema has been locked by another DataStore.
+         */
+        this.lockSchema = async (namespace, name, jsonSchema, schemaOptions) => {
+            requireRights(['write'], 'lockSchema')
+            let childNamespace = resolveChildNamespace(namespace)
+            if (typeof name !== 'string' || !collectionNameFormat.test(name)) {
+                throw new InvalidCollectionNameError(name, childNamespace)
+            }
+            let collectionName = childNamespace + '.' + name
+
+            let entry = state.schemas.get(collectionName)
+            if (entry && entry.lockedBy !== null && entry.lockedBy !== parentNameSpace) {
+                throw new SchemaLockedError(collectionName, entry.lockedBy)
+            }
+
+            await checkCollectionQuotas(collectionName)
+            await applySchema(state, collectionName, createSchemaEntry(jsonSchema, schemaOptions, parentNameSpace))
+            await audit('lockSchema', null, { namespace: childNamespace, collection: name })
+        }
+
+        /**
+         * Drops every collection under the given child namespace, including those belonging to its own child namespaces.
+         * 
+         * @param {string} namespace Name of the child namespace to drop.
+         * @returns Sorted array of the dropped collection names, relative to the current namespace.
+         */
+        this.dropDataStore = async (namespace) => {
+            requireRights(['write'], 'dropDataStore')
+            let childNamespace = resolveChildNamespace(namespace)
+            let names = await listCollectionNames(state.backend, childNamespace)
 
-            if ( typeof scope === 'undefined' ) {
-                scope = scopes.collectionsOnly
+            for (const name of names) {
+                await state.backend.dropCollection(name)
             }
 
-            if (!namespaceFormat.test(namespace)) {
-                throw `Invalid namespace name provided (should only contain characters a-z, 0-9, - and _): ${namespace}`
+            await state.registry.drop(childNamespace)
+            forgetEncryptionIds(state, childNamespace)
+
+            let dropped = names.map(name => name.substring(parentNameSpace.length + 1)).sort()
+            await audit('dropDataStore', null, { namespace: childNamespace, collections: dropped })
+            return dropped
+        }
+
+        /**
+         * Moves every collection under a child namespace to a new child namespace, including those belonging to its own child namespaces.
+         * 
+         * The collections are renamed one at a time, so the operation is not atomic.
+         * 
+         * @param {string} oldNamespace Name of the child namespace to move.
+         * @param {string} newNamespace Name of the child namespace to move the collections to.
+         * @returns Sorted array of the new collection names, relative to the current namespace.
+         * @throws DataStoreExistsError if there already are collections under the new namespace.
+         */
+        this.renameDataStore = async (oldNamespace, newNamespace) => {
+            requireRights(['write'], 'renameDataStore')
+            let oldChildNamespace = resolveChildNamespace(oldNamespace)
+            let newChildNamespace = resolveChildNamespace(newNamespace)
+
+            if ((await listCollectionNames(state.backend, newChildNamespace)).length > 0 || oldChildNamespace === newChildNamespace) {
+                throw new DataStoreExistsError(newChildNamespace)
             }
 
-            let allScopes = Object.keys(scopes)
-            if (!allScopes.includes(scope)) {
-                throw new Error(`Invalid scope '${scope}'. Valid scopes are: ${allScopes.join(', ')}`)
+            let names = await listCollectionNames(state.backend, oldChildNamespace)
+            let renamed = []
+
+            for (const name of names) {
+                let newName = newChildNamespace + name.substring(oldChildNamespace.length)
+                await state.backend.renameCollection(name, newName)
+                if (state.schemas.has(name)) {
+                    state.schemas.set(newName, state.schemas.get(name))
+                    state.schemas.delete(name)
+                }
+                renamed.push(newName.substring(parentNameSpace.length + 1))
+            }
+
+            await state.registry.rename(oldChildNamespace, newChildNamespace)
+            moveEncryptionIds(state, oldChildNamespace, newChildNamespace)
+
+            renamed.sort()
+            await audit('renameDataStore', null, { namespace: oldChildNamespace, newNamespace: newChildNamespace, collections: renamed })
+            return renamed
+        }
+    }
+
+    // Reject any use of the DataStore before the root is ready, after it has been discarded or after it has been revoked:
+    guardMethods(this, Object.keys(this), requireUsable)
+
+    /**
+     * Revokes access to DataStores.
+     * 
+     * Called with the name of a child namespace, revokes every DataStore that this DataStore has issued for it
+     * using getDataStore (only available with the 'delegate' scope). Called without arguments, revokes this
+     * DataStore (not available on root DataStores, use discard instead).
+     * 
+     * Revoked DataStores, their child DataStores and the collections handed out by any of them reject all calls
+     * with a RevokedDataStoreError, and change streams opened by them are closed. Revoking a DataStore that has
+     * already been revoked has no effect. DataStores issued for the namespace after the call are not affected.
+     * 
+     * @param {string} namespace Name of the child namespace to revoke, or undefined to revoke this DataStore.
+     * @throws ForbiddenOperationError if a namespace is given and this DataStore does not have the 'delegate' scope.
+     * @throws InvalidNamespaceError if the namespace is not a valid namespace name.
+     */
+    this.revoke = async (namespace) => {
+        if (namespace !== undefined) {
+            requireUsable()
+            if (revokeChild === null) {
+                throw new ForbiddenOperationError(parentNameSpace, 'revoke', scope)
             }
+            await revokeChild(namespace)
+            return
+        }
+
+        if (handle.parent === null) {
+            throw new Error(`The root DataStore cannot be revoked, use 'discard' to close it.`)
+        }
+        if (findRevokedHandle(handle) !== null) {
+            return
+        }
 
-            newNamespace = parentNameSpace + '.' + namespace
-            return new DataStore(newNamespace, { scope })
+        handle.revoked = true
+        await closeRevokedChangeStreams(handle)
+        if (state.status === 'ready') {
+            await audit('revoke', null, { namespace: parentNameSpace })
         }
     }
 
@@ -88,57 +1565,221 @@ function DataStore(namespace, options) {
 }
 
 /**
- * 
- * @param {obejct} options Optional settings. Recognizes options.dropDb, a boolean to determine if the DataStore DB should be dropped.  
+ * Closes the connection held by a root DataStore.
+ * @param {object} state State of the root DataStore.
+ * @param {object} options Optional settings. Recognizes options.dropDb, a boolean to determine if the DataStore DB should be dropped.  
  */
-const resetModule = async (options) => {
+const discardRoot = async (state, options) => {
+    state.status = 'discarded'
     if (options && options.dropDb === true) {
-        await moduleState.database.dropDatabase()
+        await state.backend.dropDatabase()
     }
-    await moduleState.mongoClient.close()
-    delete moduleState.mongoClient
-    delete moduleState.database
-    moduleState.initialized = false
+    await state.backend.close()
+    delete state.backend
 }
 
 /**
- * Initializes the module and returns the root DataStore API object that can be used to delegate access to the DB.
- * @param {string} connectionString MongoDB connection string to use when connecting to the MongoDB server.
- * @param {object} options Optional settigns. Currently only recognizes 'dbName':
- *   - dbName: Name of the database to use, deafults to 'morrigan.datastore'
- * @returns Top level DataStore forthe system. This object must be captured and stored to work with the DataStore API.
- * @throws A general exception if called more than once.
+ * Creates a new root DataStore API object with its own connection to MongoDB.
+ * 
+ * Any number of roots can be created, each root is independent of the others and of the module-level root.
+ * 
+ * Passing ':memory:' as the connection string creates a root backed by the in-memory backend instead, which keeps
+ * all data in the current process (useful for tests). Other backends can be plugged in using options.backend.
+ * 
+ * @param {string} connectionString MongoDB connection string to use when connecting to the MongoDB server, or ':memory:'.
+ * @param {object} options Optional settings:
+ *   - dbName: Name of the database to use, defaults to 'DataStore' (DEFAULT_DBNAME).
+ *   - audit: Enables the audit log, either 'true' or an object with settings (writes, collection, sinks and onSinkError). See README.md.
+ *   - retry: Settings for retrying the initial connection (retries, minDelay, maxDelay, factor and onRetry). By default the connection is not retried.
+ *   - clientOptions: Options passed to the MongoClient (e.g. tls, maxPoolSize, serverSelectionTimeoutMS, appName, readConcern and writeConcern).
+ *   - credentials: Credentials to authenticate with, instead of including them in the connection string ({username, password, authSource, mechanism}).
+ *     The username and password can be strings, {env: name} to read them from environment variables or {file: path} to read them from files (e.g. Docker secrets).
+ *   - metrics: Enables command metrics, either 'true' or an object with settings (buckets, slowCommandMS and onSlowCommand). See README.md.
+ *   - encryption: Enables encrypted fields ({keyProvider}), where keyProvider is an async function returning {currentKeyId, keys}. See README.md.
+ *   - backend: Function called as backend(connectionString, {dbName, retry, emitter, clientOptions, onCommand}) to create a custom storage backend. See backends/index.js.
+ * @returns Top level DataStore for the connection. Call 'discard' on it to close the connection.
+ *   The root DataStore is an EventEmitter that emits 'connected', 'disconnected', 'reconnected' and 'error' events.
  */
-module.exports = async (connectionString, options) => {
-    if (moduleState.initialized) {
-        throw 'Initialization call rejected: morrigan.utils.datastore has already been initialized!'
-    }
-
+const createDataStoreRoot = async (connectionString, options) => {
     let dbName = defaultDbName
+    let auditOptions = null
+    let retryOptions = null
+    let backendFactory = createBackend
+    let clientOptions = {}
+    let metricsOptions = null
+    let encryptionOptions = null
     if (options !== null && typeof options === 'object') {
         if (typeof options.dbName === 'string' && options.dbName.length >= 1) {
             dbName = options.dbName
         }
+        auditOptions = options.audit
+        retryOptions = options.retry
+        metricsOptions = options.metrics
+        encryptionOptions = options.encryption
+        if (typeof options.backend === 'function') {
+            backendFactory = options.backend
+        }
+        if (options.clientOptions !== undefined && (options.clientOptions === null || typeof options.clientOptions !== 'object')) {
+            throw new Error(`Invalid client options: ${options.clientOptions}. The client options should be an object.`)
+        }
+        clientOptions = Object.assign({}, options.clientOptions, await resolveCredentials(options.credentials))
     }
-    
-    moduleState.mongoClient = new MongoClient(connectionString)
-    await moduleState.mongoClient.connect()
-    moduleState.database = await moduleState.mongoClient.db(dbName)
-    moduleState.initialized = true
 
-    // console.log((await moduleState.database.collections()))
+    let state = {
+        status: 'initializing',
+        schemas: new Map(),
+        metrics: createMetrics(metricsOptions),
+        keyring: await createKeyring(encryptionOptions),
+        encryptionIds: new Map()
+    }
+
+    // Create the root instance, the root doubles as an EventEmitter for connection events:
+    let rootDataStore = new DataStore('global', { scope: 'delegate', state })
+    Object.setPrototypeOf(rootDataStore, EventEmitter.prototype)
+    EventEmitter.call(rootDataStore)
+
+    state.backend = await backendFactory(connectionString, {
+        dbName,
+        retry: retryOptions,
+        emitter: rootDataStore,
+        clientOptions,
+        onCommand: state.metrics ? state.metrics.record : undefined
+    })
+    try {
+        state.auditor = createAuditor(state.backend, auditOptions)
+        state.registry = createRegistry(state.backend)
+        await loadEncryptionId(state, 'global')
+    } catch (e) {
+        await state.backend.close()
+        throw e
+    }
+    state.status = 'ready'
+
+    // Report the connection once the caller has had a chance to add listeners:
+    setImmediate(() => {
+        if (state.status === 'ready') {
+            state.backend.start()
+        }
+    })
+
+    rootDataStore.discard = async (options) => {
+        await discardRoot(state, options)
+    }
+
+    /**
+     * Pings the database and reports the latency and the current topology. Only available on the root DataStore.
+     * @param {object} healthCheckOptions Optional settings, recognizes 'timeoutMS' (default 5000).
+     * @returns Object with ok (boolean), latencyMS, topology (type and servers) and error (if the ping failed).
+     */
+    rootDataStore.healthCheck = async (healthCheckOptions) => {
+        return await state.backend.healthCheck(healthCheckOptions)
+    }
+
+    /**
+     * Lists the namespaces under the root, from the namespace registry and the collections that exist. Only available on the root DataStore.
+     * 
+     * Each entry has the format described in getMetadata, with 'collections' (number of collections belonging to the
+     * namespace itself) and 'orphaned' (true if the namespace has collections but no record, e.g. data written before
+     * the registry existed or by a DataStore that was never issued).
+     * 
+     * @param {object} listOptions Optional settings:
+     *   - filter: Query filter for the records (e.g. { 'labels.owner': 'billing' }). Orphaned namespaces are not included when a filter is given.
+     *   - orphaned: true to only list orphaned namespaces, false to only list recorded namespaces.
+     * @returns Array of namespace entries, sorted by namespace.
+     */
+    rootDataStore.listNamespaces = async (listOptions) => {
+        return await state.registry.list('global', listOptions)
+    }
+
+    if (state.metrics) {
+        /**
+         * Returns the command metrics recorded since the root was created. Only available on the root DataStore, when metrics are enabled.
+         * 
+         * Commands are grouped by the namespace and collection they ran on (e.g. 'global.A' and 'users') and the
+         * command name. Use DataStore.formatPrometheusMetrics to export the metrics to Prometheus.
+         * 
+         * @returns Object with 'since' and 'commands' (namespace, collection, command, count, errors and latency: sumMS and cumulative buckets).
+         */
+        rootDataStore.getMetrics = async () => {
+            return state.metrics.snapshot()
+        }
+    }
+
+    if (state.keyring) {
+        /**
+         * Calls the key provider again to load new keys. Only available on the root DataStore, when encryption is enabled.
+         * 
+         * To rotate keys, have the key provider return the new key as the current key (keeping the old keys so that
+         * existing values can still be decrypted), call this method and then call reencrypt on the affected collections.
+         */
+        rootDataStore.reloadEncryptionKeys = async () => {
+            await state.keyring.reload()
+        }
+    }
+
+    if (state.auditor && state.auditor.collection) {
+        /**
+         * Queries the audit log. Only available on the root DataStore.
+         * @param {object} filter Query filter for the audit entries (e.g. { namespace: 'global.A' }).
+         * @param {object} queryOptions Optional settings, recognizes 'limit'.
+         * @returns Array of audit entries, oldest first.
+         */
+        rootDataStore.getAuditLog = async (filter, queryOptions) => {
+            let cursor = state.auditor.collection.find(filter || {}).sort({ timestamp: 1, _id: 1 })
+            if (queryOptions && queryOptions.limit) {
+                cursor = cursor.limit(queryOptions.limit)
+            }
+            return await cursor.toArray()
+        }
+    }
+
+    guardMethods(rootDataStore, ['discard', 'healthCheck', 'listNamespaces', 'getMetrics', 'reloadEncryptionKeys', 'getAuditLog'].filter(name => name in rootDataStore), () => checkState(state, 'global'))
+
+    return rootDataStore
+}
+
+/**
+ * Initializes the module and returns the root DataStore API object that can be used to delegate access to the DB.
+ * 
+ * This is a wrapper around createDataStoreRoot that only allows one root to exist at a time.
+ * 
+ * @param {string} connectionString MongoDB connection string to use when connecting to the MongoDB server.
+ * @param {object} options Optional settings, see createDataStoreRoot.
+ * @returns Top level DataStore for the system. This object must be captured and stored to work with the DataStore API.
+ * @throws AlreadyInitializedError if called again before the root has been discarded.
+ */
+module.exports = async (connectionString, options) => {
+    if (moduleState.initialized) {
+        throw new AlreadyInitializedError()
+    }
 
-    // Create and return root instance:
-    let rootDataStore = new DataStore('global', {scope: 'delegate'})
+    let rootDataStore = await createDataStoreRoot(connectionString, options)
+    moduleState.initialized = true
 
-    rootDataStore.discard = resetModule
+    let discard = rootDataStore.discard
+    rootDataStore.discard = async (options) => {
+        await discard(options)
+        moduleState.initialized = false
+    }
     return rootDataStore
 }
 
+/**
+ * Creates a new root DataStore with its own connection, independent of the module-level root.
+ */
+module.exports.createDataStoreRoot = createDataStoreRoot
+/**
+ * Formats metrics returned by getMetrics in the Prometheus text exposition format.
+ */
+module.exports.formatPrometheusMetrics = formatPrometheusMetrics
 /**
  * Regular expression for valid namespace format.
  */
 module.exports.VALID_NAMESPACE_FORMAT = namespaceFormat
+/**
+ * Regular expression for valid collection name format.
+ */
+module.exports.VALID_COLLECTION_NAME_FORMAT = collectionNameFormat
 /**
  * Scope that allows the cration of delegate DataStore objects.
  */
@@ -147,7 +1788,95 @@ module.exports.SCOPE_DELEGATE = 'delegate'
  * Scope that only allows the creation of collections.
  */
 module.exports.SCOPE_COLLECTIONSONLY = 'collectionsOnly'
+/**
+ * Scope that only allows collections to be read. Can be combined with SCOPE_DELEGATE or SCOPE_COLLECTIONSONLY.
+ */
+module.exports.SCOPE_READONLY = 'readOnly'
+/**
+ * Scope that only allows collections to be written. Can be combined with SCOPE_DELEGATE or SCOPE_COLLECTIONSONLY.
+ */
+module.exports.SCOPE_WRITEONLY = 'writeOnly'
+/**
+ * Connection string that selects the in-memory backend.
+ */
+module.exports.MEMORY_CONNECTION_STRING = memoryConnectionString
 /**
  * Default name for the database to use.
  */
-module.exports.DEFAULT_DBNAME = defaultDbName
\ No newline at end of file
+module.exports.DEFAULT_DBNAME = defaultDbName
+/**
+ * Name of the reserved collection that audit entries are written to.
+ */
+module.exports.AUDIT_COLLECTION_NAME = auditCollectionName
+/**
+ * Name of the reserved collection that the namespace registry is stored in.
+ */
+module.exports.NAMESPACE_REGISTRY_COLLECTION_NAME = registryCollectionName
+/**
+ * Thrown when a collection name does not match VALID_COLLECTION_NAME_FORMAT.
+ */
+module.exports.InvalidCollectionNameError = InvalidCollectionNameError
+/**
+ * Thrown when attempting to move collections to a namespace that already has collections.
+ */
+module.exports.DataStoreExistsError = DataStoreExistsError
+/**
+ * Thrown when attempting to change a schema that has been locked by a parent DataStore.
+ */
+module.exports.SchemaLockedError = SchemaLockedError
+/**
+ * Thrown when a list of migrations is invalid or a migration cannot be rolled back.
+ */
+module.exports.MigrationError = MigrationError
+/**
+ * Thrown when the migration lock for a namespace could not be taken in time.
+ */
+module.exports.MigrationLockTimeoutError = MigrationLockTimeoutError
+/**
+ * Thrown when a DataStore or collection is used for an operation that its scope does not allow.
+ */
+module.exports.ForbiddenOperationError = ForbiddenOperationError
+/**
+ * Thrown when attempting to create a child DataStore with more rights than its parent.
+ */
+module.exports.ScopeEscalationError = ScopeEscalationError
+/**
+ * Thrown when an operation would exceed the quota of a DataStore namespace.
+ */
+module.exports.QuotaExceededError = QuotaExceededError
+/**
+ * Thrown when attempting to start a transaction against a server that does not support transactions.
+ */
+module.exports.TransactionsNotSupportedError = TransactionsNotSupportedError
+/**
+ * Thrown when importing from a source that is not a valid DataStore archive.
+ */
+module.exports.ArchiveFormatError = ArchiveFormatError
+/**
+ * Thrown when the module is initialized while a module-level root DataStore already exists.
+ */
+module.exports.AlreadyInitializedError = AlreadyInitializedError
+/**
+ * Thrown when a DataStore is used before its root has finished initializing.
+ */
+module.exports.NotInitializedError = NotInitializedError
+/**
+ * Thrown when a namespace name does not match VALID_NAMESPACE_FORMAT.
+ */
+module.exports.InvalidNamespaceError = InvalidNamespaceError
+/**
+ * Thrown when a scope is not a valid scope name, or an array of valid scope names.
+ */
+module.exports.InvalidScopeError = InvalidScopeError
+/**
+ * Thrown when a DataStore, or a collection handed out by it, is used after its root has been discarded.
+ */
+module.exports.DiscardedDataStoreError = DiscardedDataStoreError
+/**
+ * Thrown when a DataStore, or a collection handed out by it, is used after it or one of its ancestors has been revoked.
+ */
+module.exports.RevokedDataStoreError = RevokedDataStoreError
+/**
+ * Thrown when an encrypted field cannot be decrypted, or is used in a way that encryption does not allow.
+ */
+module.exports.EncryptionError = EncryptionError
@@ -0,0 +1,40 @@
+/**
+ * ES module entry point, re-exports the CommonJS module (DataStore.js).
+ *
+ * The initializer is the default export, everything else is also available as named exports.
+ */
+import DataStore from './DataStore.js'
+
+export default DataStore
+
+export const {
+    createDataStoreRoot,
+    formatPrometheusMetrics,
+    VALID_NAMESPACE_FORMAT,
+    VALID_COLLECTION_NAME_FORMAT,
+    SCOPE_DELEGATE,
+    SCOPE_COLLECTIONSONLY,
+    SCOPE_READONLY,
+    SCOPE_WRITEONLY,
+    MEMORY_CONNECTION_STRING,
+    DEFAULT_DBNAME,
+    AUDIT_COLLECTION_NAME,
+    NAMESPACE_REGISTRY_COLLECTION_NAME,
+    InvalidCollectionNameError,
+    DataStoreExistsError,
+    SchemaLockedError,
+    MigrationError,
+    MigrationLockTimeoutError,
+    ForbiddenOperationError,
+    ScopeEscalationError,
+    QuotaExceededError,
+    TransactionsNotSupportedError,
+    ArchiveFormatError,
+    AlreadyInitializedError,
+    NotInitializedError,
+    InvalidNamespaceError,
+    InvalidScopeError,
+    DiscardedDataStoreError,
+    RevokedDataStoreError,
+    EncryptionError
+} = DataStore
@@ -0,0 +1,194 @@
+const fs = require('fs')
+const readline = require('readline')
+const { once } = require('events')
+const { BSON } = require('mongodb')
+const { ArchiveFormatError } = require('./errors')
+
+const { EJSON } = BSON
+
+/**
+ * Identifies DataStore archives. Stored in the manifest, which is the first line of the archive.
+ */
+const archiveFormat = 'morrigan.datastore.archive'
+const archiveVersion = 1
+
+/**
+ * Number of documents to write to the database at a time when importing.
+ */
+const importBatchSize = 1000
+
+/**
+ * Index properties that are specific to the source collection and should not be included in archives.
+ */
+const excludedIndexProperties = ['v', 'ns']
+
+/**
+ * Writes a line to a stream, waiting for the stream to drain if its buffer is full.
+ * @param {Writable} stream The stream to write to.
+ * @param {object} value Value to write as a line of (canonical) Extended JSON.
+ */
+const writeLine = async (stream, value) => {
+    if (!stream.write(EJSON.stringify(value, { relaxed: false }) + '\n')) {
+        await once(stream, 'drain')
+    }
+}
+
+/**
+ * Exports collections to an archive.
+ *
+ * The archive is a file of JSON lines: the first line is a manifest listing the collections (with their options
+ * and indexes), followed by one line per document. Collection names in the archive are relative to the exported
+ * namespace and all values are written as canonical Extended JSON.
+ *
+ * @param {object} backend Backend that the collections belong to.
+ * @param {string} namespace The exported namespace.
+ * @param {string[]} names Full names of the collections to export.
+ * @param {Writable|string} target Stream or file path to write the archive to. Streams are not ended, files are closed once written.
+ * @param {object} encryptionIds Optional map of the exported namespaces (relative to the namespace, '' for the namespace itself) to their encryption IDs, recorded in the manifest so that encrypted values can be imported under other namespaces.
+ * @returns Object with the number of collections and documents exported.
+ */
+const exportCollections = async (backend, namespace, names, target, encryptionIds) => {
+    let stream = typeof target === 'string' ? fs.createWriteStream(target) : target
+    let summary = { collections: 0, documents: 0 }
+
+    try {
+        let collections = []
+        for (const name of names) {
+            let options = await backend.getCollectionOptions(name)
+            let indexes = (await backend.collection(name).indexes())
+                .filter(index => index.name !== '_id_')
+                .map(index => {
+                    let spec = Object.assign({}, index)
+                    for (const property of excludedIndexProperties) {
+                        delete spec[property]
+                    }
+                    return spec
+                })
+
+            collections.push({ name: name.substring(namespace.length + 1), options: options || {}, indexes })
+        }
+
+        let manifest = { format: archiveFormat, version: archiveVersion, namespace, exportedAt: new Date(), collections }
+        if (encryptionIds) {
+            manifest.encryptionIds = encryptionIds
+        }
+        await writeLine(stream, manifest)
+
+        for (const name of names) {
+            let relativeName = name.substring(namespace.length + 1)
+            for await (const document of backend.collection(name).find({})) {
+                await writeLine(stream, { collection: relativeName, document })
+                summary.documents += 1
+            }
+            summary.collections += 1
+        }
+    } finally {
+        if (typeof target === 'string') {
+            stream.end()
+            await once(stream, 'finish')
+        }
+    }
+
+    return summary
+}
+
+/**
+ * Imports collections from an archive created by exportCollections.
+ *
+ * @param {Readable|string} source Stream or file path to read the archive from.
+ * @param {object} hooks Functions provided by the importing DataStore:
+ *   - resolveName(relativeName): Returns the full name of a collection in the archive, throws if it is not allowed.
+ *   - prepare(names, mode, manifest): Called with the full names of all archived collections (and the manifest) before anything is written.
+ *   - createCollection(name, options): Creates a collection if it does not exist.
+ *   - insertDocuments(name, documents, mode): Writes a batch of documents to a collection.
+ *   - createIndexes(name, indexes): Creates the indexes of a collection.
+ * @param {string} mode 'replace' or 'merge'.
+ * @returns Object with the namespace the archive was exported from, and the number of collections and documents imported.
+ * @throws ArchiveFormatError if the source is not a valid archive.
+ */
+const importCollections = async (source, hooks, mode) => {
+    let stream = typeof source === 'string' ? fs.createReadStream(source) : source
+    let lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+
+    let manifest = null
+    let names = {}
+    let batches = {}
+    let summary = { namespace: null, collections: 0, documents: 0 }
+
+    const flush = async (relativeName) => {
+        let batch = batches[relativeName]
+        if (batch && batch.length > 0) {
+            batches[relativeName] = []
+            await hooks.insertDocuments(names[relativeName], batch, mode)
+            summary.documents += batch.length
+        }
+    }
+
+    try {
+        for await (const line of lines) {
+            if (line.trim().length === 0) {
+                continue
+            }
+
+            let entry = null
+            try {
+                entry = EJSON.parse(line, { relaxed: false })
+            } catch (e) {
+                throw new ArchiveFormatError(`Unable to parse line of archive: ${e.message}`)
+            }
+
+            if (manifest === null) {
+                // Numbers are parsed as Int32 (etc.) values in canonical mode, so the version is converted first:
+                if (entry.format !== archiveFormat || Number(entry.version) !== archiveVersion || !Array.isArray(entry.collections)) {
+                    throw new ArchiveFormatError(`The source is not a DataStore archive (expected format '${archiveFormat}', version ${archiveVersion}).`)
+                }
+                manifest = entry
+                summary.namespace = manifest.namespace
+
+                for (const collection of manifest.collections) {
+                    names[collection.name] = hooks.resolveName(collection.name)
+                    batches[collection.name] = []
+                }
+
+                await hooks.prepare(Object.values(names), mode, manifest)
+                for (const collection of manifest.collections) {
+                    await hooks.createCollection(names[collection.name], collection.options || {})
+                }
+                continue
+            }
+
+            if (!(entry.collection in names)) {
+                throw new ArchiveFormatError(`The archive contains a document for '${entry.collection}', which is not listed in the manifest.`)
+            }
+
+            batches[entry.collection].push(entry.document)
+            if (batches[entry.collection].length >= importBatchSize) {
+                await flush(entry.collection)
+            }
+        }
+
+        if (manifest === null) {
+            throw new ArchiveFormatError('The source is empty.')
+        }
+
+        for (const collection of manifest.collections) {
+            await flush(collection.name)
+            if (collection.indexes.length > 0) {
+                await hooks.createIndexes(names[collection.name], collection.indexes)
+            }
+            summary.collections += 1
+        }
+    } finally {
+        lines.close()
+        if (typeof source === 'string') {
+            stream.destroy()
+        }
+    }
+
+    return summary
+}
+
+module.exports = {
+    exportCollections,
+    importCollections
+}
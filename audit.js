@@ -0,0 +1,195 @@
+const fs = require('fs')
+const { wrapCollection, synchronousMethods } = require('./collections')
+
+/**
+ * Name of the reserved collection that audit entries are written to.
+ *
+ * The name is outside of the 'global' namespace, so it can only be reached through the root DataStore.
+ */
+const auditCollectionName = '#datastore.audit'
+
+/**
+ * Collection methods that are always audited, as they change the structure of the collection.
+ */
+const structuralMethods = ['drop', 'rename', 'createIndex', 'createIndexes', 'dropIndex', 'dropIndexes']
+
+/**
+ * Collection methods that are audited when options.audit.writes is enabled.
+ */
+const writeMethods = [
+    'insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany',
+    'bulkWrite', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate'
+]
+
+/**
+ * Extracts the document IDs targeted by a filter, if the filter targets specific IDs.
+ * @param {object} filter Query filter.
+ * @returns Array of document IDs.
+ */
+const idsFromFilter = (filter) => {
+    if (!filter || typeof filter !== 'object' || !('_id' in filter)) {
+        return []
+    }
+
+    let id = filter._id
+    if (id !== null && typeof id === 'object' && Object.getPrototypeOf(id) === Object.prototype) {
+        return Array.isArray(id.$in) ? id.$in : (id.$eq !== undefined ? [id.$eq] : [])
+    }
+    return [id]
+}
+
+/**
+ * Extracts the IDs of the documents affected by a write.
+ * @param {string} method Name of the collection method.
+ * @param {any[]} args Arguments passed to the method.
+ * @param {object} result Result returned by the method.
+ * @returns Array of document IDs.
+ */
+const documentIdsFromWrite = (method, args, result) => {
+    result = result || {}
+
+    switch (method) {
+        case 'insertOne':
+            return [result.insertedId]
+        case 'insertMany':
+            return Object.values(result.insertedIds || {})
+        case 'bulkWrite':
+            return Object.values(result.insertedIds || {}).concat(Object.values(result.upsertedIds || {}))
+        case 'findOneAndDelete':
+        case 'findOneAndReplace':
+        case 'findOneAndUpdate':
+            return result.value ? [result.value._id] : idsFromFilter(args[0])
+        default:
+            return idsFromFilter(args[0]).concat(result.upsertedId ? [result.upsertedId] : [])
+    }
+}
+
+/**
+ * Default handler for sinks that fail to record an entry, logs a warning to the console.
+ * @param {Error} error The error thrown by the sink.
+ * @param {object} entry The entry that could not be recorded.
+ */
+const logSinkError = (error, entry) => {
+    let target = entry.collection === null ? entry.namespace : `${entry.namespace}.${entry.collection}`
+    console.warn(`Unable to record audit entry for '${entry.operation}' on '${target}': ${error.message}`)
+}
+
+/**
+ * Creates a sink that appends audit entries to a file, as JSON lines.
+ * @param {string} path Path of the file.
+ * @returns Sink function.
+ */
+const createFileSink = (path) => {
+    return async (entry) => {
+        await fs.promises.appendFile(path, JSON.stringify(entry) + '\n')
+    }
+}
+
+/**
+ * Creates an auditor that records DataStore operations.
+ *
+ * @param {object} backend Backend holding the audit collection.
+ * @param {boolean|object} auditOptions Audit settings from the initializer ('true' enables auditing with default settings):
+ *   - writes: Whether to record every write made through collections handed out by the DataStores (default false).
+ *   - collection: Whether to record entries in the reserved audit collection (default true).
+ *   - sinks: Array of additional sinks. Each sink is either a function called with each entry, or an object with a 'file' property naming a JSONL file to append entries to.
+ *   - onSinkError: Function called with (error, entry) when a sink fails, defaults to logging a warning to the console.
+ * @returns The auditor, or null if auditing is not enabled.
+ */
+const createAuditor = (backend, auditOptions) => {
+    if (!auditOptions) {
+        return null
+    }
+    if (auditOptions === true) {
+        auditOptions = {}
+    }
+
+    let sinks = []
+    let collection = null
+
+    if (auditOptions.collection !== false) {
+        collection = backend.collection(auditCollectionName)
+        sinks.push(async (entry) => {
+            await collection.insertOne(Object.assign({}, entry))
+        })
+    }
+
+    for (const sink of auditOptions.sinks || []) {
+        if (typeof sink === 'function') {
+            sinks.push(sink)
+        } else if (sink && typeof sink.file === 'string') {
+            sinks.push(createFileSink(sink.file))
+        } else {
+            throw new Error(`Invalid audit sink: ${sink}. Sinks should be functions or objects with a 'file' property.`)
+        }
+    }
+
+    let onSinkError = typeof auditOptions.onSinkError === 'function' ? auditOptions.onSinkError : logSinkError
+
+    return {
+        writes: auditOptions.writes === true,
+        collection,
+
+        /**
+         * Records an audit entry in all sinks.
+         *
+         * Entries are recorded after the operation has been performed, so sinks that fail are reported to onSinkError
+         * instead of failing the operation.
+         *
+         * @param {object} entry Entry with namespace, operation, collection, documentIds and (optionally) details.
+         */
+        record: async (entry) => {
+            entry = Object.assign({ collection: null, documentIds: [] }, entry, { timestamp: new Date() })
+            for (const sink of sinks) {
+                try {
+                    await sink(entry)
+                } catch (e) {
+                    onSinkError(e, entry)
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Wraps a collection so that structural changes (and, if enabled, writes) made through it are audited.
+ *
+ * Writes made using bulk operation builders (initializeOrderedBulkOp/initializeUnorderedBulkOp) are not audited.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {object} auditor Auditor created by createAuditor, or null.
+ * @param {string} namespace Namespace of the DataStore that handed out the collection.
+ * @param {string} name Name of the collection, relative to the namespace.
+ * @returns The wrapped collection, or the collection itself if auditing is not enabled.
+ */
+const auditCollection = (collection, auditor, namespace, name) => {
+    if (!auditor) {
+        return collection
+    }
+
+    return wrapCollection(collection, (method, args, invoke) => {
+        let audited = structuralMethods.includes(method) || (auditor.writes && writeMethods.includes(method))
+        if (!audited || synchronousMethods.includes(method)) {
+            return invoke()
+        }
+
+        return invoke().then(async (result) => {
+            let entry = { namespace, operation: method, collection: name }
+            if (structuralMethods.includes(method)) {
+                if (args.length > 0) {
+                    entry.details = { target: args[0] }
+                }
+            } else {
+                entry.documentIds = documentIdsFromWrite(method, args, result)
+            }
+            await auditor.record(entry)
+            return result
+        })
+    })
+}
+
+module.exports = {
+    auditCollectionName,
+    createAuditor,
+    auditCollection
+}
@@ -0,0 +1,55 @@
+const { createMongoDBBackend } = require('./mongodb')
+const { createMemoryBackend } = require('./memory')
+
+/**
+ * Storage backends.
+ *
+ * A backend provides the storage used by a root DataStore and everything under it. Collection names passed to
+ * a backend are always full names (e.g. 'global.A.users'). Backends are objects with the following functions:
+ *   - collection(name, options): Returns a collection (an object implementing the driver's Collection methods). The
+ *     options can include the default 'readConcern' and 'writeConcern' for operations on the collection.
+ *   - listCollectionNames(prefix): Returns the sorted names of all collections whose names start with the prefix.
+ *   - getCollectionOptions(name): Returns the options of a collection, or null if it does not exist.
+ *   - createCollection(name, options): Creates a collection, fails if the collection already exists.
+ *   - modifyCollection(name, options): Changes the options (e.g. validator) of an existing collection.
+ *   - dropCollection(name): Drops a collection, returns false if it did not exist.
+ *   - renameCollection(name, newName, options): Renames a collection.
+ *   - getCollectionStats(name): Returns count, size, storageSize, totalIndexSize and indexSizes for a collection.
+ *   - supportsTransactions(): Returns whether startSession can be used to run transactions.
+ *   - startSession(): Starts a session that provides withTransaction and endSession.
+ *   - watch(pipeline, options): Opens a change stream on all collections (events in the driver's ChangeStream format).
+ *   - start(): Called once the root has been created, emits 'connected' on the emitter passed to the backend.
+ *   - healthCheck(options): Returns {ok, latencyMS, topology, error}.
+ *   - dropDatabase(): Removes all data.
+ *   - close(): Releases the resources held by the backend.
+ *
+ * When metrics are enabled, backends are passed an 'onCommand' function that they should call with
+ * {collectionName, commandName, durationMS, error, command} each time a command on a collection completes.
+ */
+
+/**
+ * Connection string that selects the in-memory backend.
+ */
+const memoryConnectionString = ':memory:'
+
+/**
+ * Creates the backend for a connection string: ':memory:' selects the in-memory backend, anything else is
+ * treated as a MongoDB connection string.
+ *
+ * @param {string} connectionString The connection string.
+ * @param {object} backendOptions Settings passed to the backend (dbName, retry, emitter, clientOptions and onCommand).
+ * @returns The backend.
+ */
+const createBackend = async (connectionString, backendOptions) => {
+    if (connectionString === memoryConnectionString) {
+        return createMemoryBackend(backendOptions)
+    }
+    return await createMongoDBBackend(connectionString, backendOptions)
+}
+
+module.exports = {
+    memoryConnectionString,
+    createBackend,
+    createMongoDBBackend,
+    createMemoryBackend
+}
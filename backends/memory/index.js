@@ -0,0 +1,904 @@
+const { ObjectId, BSON } = require('mongodb')
+const { wrapCollection } = require('../../collections')
+const {
+    serverError,
+    cloneDocument,
+    valuesEqual,
+    getPath,
+    matches,
+    isReplacement,
+    applyUpdate,
+    documentFromFilter,
+    ensureId,
+    createComparator,
+    project,
+    distinctValues
+} = require('./query')
+
+/**
+ * Creates the error thrown when a feature of the MongoDB driver is not available in the in-memory backend.
+ * @param {string} feature Name of the feature.
+ * @returns The error.
+ */
+const notSupported = (feature) => {
+    return serverError(`${feature} is not supported by the in-memory backend.`, 115, 'CommandNotSupported')
+}
+
+/**
+ * Normalizes an index key specification ('field', ['field', ...] or {field: 1}) to an object.
+ * @param {string|string[]|object} keys The key specification.
+ * @returns Key specification object.
+ */
+const normalizeIndexKeys = (keys) => {
+    if (typeof keys === 'string') {
+        return { [keys]: 1 }
+    }
+    if (Array.isArray(keys)) {
+        return Object.assign({}, ...keys.map(normalizeIndexKeys))
+    }
+    return Object.assign({}, keys)
+}
+
+/**
+ * Generates the default name of an index, in the same way as the server (e.g. 'name_1_age_-1').
+ * @param {object} keys Key specification object.
+ * @returns The index name.
+ */
+const defaultIndexName = (keys) => {
+    return Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_')
+}
+
+/**
+ * Returns the values of the indexed fields of a document, or null if a sparse index does not include the document.
+ * @param {object} index The index.
+ * @param {object} document The document.
+ * @returns Array of values (missing fields are null).
+ */
+const indexKeyValues = (index, document) => {
+    let fields = Object.keys(index.key)
+    let values = fields.map(field => getPath(document, field))
+    if (index.sparse && values.every(value => value === undefined)) {
+        return null
+    }
+    return values.map(value => value === undefined ? null : value)
+}
+
+/**
+ * Cursor over the results of a query against the in-memory backend, implementing the commonly used subset of
+ * FindCursor/AggregationCursor.
+ *
+ * The results are computed when the cursor is first read, from a snapshot of the collection.
+ */
+class MemoryCursor {
+
+    /**
+     * @param {function} load Function returning the documents to iterate over (before sort, skip, limit and projection).
+     */
+    constructor(load) {
+        this.load = load
+        this.sortSpec = null
+        this.skipCount = 0
+        this.limitCount = 0
+        this.projection = null
+        this.transforms = []
+        this.buffer = null
+    }
+
+    sort(sort, direction) {
+        this.sortSpec = typeof sort === 'string' ? { [sort]: direction || 1 } : sort
+        return this
+    }
+
+    skip(count) {
+        this.skipCount = count
+        return this
+    }
+
+    limit(count) {
+        this.limitCount = count
+        return this
+    }
+
+    project(projection) {
+        this.projection = projection
+        return this
+    }
+
+    map(transform) {
+        this.transforms.push(transform)
+        return this
+    }
+
+    rewind() {
+        this.buffer = null
+    }
+
+    /**
+     * Computes the results, if they have not been computed yet.
+     */
+    materialize() {
+        if (this.buffer !== null) {
+            return
+        }
+
+        let documents = this.load()
+        if (this.sortSpec) {
+            documents = documents.slice().sort(createComparator(this.sortSpec))
+        }
+        documents = documents.slice(this.skipCount, this.limitCount > 0 ? this.skipCount + this.limitCount : undefined)
+        this.buffer = documents.map(document => {
+            let result = project(cloneDocument(document), this.projection)
+            return this.transforms.reduce((value, transform) => transform(value), result)
+        })
+    }
+
+    async next() {
+        this.materialize()
+        return this.buffer.length > 0 ? this.buffer.shift() : null
+    }
+
+    async tryNext() {
+        return await this.next()
+    }
+
+    async hasNext() {
+        this.materialize()
+        return this.buffer.length > 0
+    }
+
+    async toArray() {
+        this.materialize()
+        let documents = this.buffer
+        this.buffer = []
+        return documents
+    }
+
+    async forEach(iterator) {
+        for await (const document of this) {
+            if (iterator(document) === false) {
+                break
+            }
+        }
+    }
+
+    async close() {
+        this.buffer = []
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (;;) {
+            let document = await this.next()
+            if (document === null) {
+                return
+            }
+            yield document
+        }
+    }
+}
+
+/**
+ * Runs an aggregation pipeline, supporting the $match, $sort, $skip, $limit, $project and $count stages.
+ * @param {object[]} documents Documents to run the pipeline on.
+ * @param {object[]} pipeline The pipeline.
+ * @returns The resulting documents.
+ */
+const runPipeline = (documents, pipeline) => {
+    for (const stage of pipeline || []) {
+        let [name] = Object.keys(stage)
+        let argument = stage[name]
+        switch (name) {
+            case '$match':
+                documents = documents.filter(document => matches(document, argument))
+                break
+            case '$sort':
+                documents = documents.slice().sort(createComparator(argument))
+                break
+            case '$skip':
+                documents = documents.slice(argument)
+                break
+            case '$limit':
+                documents = documents.slice(0, argument)
+                break
+            case '$project':
+                documents = documents.map(document => project(document, argument))
+                break
+            case '$count':
+                documents = documents.length > 0 ? [{ [argument]: documents.length }] : []
+                break
+            default:
+                throw notSupported(`The aggregation stage '${name}'`)
+        }
+    }
+    return documents
+}
+
+/**
+ * A collection in the in-memory backend, implementing the commonly used subset of the driver's Collection class.
+ *
+ * Documents are stored as deep copies, so changes to documents passed to or returned from the collection do not
+ * affect the stored documents. Validators are recorded but not enforced, and sessions are ignored.
+ */
+class MemoryCollection {
+
+    /**
+     * @param {object} storage Storage of the in-memory backend (dbName and the map of collections).
+     * @param {string} name Full name of the collection.
+     * @param {object} options Optional settings, recognizes 'readConcern' and 'writeConcern' (reported, but without effect).
+     */
+    constructor(storage, name, options) {
+        this.storage = storage
+        this.name = name
+        this.settings = options || {}
+    }
+
+    get collectionName() {
+        return this.name
+    }
+
+    get dbName() {
+        return this.storage.dbName
+    }
+
+    get namespace() {
+        return `${this.storage.dbName}.${this.name}`
+    }
+
+    get readConcern() {
+        return this.settings.readConcern
+    }
+
+    get writeConcern() {
+        return this.settings.writeConcern
+    }
+
+    /**
+     * Returns the stored state of the collection.
+     * @param {boolean} create Whether the collection should be created if it does not exist (as writes do).
+     * @returns Object with options, documents and indexes, or null if the collection does not exist.
+     */
+    entry(create) {
+        let entry = this.storage.collections.get(this.name)
+        if (!entry && create) {
+            entry = this.storage.create(this.name, {})
+        }
+        return entry || null
+    }
+
+    documents() {
+        let entry = this.entry(false)
+        return entry ? entry.documents : []
+    }
+
+    matching(filter) {
+        return this.documents().filter(document => matches(document, filter || {}))
+    }
+
+    /**
+     * Ensures that a document does not violate any of the unique indexes of the collection.
+     * @param {object} entry Stored state of the collection.
+     * @param {object} document The document to check.
+     * @param {object} replaced The stored document that the document replaces, if any.
+     * @throws A MongoServerError with code 11000 if a unique index would be violated.
+     */
+    checkUnique(entry, document, replaced) {
+        for (const index of entry.indexes) {
+            if (index.name !== '_id_' && !index.unique) {
+                continue
+            }
+            let values = indexKeyValues(index, document)
+            if (values === null) {
+                continue
+            }
+            for (const existing of entry.documents) {
+                if (existing === replaced) {
+                    continue
+                }
+                let existingValues = indexKeyValues(index, existing)
+                if (existingValues !== null && values.every((value, i) => valuesEqual(value, existingValues[i]))) {
+                    let keyValue = {}
+                    Object.keys(index.key).forEach((field, i) => keyValue[field] = values[i])
+                    let error = serverError(`E11000 duplicate key error collection: ${this.namespace} index: ${index.name} dup key: ${BSON.EJSON.stringify(keyValue)}`, 11000, 'DuplicateKey')
+                    error.keyPattern = Object.assign({}, index.key)
+                    error.keyValue = keyValue
+                    throw error
+                }
+            }
+        }
+    }
+
+    /**
+     * Stores a new document.
+     * @param {object} document The document (must have an _id).
+     */
+    store(document) {
+        let entry = this.entry(true)
+        let stored = cloneDocument(Object.assign({ _id: document._id }, document))
+        this.checkUnique(entry, stored, null)
+        entry.documents.push(stored)
+    }
+
+    /**
+     * Replaces a stored document.
+     * @param {object} existing The stored document.
+     * @param {object} document The new version of the document.
+     * @returns True if the document changed.
+     */
+    replaceStored(existing, document) {
+        let entry = this.entry(true)
+        let stored = cloneDocument(document)
+        this.checkUnique(entry, stored, existing)
+        entry.documents[entry.documents.indexOf(existing)] = stored
+        return !valuesEqual(existing, stored)
+    }
+
+    /**
+     * Updates the documents matching a filter, inserting a new document if none match and upsert is enabled.
+     * @returns Object with matchedCount, modifiedCount, upsertedId, and the documents before and after the update.
+     */
+    applyWrite(filter, update, options, multi) {
+        options = options || {}
+        let targets = this.matching(filter)
+        if (options.sort) {
+            targets = targets.slice().sort(createComparator(options.sort))
+        }
+        if (!multi) {
+            targets = targets.slice(0, 1)
+        }
+
+        let result = { matchedCount: targets.length, modifiedCount: 0, upsertedId: null, before: null, after: null }
+
+        for (const existing of targets) {
+            let updated = applyUpdate(existing, update, false)
+            if (this.replaceStored(existing, updated)) {
+                result.modifiedCount += 1
+            }
+            result.before = existing
+            result.after = updated
+        }
+
+        if (targets.length === 0 && options.upsert) {
+            let base = documentFromFilter(filter)
+            if (isReplacement(update)) {
+                base = base._id !== undefined ? { _id: base._id } : {}
+            }
+            let inserted = ensureId(applyUpdate(base, update, true))
+            this.store(inserted)
+            result.upsertedId = inserted._id
+            result.after = inserted
+        }
+
+        return result
+    }
+
+    find(filter, options) {
+        options = options || {}
+        let cursor = new MemoryCursor(() => this.matching(filter))
+        if (options.sort) {
+            cursor.sort(options.sort)
+        }
+        if (options.skip) {
+            cursor.skip(options.skip)
+        }
+        if (options.limit) {
+            cursor.limit(options.limit)
+        }
+        if (options.projection) {
+            cursor.project(options.projection)
+        }
+        return cursor
+    }
+
+    async findOne(filter, options) {
+        return await this.find(filter, Object.assign({}, options, { limit: 1 })).next()
+    }
+
+    aggregate(pipeline) {
+        return new MemoryCursor(() => runPipeline(this.documents(), pipeline))
+    }
+
+    async countDocuments(filter, options) {
+        options = options || {}
+        let count = Math.max(this.matching(filter).length - (options.skip || 0), 0)
+        return options.limit ? Math.min(count, options.limit) : count
+    }
+
+    async count(filter, options) {
+        return await this.countDocuments(filter, options)
+    }
+
+    async estimatedDocumentCount() {
+        return this.documents().length
+    }
+
+    async distinct(key, filter) {
+        return distinctValues(this.matching(filter), key).map(value => cloneDocument({ value }).value)
+    }
+
+    async insertOne(document) {
+        if (document._id === undefined) {
+            document._id = new ObjectId()
+        }
+        this.store(document)
+        return { acknowledged: true, insertedId: document._id }
+    }
+
+    async insertMany(documents) {
+        let insertedIds = {}
+        documents.forEach((document, i) => {
+            if (document._id === undefined) {
+                document._id = new ObjectId()
+            }
+            this.store(document)
+            insertedIds[i] = document._id
+        })
+        return { acknowledged: true, insertedCount: documents.length, insertedIds }
+    }
+
+    async updateOne(filter, update, options) {
+        return this.update(filter, update, options, false)
+    }
+
+    async updateMany(filter, update, options) {
+        return this.update(filter, update, options, true)
+    }
+
+    update(filter, update, options, multi) {
+        if (isReplacement(update)) {
+            throw new Error('Update document requires atomic operators')
+        }
+        let result = this.applyWrite(filter, update, options, multi)
+        return {
+            acknowledged: true,
+            matchedCount: result.matchedCount,
+            modifiedCount: result.modifiedCount,
+            upsertedCount: result.upsertedId === null ? 0 : 1,
+            upsertedId: result.upsertedId
+        }
+    }
+
+    async replaceOne(filter, replacement, options) {
+        if (!isReplacement(replacement)) {
+            throw new Error('Replacement document must not contain atomic operators')
+        }
+        let result = this.applyWrite(filter, replacement, options, false)
+        return {
+            acknowledged: true,
+            matchedCount: result.matchedCount,
+            modifiedCount: result.modifiedCount,
+            upsertedCount: result.upsertedId === null ? 0 : 1,
+            upsertedId: result.upsertedId
+        }
+    }
+
+    delete(filter, multi) {
+        let entry = this.entry(false)
+        let targets = this.matching(filter)
+        if (!multi) {
+            targets = targets.slice(0, 1)
+        }
+        if (entry) {
+            entry.documents = entry.documents.filter(document => !targets.includes(document))
+        }
+        return targets
+    }
+
+    async deleteOne(filter) {
+        return { acknowledged: true, deletedCount: this.delete(filter, false).length }
+    }
+
+    async deleteMany(filter) {
+        return { acknowledged: true, deletedCount: this.delete(filter, true).length }
+    }
+
+    /**
+     * Creates the result of a findOneAnd* method.
+     */
+    modifyResult(value, options, extra) {
+        let document = value ? project(cloneDocument(value), options && options.projection) : null
+        return { value: document, ok: 1, lastErrorObject: Object.assign({ n: value ? 1 : 0 }, extra) }
+    }
+
+    async findOneAndUpdate(filter, update, options) {
+        if (isReplacement(update)) {
+            throw new Error('Update document requires atomic operators')
+        }
+        return this.findOneAndModify(filter, update, options)
+    }
+
+    async findOneAndReplace(filter, replacement, options) {
+        if (!isReplacement(replacement)) {
+            throw new Error('Replacement document must not contain atomic operators')
+        }
+        return this.findOneAndModify(filter, replacement, options)
+    }
+
+    findOneAndModify(filter, update, options) {
+        options = options || {}
+        let result = this.applyWrite(filter, update, options, false)
+        let value = options.returnDocument === 'after' ? result.after : result.before
+        let extra = { updatedExisting: result.matchedCount > 0 }
+        if (result.upsertedId !== null) {
+            extra.upserted = result.upsertedId
+        }
+        return this.modifyResult(value, options, extra)
+    }
+
+    async findOneAndDelete(filter, options) {
+        options = options || {}
+        let targets = this.matching(filter)
+        if (options.sort) {
+            targets = targets.slice().sort(createComparator(options.sort))
+        }
+        let [target] = targets
+        if (target) {
+            let entry = this.entry(false)
+            entry.documents = entry.documents.filter(document => document !== target)
+        }
+        return this.modifyResult(target, options, {})
+    }
+
+    async bulkWrite(operations, options) {
+        let ordered = !options || options.ordered !== false
+        let result = { ok: 1, insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} }
+        let errors = []
+
+        operations.forEach((operation, i) => {
+            if (errors.length > 0 && ordered) {
+                return
+            }
+
+            let [type] = Object.keys(operation)
+            let spec = operation[type]
+            try {
+                switch (type) {
+                    case 'insertOne': {
+                        let document = spec.document
+                        if (document._id === undefined) {
+                            document._id = new ObjectId()
+                        }
+                        this.store(document)
+                        result.insertedCount += 1
+                        result.insertedIds[i] = document._id
+                        break
+                    }
+                    case 'updateOne':
+                    case 'updateMany':
+                    case 'replaceOne': {
+                        let update = type === 'replaceOne' ? spec.replacement : spec.update
+                        let written = this.applyWrite(spec.filter, update, { upsert: spec.upsert }, type === 'updateMany')
+                        result.matchedCount += written.matchedCount
+                        result.modifiedCount += written.modifiedCount
+                        if (written.upsertedId !== null) {
+                            result.upsertedCount += 1
+                            result.upsertedIds[i] = written.upsertedId
+                        }
+                        break
+                    }
+                    case 'deleteOne':
+                    case 'deleteMany':
+                        result.deletedCount += this.delete(spec.filter, type === 'deleteMany').length
+                        break
+                    default:
+                        throw notSupported(`The bulk write operation '${type}'`)
+                }
+            } catch (e) {
+                errors.push(e)
+            }
+        })
+
+        if (errors.length > 0) {
+            errors[0].result = result
+            throw errors[0]
+        }
+        return result
+    }
+
+    async createIndex(keys, options) {
+        let [name] = await this.createIndexes([Object.assign({}, options, { key: normalizeIndexKeys(keys) })])
+        return name
+    }
+
+    async createIndexes(specs) {
+        let entry = this.entry(true)
+        let names = []
+
+        for (const spec of specs) {
+            let index = Object.assign({ v: 2 }, spec, { key: normalizeIndexKeys(spec.key) })
+            index.name = index.name || defaultIndexName(index.key)
+
+            let existing = entry.indexes.find(i => i.name === index.name || valuesEqual(i.key, index.key))
+            if (existing) {
+                if (existing.name !== index.name) {
+                    throw serverError(`Index already exists with a different name: ${existing.name}`, 85, 'IndexOptionsConflict')
+                }
+                if (!valuesEqual(existing.key, index.key) || existing.unique !== index.unique) {
+                    throw serverError(`An existing index has the same name as the requested index: ${index.name}`, 86, 'IndexKeySpecsConflict')
+                }
+                names.push(index.name)
+                continue
+            }
+
+            if (index.unique) {
+                let checked = { indexes: [index], documents: [] }
+                for (const document of entry.documents) {
+                    this.checkUnique(checked, document, null)
+                    checked.documents.push(document)
+                }
+            }
+
+            entry.indexes.push(index)
+            names.push(index.name)
+        }
+
+        return names
+    }
+
+    async indexes() {
+        return this.listIndexes().toArray()
+    }
+
+    listIndexes() {
+        return new MemoryCursor(() => {
+            let entry = this.entry(false)
+            return entry ? entry.indexes : []
+        })
+    }
+
+    async indexExists(names) {
+        let indexes = await this.indexes()
+        return (Array.isArray(names) ? names : [names]).every(name => indexes.some(index => index.name === name))
+    }
+
+    async indexInformation() {
+        let information = {}
+        for (const index of await this.indexes()) {
+            information[index.name] = Object.entries(index.key)
+        }
+        return information
+    }
+
+    async dropIndex(name) {
+        let entry = this.entry(false)
+        if (name === '_id_') {
+            throw serverError('cannot drop _id index', 72, 'InvalidOptions')
+        }
+        if (!entry || !entry.indexes.some(index => index.name === name)) {
+            throw serverError(`index not found with name [${name}]`, 27, 'IndexNotFound')
+        }
+        entry.indexes = entry.indexes.filter(index => index.name !== name)
+        return { ok: 1 }
+    }
+
+    async dropIndexes() {
+        let entry = this.entry(false)
+        if (entry) {
+            entry.indexes = entry.indexes.filter(index => index.name === '_id_')
+        }
+        return true
+    }
+
+    async drop() {
+        return this.storage.collections.delete(this.name)
+    }
+
+    async rename(newName, options) {
+        this.storage.rename(this.name, newName, options)
+        return new MemoryCollection(this.storage, newName)
+    }
+
+    async options() {
+        let entry = this.entry(false)
+        if (!entry) {
+            throw serverError(`Collection ${this.namespace} not found`, 26, 'NamespaceNotFound')
+        }
+        return cloneDocument(entry.options)
+    }
+
+    async isCapped() {
+        return false
+    }
+
+    watch() {
+        throw notSupported('Change streams')
+    }
+
+    initializeOrderedBulkOp() {
+        throw notSupported('initializeOrderedBulkOp')
+    }
+
+    initializeUnorderedBulkOp() {
+        throw notSupported('initializeUnorderedBulkOp')
+    }
+}
+
+/**
+ * Wraps a collection so that every method call is reported as a command, with the name of the method.
+ *
+ * Calls returning a promise are reported once the promise settles, and calls returning a cursor are reported
+ * when the cursor loads its results.
+ *
+ * @param {MemoryCollection} collection The collection.
+ * @param {function} onCommand Function called with {collectionName, commandName, durationMS, error, command}.
+ * @returns The wrapped collection.
+ */
+const instrumentCollection = (collection, onCommand) => {
+    return wrapCollection(collection, (method, args, invoke) => {
+        let start = process.hrtime.bigint()
+        const report = (error) => {
+            let durationMS = Number(process.hrtime.bigint() - start) / 1e6
+            onCommand({ collectionName: collection.collectionName, commandName: method, durationMS, error: error || null, command: null })
+        }
+
+        let result = null
+        try {
+            result = invoke()
+        } catch (e) {
+            report(e)
+            throw e
+        }
+
+        if (result instanceof MemoryCursor) {
+            let load = result.load
+            result.load = () => {
+                start = process.hrtime.bigint()
+                try {
+                    let documents = load()
+                    report(null)
+                    return documents
+                } catch (e) {
+                    report(e)
+                    throw e
+                }
+            }
+        } else if (result && typeof result.then === 'function') {
+            return result.then((value) => {
+                report(null)
+                return value
+            }, (error) => {
+                report(error)
+                throw error
+            })
+        }
+        return result
+    })
+}
+
+/**
+ * Creates a backend that keeps all data in memory, in the current process.
+ *
+ * Supports the commonly used Collection methods, including queries with the basic query operators, the update
+ * operators and unique indexes. Transactions, change streams and validators are not supported. All data is lost
+ * when the backend is closed.
+ *
+ * @param {object} backendOptions Settings:
+ *   - dbName: Name of the database (reported by collections, but otherwise unused).
+ *   - emitter: Emitter to report connection events on.
+ *   - onCommand: Function called with each completed collection method call, see instrumentCollection (optional).
+ * @returns The backend.
+ */
+const createMemoryBackend = (backendOptions) => {
+    let emitter = backendOptions.emitter
+    let topology = { type: 'Memory', servers: [] }
+
+    let storage = {
+        dbName: backendOptions.dbName,
+        collections: new Map(),
+
+        create: (name, options) => {
+            let entry = {
+                options: cloneDocument(options || {}),
+                documents: [],
+                indexes: [{ v: 2, key: { _id: 1 }, name: '_id_' }]
+            }
+            storage.collections.set(name, entry)
+            return entry
+        },
+
+        rename: (name, newName, options) => {
+            let entry = storage.collections.get(name)
+            if (!entry) {
+                throw serverError(`Source collection ${storage.dbName}.${name} does not exist`, 26, 'NamespaceNotFound')
+            }
+            if (storage.collections.has(newName) && !(options && options.dropTarget)) {
+                throw serverError(`Target collection ${storage.dbName}.${newName} already exists`, 48, 'NamespaceExists')
+            }
+            storage.collections.delete(name)
+            storage.collections.set(newName, entry)
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        collection: (name, options) => {
+            let collection = new MemoryCollection(storage, name, options)
+            if (typeof backendOptions.onCommand === 'function') {
+                return instrumentCollection(collection, backendOptions.onCommand)
+            }
+            return collection
+        },
+
+        listCollectionNames: async (prefix) => {
+            return Array.from(storage.collections.keys()).filter(name => name.startsWith(prefix)).sort()
+        },
+
+        getCollectionOptions: async (name) => {
+            let entry = storage.collections.get(name)
+            return entry ? cloneDocument(entry.options) : null
+        },
+
+        createCollection: async (name, options) => {
+            if (storage.collections.has(name)) {
+                throw serverError(`Collection ${storage.dbName}.${name} already exists.`, 48, 'NamespaceExists')
+            }
+            storage.create(name, options)
+            return new MemoryCollection(storage, name)
+        },
+
+        modifyCollection: async (name, options) => {
+            let entry = storage.collections.get(name)
+            if (!entry) {
+                throw serverError(`ns does not exist: ${storage.dbName}.${name}`, 26, 'NamespaceNotFound')
+            }
+            Object.assign(entry.options, cloneDocument(options))
+        },
+
+        dropCollection: async (name) => {
+            return storage.collections.delete(name)
+        },
+
+        renameCollection: async (name, newName, options) => {
+            storage.rename(name, newName, options)
+        },
+
+        getCollectionStats: async (name) => {
+            let entry = storage.collections.get(name) || { documents: [], indexes: [] }
+            let size = entry.documents.reduce((sum, document) => sum + BSON.calculateObjectSize(document), 0)
+            let indexSizes = {}
+            for (const index of entry.indexes) {
+                indexSizes[index.name] = entry.documents.reduce((sum, document) => {
+                    return sum + BSON.calculateObjectSize({ values: indexKeyValues(index, document) || [] })
+                }, 0)
+            }
+            return {
+                count: entry.documents.length,
+                size,
+                storageSize: size,
+                totalIndexSize: Object.values(indexSizes).reduce((sum, indexSize) => sum + indexSize, 0),
+                indexSizes
+            }
+        },
+
+        supportsTransactions: async () => {
+            return false
+        },
+
+        startSession: () => {
+            throw notSupported('Sessions')
+        },
+
+        watch: () => {
+            throw notSupported('Change streams')
+        },
+
+        start: () => {
+            emitter.emit('connected', { topology })
+        },
+
+        healthCheck: async () => {
+            return { ok: true, latencyMS: 0, topology }
+        },
+
+        dropDatabase: async () => {
+            storage.collections.clear()
+        },
+
+        close: async () => {}
+    }
+}
+
+module.exports = {
+    MemoryCollection,
+    MemoryCursor,
+    createMemoryBackend
+}
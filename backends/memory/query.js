@@ -0,0 +1,693 @@
+const { BSON, ObjectId, MongoServerError } = require('mongodb')
+
+/**
+ * Query, update, sort and projection support for the in-memory backend.
+ *
+ * This implements the commonly used subset of MongoDB's query language. Unsupported operators throw a
+ * MongoServerError, in the same way that the server rejects unknown operators.
+ */
+
+/**
+ * Creates an error in the same shape as the errors returned by the server.
+ * @param {string} message Error message.
+ * @param {number} code Server error code.
+ * @param {string} codeName Server error code name.
+ * @returns The error.
+ */
+const serverError = (message, code, codeName) => {
+    return new MongoServerError({ message, errmsg: message, code, codeName })
+}
+
+/**
+ * Deep copies a document, preserving BSON types.
+ * @param {object} document The document to copy.
+ * @returns The copy.
+ */
+const cloneDocument = (document) => {
+    return BSON.deserialize(BSON.serialize(document))
+}
+
+/**
+ * Deep copies any value, preserving BSON types.
+ * @param {any} value The value to copy.
+ * @returns The copy.
+ */
+const cloneValue = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+    return cloneDocument({ value }).value
+}
+
+/**
+ * Checks whether a value is an embedded document (as opposed to an array, a BSON value, a Date, etc).
+ * @param {any} value The value to check.
+ * @returns True if the value is an embedded document.
+ */
+const isDocument = (value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return false
+    }
+    return value._bsontype === undefined && !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value)
+}
+
+/**
+ * Checks whether an object only has operator keys (keys starting with '$').
+ * @param {any} value The value to check.
+ * @returns True if the value is an object with at least one key, and all keys start with '$'.
+ */
+const isOperatorObject = (value) => {
+    if (!isDocument(value)) {
+        return false
+    }
+    let keys = Object.keys(value)
+    return keys.length > 0 && keys.every(key => key.startsWith('$'))
+}
+
+const numericTypes = ['Long', 'Int32', 'Double', 'Decimal128']
+
+/**
+ * Returns the rank of a value's type in MongoDB's comparison order.
+ * @param {any} value The value.
+ * @returns The rank.
+ */
+const typeRank = (value) => {
+    if (value === undefined || value === null) {
+        return 1
+    }
+    if (typeof value === 'number' || (value._bsontype && numericTypes.includes(value._bsontype))) {
+        return 2
+    }
+    if (typeof value === 'string') {
+        return 3
+    }
+    if (isDocument(value)) {
+        return 4
+    }
+    if (Array.isArray(value)) {
+        return 5
+    }
+    if (Buffer.isBuffer(value) || value._bsontype === 'Binary') {
+        return 6
+    }
+    if (value._bsontype === 'ObjectId') {
+        return 7
+    }
+    if (typeof value === 'boolean') {
+        return 8
+    }
+    if (value instanceof Date) {
+        return 9
+    }
+    if (value instanceof RegExp || value._bsontype === 'BSONRegExp') {
+        return 10
+    }
+    return 11
+}
+
+const toNumber = (value) => {
+    return typeof value === 'number' ? value : Number(value.toString())
+}
+
+const compareScalars = (a, b) => {
+    return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+/**
+ * Compares two values using (a simplified version of) MongoDB's comparison order.
+ * @param {any} a First value.
+ * @param {any} b Second value.
+ * @returns Negative if a < b, positive if a > b and 0 if they are equal.
+ */
+const compareValues = (a, b) => {
+    let rankA = typeRank(a)
+    let rankB = typeRank(b)
+    if (rankA !== rankB) {
+        return rankA - rankB
+    }
+
+    switch (rankA) {
+        case 1:
+            return 0
+        case 2:
+            return compareScalars(toNumber(a), toNumber(b))
+        case 3:
+        case 8:
+            return compareScalars(a, b)
+        case 4: {
+            let entriesA = Object.entries(a)
+            let entriesB = Object.entries(b)
+            for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+                let result = compareScalars(entriesA[i][0], entriesB[i][0]) || compareValues(entriesA[i][1], entriesB[i][1])
+                if (result !== 0) {
+                    return result
+                }
+            }
+            return entriesA.length - entriesB.length
+        }
+        case 5: {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                let result = compareValues(a[i], b[i])
+                if (result !== 0) {
+                    return result
+                }
+            }
+            return a.length - b.length
+        }
+        case 6: {
+            let bufferA = Buffer.isBuffer(a) ? a : Buffer.from(a.buffer)
+            let bufferB = Buffer.isBuffer(b) ? b : Buffer.from(b.buffer)
+            return Buffer.compare(bufferA, bufferB)
+        }
+        case 7:
+            return compareScalars(a.toHexString(), b.toHexString())
+        case 9:
+            return compareScalars(a.getTime(), b.getTime())
+        default:
+            return compareScalars(String(a), String(b))
+    }
+}
+
+const valuesEqual = (a, b) => {
+    return typeRank(a) === typeRank(b) && compareValues(a, b) === 0
+}
+
+/**
+ * Resolves a dotted path in a document, following MongoDB's rules for traversing arrays.
+ * @param {any} value The document (or value) to resolve the path in.
+ * @param {string[]} segments The segments of the path.
+ * @returns Array of the values found at the path (undefined if the path is missing).
+ */
+const resolvePath = (value, segments) => {
+    if (segments.length === 0) {
+        return [value]
+    }
+
+    let [head, ...rest] = segments
+
+    if (Array.isArray(value)) {
+        let results = []
+        if (/^\d+$/.test(head)) {
+            results.push(...resolvePath(value[Number(head)], rest))
+        }
+        for (const element of value) {
+            if (isDocument(element)) {
+                results.push(...resolvePath(element, segments))
+            }
+        }
+        return results.length > 0 ? results : [undefined]
+    }
+
+    if (!isDocument(value)) {
+        return [undefined]
+    }
+    return resolvePath(value[head], rest)
+}
+
+/**
+ * Returns the value at a dotted path, without traversing arrays.
+ * @param {object} document The document.
+ * @param {string} path The dotted path.
+ * @returns The value, or undefined if the path is missing.
+ */
+const getPath = (document, path) => {
+    let value = document
+    for (const segment of path.split('.')) {
+        if (value === null || typeof value !== 'object') {
+            return undefined
+        }
+        value = value[segment]
+    }
+    return value
+}
+
+/**
+ * Sets the value at a dotted path, creating embedded documents as needed.
+ * @param {object} document The document to modify.
+ * @param {string} path The dotted path.
+ * @param {any} value The value to set.
+ */
+const setPath = (document, path, value) => {
+    let segments = path.split('.')
+    let last = segments.pop()
+    let target = document
+    for (const segment of segments) {
+        if (target[segment] === undefined || target[segment] === null) {
+            target[segment] = {}
+        }
+        target = target[segment]
+        if (typeof target !== 'object') {
+            throw serverError(`Cannot create field '${last}' in element {${segment}: ${target}}`, 28, 'PathNotViable')
+        }
+    }
+    target[last] = value
+}
+
+/**
+ * Removes the value at a dotted path.
+ * @param {object} document The document to modify.
+ * @param {string} path The dotted path.
+ */
+const unsetPath = (document, path) => {
+    let segments = path.split('.')
+    let last = segments.pop()
+    let target = getPath(document, segments.join('.'))
+    if (segments.length === 0) {
+        target = document
+    }
+    if (target !== null && typeof target === 'object') {
+        if (Array.isArray(target) && /^\d+$/.test(last)) {
+            target[Number(last)] = null
+        } else {
+            delete target[last]
+        }
+    }
+}
+
+const typeAliases = {
+    double: 2, number: 2, int: 2, long: 2, decimal: 2,
+    string: 3,
+    object: 4,
+    array: 5,
+    binData: 6,
+    objectId: 7,
+    bool: 8,
+    date: 9,
+    null: 1,
+    regex: 10
+}
+
+/**
+ * Expands a list of candidate values so that the elements of arrays are also candidates.
+ */
+const expandArrays = (candidates) => {
+    return candidates.flatMap(value => Array.isArray(value) ? [value, ...value] : [value])
+}
+
+const equalsForQuery = (candidates, argument) => {
+    if (argument instanceof RegExp) {
+        return expandArrays(candidates).some(value => typeof value === 'string' && argument.test(value))
+    }
+    if (argument === null) {
+        return candidates.some(value => value === null || value === undefined) || expandArrays(candidates).some(value => value === null)
+    }
+    return expandArrays(candidates).some(value => valuesEqual(value, argument))
+}
+
+const compareForQuery = (candidates, argument, test) => {
+    return expandArrays(candidates).some(value => {
+        return value !== undefined && typeRank(value) === typeRank(argument) && test(compareValues(value, argument))
+    })
+}
+
+/**
+ * Applies a query operator to the values found at a path.
+ * @param {any[]} candidates Values found at the path.
+ * @param {string} operator The operator.
+ * @param {any} argument The operator's argument.
+ * @param {object} condition The whole condition the operator belongs to (used for $regex/$options).
+ * @returns True if the values match.
+ */
+const applyOperator = (candidates, operator, argument, condition) => {
+    switch (operator) {
+        case '$eq':
+            return equalsForQuery(candidates, argument)
+        case '$ne':
+            return !equalsForQuery(candidates, argument)
+        case '$gt':
+            return compareForQuery(candidates, argument, result => result > 0)
+        case '$gte':
+            return compareForQuery(candidates, argument, result => result >= 0)
+        case '$lt':
+            return compareForQuery(candidates, argument, result => result < 0)
+        case '$lte':
+            return compareForQuery(candidates, argument, result => result <= 0)
+        case '$in':
+            if (!Array.isArray(argument)) {
+                throw serverError('$in needs an array', 2, 'BadValue')
+            }
+            return argument.some(value => equalsForQuery(candidates, value))
+        case '$nin':
+            if (!Array.isArray(argument)) {
+                throw serverError('$nin needs an array', 2, 'BadValue')
+            }
+            return !argument.some(value => equalsForQuery(candidates, value))
+        case '$exists':
+            return argument ? candidates.some(value => value !== undefined) : candidates.every(value => value === undefined)
+        case '$regex': {
+            let pattern = argument instanceof RegExp ? argument : new RegExp(argument, condition.$options || '')
+            return expandArrays(candidates).some(value => typeof value === 'string' && pattern.test(value))
+        }
+        case '$options':
+            return true
+        case '$not':
+            return !matchesCondition(candidates, argument)
+        case '$size':
+            return candidates.some(value => Array.isArray(value) && value.length === argument)
+        case '$all':
+            return Array.isArray(argument) && argument.length > 0 && argument.every(value => equalsForQuery(candidates, value))
+        case '$elemMatch':
+            return candidates.some(value => Array.isArray(value) && value.some(element => {
+                return isOperatorObject(argument) ? matchesCondition([element], argument) : (isDocument(element) && matches(element, argument))
+            }))
+        case '$type': {
+            let types = Array.isArray(argument) ? argument : [argument]
+            return expandArrays(candidates).some(value => value !== undefined && types.some(type => typeAliases[type] === typeRank(value)))
+        }
+        default:
+            throw serverError(`unknown operator: ${operator}`, 2, 'BadValue')
+    }
+}
+
+/**
+ * Checks whether the values found at a path match a condition (a value or an operator object).
+ * @param {any[]} candidates Values found at the path.
+ * @param {any} condition The condition.
+ * @returns True if the values match.
+ */
+const matchesCondition = (candidates, condition) => {
+    if (isOperatorObject(condition)) {
+        return Object.keys(condition).every(operator => applyOperator(candidates, operator, condition[operator], condition))
+    }
+    return applyOperator(candidates, '$eq', condition, {})
+}
+
+/**
+ * Checks whether a document matches a query filter.
+ * @param {object} document The document.
+ * @param {object} filter The query filter.
+ * @returns True if the document matches.
+ */
+const matches = (document, filter) => {
+    for (const key of Object.keys(filter || {})) {
+        let argument = filter[key]
+        switch (key) {
+            case '$and':
+                if (!argument.every(subFilter => matches(document, subFilter))) {
+                    return false
+                }
+                break
+            case '$or':
+                if (!argument.some(subFilter => matches(document, subFilter))) {
+                    return false
+                }
+                break
+            case '$nor':
+                if (argument.some(subFilter => matches(document, subFilter))) {
+                    return false
+                }
+                break
+            case '$comment':
+                break
+            default:
+                if (key.startsWith('$')) {
+                    throw serverError(`unknown top level operator: ${key}`, 2, 'BadValue')
+                }
+                if (!matchesCondition(resolvePath(document, key.split('.')), argument)) {
+                    return false
+                }
+        }
+    }
+    return true
+}
+
+/**
+ * Checks whether an update is a replacement document (as opposed to a document of update operators).
+ * @param {object} update The update.
+ * @returns True if the update is a replacement.
+ */
+const isReplacement = (update) => {
+    return !Object.keys(update).some(key => key.startsWith('$'))
+}
+
+const numberOrZero = (value, operator, path) => {
+    if (value === undefined) {
+        return 0
+    }
+    if (typeRank(value) !== 2) {
+        throw serverError(`Cannot apply ${operator} to a value of non-numeric type (field '${path}')`, 14, 'TypeMismatch')
+    }
+    return toNumber(value)
+}
+
+const arrayOrEmpty = (value, operator, path) => {
+    if (value === undefined) {
+        return []
+    }
+    if (!Array.isArray(value)) {
+        throw serverError(`The field '${path}' must be an array to apply ${operator}`, 2, 'BadValue')
+    }
+    return value
+}
+
+const eachValues = (argument) => {
+    return isDocument(argument) && Array.isArray(argument.$each) ? argument.$each : [argument]
+}
+
+/**
+ * Applies an update (operators or a replacement) to a document.
+ * @param {object} document The document to update (not modified).
+ * @param {object} update The update.
+ * @param {boolean} isInsert Whether the update is creating a new document (an upsert), which enables $setOnInsert.
+ * @returns The updated document.
+ */
+const applyUpdate = (document, update, isInsert) => {
+    if (Array.isArray(update)) {
+        throw serverError('Aggregation pipeline updates are not supported by the in-memory backend', 2, 'BadValue')
+    }
+
+    if (isReplacement(update)) {
+        let replacement = cloneDocument(update)
+        if (document._id !== undefined) {
+            if (replacement._id !== undefined && !valuesEqual(replacement._id, document._id)) {
+                throw serverError(`After applying the update, the (immutable) field '_id' was found to have been altered`, 66, 'ImmutableField')
+            }
+            return Object.assign({ _id: document._id }, replacement)
+        }
+        return replacement
+    }
+
+    let result = cloneDocument(document)
+
+    for (const operator of Object.keys(update)) {
+        let fields = update[operator]
+        for (const path of Object.keys(fields)) {
+            if (path.split('.').includes('$') || path.includes('$[')) {
+                throw serverError('Positional operators are not supported by the in-memory backend', 2, 'BadValue')
+            }
+            if (path === '_id' && operator !== '$setOnInsert' && !(operator === '$set' && (isInsert || valuesEqual(fields[path], document._id)))) {
+                throw serverError(`Performing an update on the path '_id' would modify the immutable field '_id'`, 66, 'ImmutableField')
+            }
+
+            let argument = fields[path]
+            let current = getPath(result, path)
+
+            switch (operator) {
+                case '$set':
+                    setPath(result, path, cloneValue(argument))
+                    break
+                case '$setOnInsert':
+                    if (isInsert) {
+                        setPath(result, path, cloneValue(argument))
+                    }
+                    break
+                case '$unset':
+                    unsetPath(result, path)
+                    break
+                case '$inc':
+                    setPath(result, path, numberOrZero(current, operator, path) + numberOrZero(argument, operator, path))
+                    break
+                case '$mul':
+                    setPath(result, path, numberOrZero(current, operator, path) * numberOrZero(argument, operator, path))
+                    break
+                case '$min':
+                    if (current === undefined || compareValues(argument, current) < 0) {
+                        setPath(result, path, cloneValue(argument))
+                    }
+                    break
+                case '$max':
+                    if (current === undefined || compareValues(argument, current) > 0) {
+                        setPath(result, path, cloneValue(argument))
+                    }
+                    break
+                case '$currentDate':
+                    setPath(result, path, new Date())
+                    break
+                case '$rename':
+                    if (current !== undefined) {
+                        unsetPath(result, path)
+                        setPath(result, argument, current)
+                    }
+                    break
+                case '$push': {
+                    let array = arrayOrEmpty(current, operator, path).concat(eachValues(argument).map(cloneValue))
+                    if (isDocument(argument) && typeof argument.$slice === 'number') {
+                        array = argument.$slice < 0 ? array.slice(argument.$slice) : array.slice(0, argument.$slice)
+                    }
+                    setPath(result, path, array)
+                    break
+                }
+                case '$addToSet': {
+                    let array = arrayOrEmpty(current, operator, path).slice()
+                    for (const value of eachValues(argument)) {
+                        if (!array.some(existing => valuesEqual(existing, value))) {
+                            array.push(cloneValue(value))
+                        }
+                    }
+                    setPath(result, path, array)
+                    break
+                }
+                case '$pull': {
+                    let array = arrayOrEmpty(current, operator, path)
+                    setPath(result, path, array.filter(element => {
+                        if (isDocument(argument) && !isOperatorObject(argument)) {
+                            return !(isDocument(element) && matches(element, argument))
+                        }
+                        return !matchesCondition([element], argument)
+                    }))
+                    break
+                }
+                case '$pop': {
+                    let array = arrayOrEmpty(current, operator, path)
+                    setPath(result, path, argument < 0 ? array.slice(1) : array.slice(0, -1))
+                    break
+                }
+                default:
+                    throw serverError(`Unknown modifier: ${operator}`, 9, 'FailedToParse')
+            }
+        }
+    }
+
+    return result
+}
+
+/**
+ * Creates the initial document for an upsert, using the equality conditions of the filter.
+ * @param {object} filter The query filter.
+ * @returns The initial document.
+ */
+const documentFromFilter = (filter) => {
+    let document = {}
+
+    const collect = (subFilter) => {
+        for (const key of Object.keys(subFilter || {})) {
+            let argument = subFilter[key]
+            if (key === '$and') {
+                argument.forEach(collect)
+            } else if (!key.startsWith('$')) {
+                if (!isOperatorObject(argument)) {
+                    if (!(argument instanceof RegExp)) {
+                        setPath(document, key, cloneValue(argument))
+                    }
+                } else if ('$eq' in argument) {
+                    setPath(document, key, cloneValue(argument.$eq))
+                }
+            }
+        }
+    }
+
+    collect(filter)
+    return document
+}
+
+/**
+ * Ensures that a document has an _id, generating an ObjectId if needed.
+ * @param {object} document The document.
+ * @returns The document.
+ */
+const ensureId = (document) => {
+    if (document._id === undefined) {
+        return Object.assign({ _id: new ObjectId() }, document)
+    }
+    return document
+}
+
+/**
+ * Creates a comparison function for sorting documents.
+ * @param {object} sort Sort specification ({path: 1 | -1}).
+ * @returns The comparison function.
+ */
+const createComparator = (sort) => {
+    let entries = Object.entries(sort || {})
+    return (a, b) => {
+        for (const [path, direction] of entries) {
+            let result = compareValues(getPath(a, path), getPath(b, path))
+            if (result !== 0) {
+                return direction < 0 ? -result : result
+            }
+        }
+        return 0
+    }
+}
+
+/**
+ * Applies a projection to a document.
+ * @param {object} document The document.
+ * @param {object} projection The projection ({path: 0 | 1}).
+ * @returns The projected document.
+ */
+const project = (document, projection) => {
+    let keys = Object.keys(projection || {})
+    if (keys.length === 0) {
+        return document
+    }
+
+    let inclusion = keys.some(key => key !== '_id' && projection[key])
+    if (inclusion) {
+        let result = {}
+        if (projection._id !== 0 && projection._id !== false && document._id !== undefined) {
+            result._id = document._id
+        }
+        for (const key of keys) {
+            if (key !== '_id' && projection[key]) {
+                let value = getPath(document, key)
+                if (value !== undefined) {
+                    setPath(result, key, value)
+                }
+            }
+        }
+        return result
+    }
+
+    let result = cloneDocument(document)
+    for (const key of keys) {
+        if (!projection[key]) {
+            unsetPath(result, key)
+        }
+    }
+    return result
+}
+
+/**
+ * Returns the distinct values at a path in a list of documents (array values are flattened).
+ * @param {object[]} documents The documents.
+ * @param {string} path The dotted path.
+ * @returns Array of distinct values.
+ */
+const distinctValues = (documents, path) => {
+    let values = []
+    for (const document of documents) {
+        for (const value of expandArrays(resolvePath(document, path.split('.'))).filter(v => !Array.isArray(v))) {
+            if (value !== undefined && !values.some(existing => valuesEqual(existing, value))) {
+                values.push(value)
+            }
+        }
+    }
+    return values
+}
+
+module.exports = {
+    serverError,
+    cloneDocument,
+    compareValues,
+    valuesEqual,
+    getPath,
+    matches,
+    isReplacement,
+    applyUpdate,
+    documentFromFilter,
+    ensureId,
+    createComparator,
+    project,
+    distinctValues
+}
@@ -0,0 +1,185 @@
+const { MongoClient } = require('mongodb')
+const { connectWithRetry, monitorConnection, monitorCommands, healthCheck } = require('../connection')
+const { escapeRegExp } = require('../utils')
+
+/**
+ * Creates a backend that stores data in a MongoDB database.
+ *
+ * @param {string} connectionString MongoDB connection string to use when connecting to the MongoDB server.
+ * @param {object} backendOptions Settings:
+ *   - dbName: Name of the database to use.
+ *   - retry: Settings for retrying the initial connection, see connectWithRetry.
+ *   - emitter: Emitter to report connection events on, see monitorConnection.
+ *   - clientOptions: Options passed to the MongoClient.
+ *   - onCommand: Function called with each completed command, see monitorCommands (optional).
+ * @returns The backend, once connected.
+ */
+const createMongoDBBackend = async (connectionString, backendOptions) => {
+    let connectionMonitor = null
+
+    let client = await connectWithRetry(() => {
+        let clientOptions = backendOptions.clientOptions
+        if (typeof backendOptions.onCommand === 'function') {
+            clientOptions = Object.assign({}, clientOptions, { monitorCommands: true })
+        }
+        let client = new MongoClient(connectionString, clientOptions)
+        connectionMonitor = monitorConnection(client, backendOptions.emitter)
+        if (typeof backendOptions.onCommand === 'function') {
+            monitorCommands(client, backendOptions.dbName, backendOptions.onCommand)
+        }
+        return client
+    }, backendOptions.retry)
+    let database = client.db(backendOptions.dbName)
+
+    return {
+        name: 'mongodb',
+
+        /**
+         * Returns a collection. Collections are created implicitly when first written to.
+         * @param {string} name Full name of the collection.
+         * @param {object} options Optional settings, recognizes 'readConcern' and 'writeConcern'.
+         * @returns The collection.
+         */
+        collection: (name, options) => {
+            return database.collection(name, options)
+        },
+
+        /**
+         * Lists the names of the collections whose names start with a prefix.
+         * @param {string} prefix The prefix.
+         * @returns Sorted array of full collection names.
+         */
+        listCollectionNames: async (prefix) => {
+            let filter = { name: new RegExp('^' + escapeRegExp(prefix)) }
+            let collections = await database.listCollections(filter, { nameOnly: true }).toArray()
+            return collections.map(c => c.name).sort()
+        },
+
+        /**
+         * Returns the options that a collection was created with.
+         * @param {string} name Full name of the collection.
+         * @returns The options, or null if the collection does not exist.
+         */
+        getCollectionOptions: async (name) => {
+            let [info] = await database.listCollections({ name }).toArray()
+            return info ? (info.options || {}) : null
+        },
+
+        /**
+         * Creates a collection.
+         * @param {string} name Full name of the collection.
+         * @param {object} options Options for the collection (e.g. validator).
+         * @returns The new collection.
+         */
+        createCollection: async (name, options) => {
+            return await database.createCollection(name, options)
+        },
+
+        /**
+         * Changes the options of an existing collection (using collMod).
+         * @param {string} name Full name of the collection.
+         * @param {object} options Options to change.
+         */
+        modifyCollection: async (name, options) => {
+            await database.command(Object.assign({ collMod: name }, options))
+        },
+
+        /**
+         * Drops a collection.
+         * @param {string} name Full name of the collection.
+         * @returns True if the collection was dropped, false if it did not exist.
+         */
+        dropCollection: async (name) => {
+            try {
+                return await database.dropCollection(name)
+            } catch (e) {
+                if (e.codeName === 'NamespaceNotFound') {
+                    return false
+                }
+                throw e
+            }
+        },
+
+        /**
+         * Renames a collection.
+         * @param {string} name Full name of the collection.
+         * @param {string} newName New full name of the collection.
+         * @param {object} options Optional settings, recognizes 'dropTarget'.
+         */
+        renameCollection: async (name, newName, options) => {
+            await database.renameCollection(name, newName, options)
+        },
+
+        /**
+         * Retrieves the storage statistics of a collection.
+         * @param {string} name Full name of the collection.
+         * @returns Object with count, size, storageSize, totalIndexSize and indexSizes.
+         */
+        getCollectionStats: async (name) => {
+            let [stats] = await database.collection(name).aggregate([{ $collStats: { storageStats: {} } }]).toArray()
+            return stats.storageStats
+        },
+
+        /**
+         * Checks whether the server supports transactions (i.e. it is a replica set member or a mongos).
+         * @returns True if transactions are supported.
+         */
+        supportsTransactions: async () => {
+            let hello = await database.admin().command({ hello: 1 })
+            return typeof hello.setName === 'string' || hello.msg === 'isdbgrid'
+        },
+
+        /**
+         * Opens a change stream on the database.
+         * @param {object[]} pipeline Pipeline applied to the change events.
+         * @param {object} options Options for the change stream.
+         * @returns The change stream.
+         */
+        watch: (pipeline, options) => {
+            return database.watch(pipeline, options)
+        },
+
+        /**
+         * Starts a client session, used to run transactions.
+         * @returns The session.
+         */
+        startSession: () => {
+            return client.startSession()
+        },
+
+        /**
+         * Starts reporting connection events, once the caller has had a chance to add listeners.
+         */
+        start: () => {
+            connectionMonitor.start()
+        },
+
+        /**
+         * Pings the database and reports the latency and topology.
+         * @param {object} healthCheckOptions Optional settings, recognizes 'timeoutMS'.
+         * @returns The health report, see healthCheck.
+         */
+        healthCheck: async (healthCheckOptions) => {
+            return await healthCheck(database, connectionMonitor, healthCheckOptions)
+        },
+
+        /**
+         * Drops the database.
+         */
+        dropDatabase: async () => {
+            await database.dropDatabase()
+        },
+
+        /**
+         * Stops reporting connection events and closes the connection.
+         */
+        close: async () => {
+            connectionMonitor.stop()
+            await client.close()
+        }
+    }
+}
+
+module.exports = {
+    createMongoDBBackend
+}
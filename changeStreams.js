@@ -0,0 +1,86 @@
+const { escapeRegExp } = require('./utils')
+
+/**
+ * Name (without the reserved prefix) of the collection that resume tokens are stored in, under each namespace.
+ */
+const resumeTokenCollectionName = 'changeStreams'
+
+/**
+ * Pattern matching a single segment of a collection name (a collection name or a child namespace name).
+ *
+ * Names are case-sensitive, so the pattern (and the namespace prefix) must not be matched case-insensitively.
+ */
+const segmentPattern = '[A-Za-z0-9\\-_]+'
+
+/**
+ * Builds the stages that limit a database change stream to the collections under a namespace.
+ *
+ * Reserved collections are never included, as their names do not match the collection name format. The collection
+ * names in the events (ns.coll, and to.coll for rename events) are rewritten to be relative to the namespace.
+ * If a collection is renamed to a name outside of the namespace, to.coll is set to null.
+ *
+ * @param {string} namespace The namespace.
+ * @param {boolean} includeChildren Whether collections belonging to child namespaces should be included.
+ * @returns Array of pipeline stages.
+ */
+const namespacePipeline = (namespace, includeChildren) => {
+    let prefix = namespace + '.'
+    let pattern = '^' + escapeRegExp(prefix) + (includeChildren ? `(${segmentPattern}\\.)*` : '') + segmentPattern + '$'
+
+    const relativeName = (field) => {
+        return { $substrCP: [field, prefix.length, { $subtract: [{ $strLenCP: field }, prefix.length] }] }
+    }
+
+    return [
+        { $match: { 'ns.coll': { $regex: pattern } } },
+        {
+            $addFields: {
+                ns: { db: '$ns.db', coll: relativeName('$ns.coll') },
+                to: {
+                    $cond: [
+                        { $eq: [{ $type: '$to' }, 'object'] },
+                        {
+                            db: '$to.db',
+                            coll: {
+                                $cond: [
+                                    { $regexMatch: { input: '$to.coll', regex: pattern } },
+                                    relativeName('$to.coll'),
+                                    null
+                                ]
+                            }
+                        },
+                        '$$REMOVE'
+                    ]
+                }
+            }
+        }
+    ]
+}
+
+/**
+ * Loads a stored resume token.
+ * @param {Collection} collection The reserved collection holding the resume tokens.
+ * @param {string} key Key that the token was stored under.
+ * @returns The resume token, or null if no token has been stored.
+ */
+const loadResumeToken = async (collection, key) => {
+    let stored = await collection.findOne({ _id: key })
+    return stored ? stored.token : null
+}
+
+/**
+ * Stores a resume token.
+ * @param {Collection} collection The reserved collection holding the resume tokens.
+ * @param {string} key Key to store the token under.
+ * @param {object} token The resume token.
+ */
+const saveResumeToken = async (collection, key, token) => {
+    await collection.updateOne({ _id: key }, { $set: { token, updatedAt: new Date() } }, { upsert: true })
+}
+
+module.exports = {
+    resumeTokenCollectionName,
+    namespacePipeline,
+    loadResumeToken,
+    saveResumeToken
+}
@@ -0,0 +1,238 @@
+const { ForbiddenOperationError } = require('./errors')
+
+/**
+ * Rights required to call each of the Collection methods.
+ *
+ * Collections handed out by restricted DataStores only allow the methods listed here, any other method is rejected.
+ */
+const collectionMethodRights = {
+    aggregate: ['read'],
+    count: ['read'],
+    countDocuments: ['read'],
+    distinct: ['read'],
+    estimatedDocumentCount: ['read'],
+    find: ['read'],
+    findOne: ['read'],
+    indexes: ['read'],
+    indexExists: ['read'],
+    indexInformation: ['read'],
+    isCapped: ['read'],
+    listIndexes: ['read'],
+    options: ['read'],
+    watch: ['read'],
+
+    bulkWrite: ['write'],
+    createIndex: ['write'],
+    createIndexes: ['write'],
+    deleteMany: ['write'],
+    deleteOne: ['write'],
+    drop: ['write'],
+    dropIndex: ['write'],
+    dropIndexes: ['write'],
+    initializeOrderedBulkOp: ['write'],
+    initializeUnorderedBulkOp: ['write'],
+    insert: ['write'],
+    insertMany: ['write'],
+    insertOne: ['write'],
+    remove: ['write'],
+    rename: ['write'],
+    replaceOne: ['write'],
+    update: ['write'],
+    updateMany: ['write'],
+    updateOne: ['write'],
+
+    findOneAndDelete: ['read', 'write'],
+    findOneAndReplace: ['read', 'write'],
+    findOneAndUpdate: ['read', 'write']
+}
+
+/**
+ * Aggregation stages that write to a collection, these require the 'write' right in addition to the 'read' right required by aggregate.
+ */
+const writeStages = ['$out', '$merge']
+
+/**
+ * Collection methods that return synchronously (cursors, change streams and bulk operation builders). All other
+ * methods in collectionMethodRights return promises.
+ */
+const synchronousMethods = ['find', 'aggregate', 'listIndexes', 'watch', 'initializeOrderedBulkOp', 'initializeUnorderedBulkOp']
+
+/**
+ * Signals an error from a wrapped collection method, in the same way that the method itself would:
+ * synchronous methods throw the error and asynchronous methods return a rejected promise.
+ * @param {string} method Name of the method.
+ * @param {Error} error The error to signal.
+ * @returns A rejected promise, for asynchronous methods.
+ */
+const signalError = (method, error) => {
+    if (!collectionMethodRights[method] || synchronousMethods.includes(method)) {
+        throw error
+    }
+    return Promise.reject(error)
+}
+
+/**
+ * Wraps a collection in a Proxy that routes every method call through a handler.
+ *
+ * The handler is called with the name of the method, the arguments it was called with and an 'invoke' function
+ * that calls the method on the wrapped collection (optionally with different arguments). Whatever the handler
+ * returns is returned to the caller.
+ *
+ * Methods inherited from Object.prototype and properties that are not functions are passed through as-is.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {function} handler Function called as handler(method, args, invoke) for each method call.
+ * @returns The wrapped collection.
+ */
+const wrapCollection = (collection, handler) => {
+    return new Proxy(collection, {
+        get: (target, property) => {
+            let value = Reflect.get(target, property, target)
+            if (typeof value !== 'function' || typeof property !== 'string' || property in Object.prototype) {
+                return value
+            }
+            return (...args) => {
+                return handler(property, args, (newArgs) => value.apply(target, newArgs || args))
+            }
+        }
+    })
+}
+
+/**
+ * Wraps a collection so that only the methods allowed by the given rights can be called.
+ *
+ * Aggregation pipelines are also checked, so that collections without the 'write' right cannot write using $out or $merge.
+ *
+ * @param {Collection} collection Collection to restrict.
+ * @param {object} rights The rights of the DataStore that handed out the collection ('read' and 'write' booleans).
+ * @param {string} namespace Namespace of the DataStore that handed out the collection.
+ * @param {string[]} scope Scope of the DataStore that handed out the collection.
+ * @returns The collection itself if it has both read and write rights, otherwise the wrapped collection.
+ */
+const restrictCollection = (collection, rights, namespace, scope) => {
+    if (rights.read && rights.write) {
+        return collection
+    }
+
+    return wrapCollection(collection, (method, args, invoke) => {
+        let required = collectionMethodRights[method]
+        if (!required || required.some(right => !rights[right])) {
+            return signalError(method, new ForbiddenOperationError(namespace, method, scope))
+        }
+        if (method === 'aggregate' && !rights.write && Array.isArray(args[0])) {
+            let stage = args[0].map(s => s && Object.keys(s)[0]).find(name => writeStages.includes(name))
+            if (stage !== undefined) {
+                return signalError(method, new ForbiddenOperationError(namespace, stage, scope))
+            }
+        }
+        return invoke()
+    })
+}
+
+/**
+ * Rewrites the collection names used in an aggregation pipeline ($lookup, $graphLookup, $unionWith, $out and $merge),
+ * including those in nested pipelines, so that they refer to collections under the namespace of the DataStore.
+ *
+ * @param {object[]} pipeline The pipeline.
+ * @param {function} resolveName Function that resolves a collection name to its full name, throwing if the name is not valid.
+ * @returns The rewritten pipeline.
+ */
+const isolatePipeline = (pipeline, resolveName) => {
+    if (!Array.isArray(pipeline)) {
+        return pipeline
+    }
+
+    /**
+     * Resolves the target of $out or $merge, which can also name another database ({db, coll}).
+     */
+    const resolveTarget = (target) => {
+        if (target !== null && typeof target === 'object') {
+            return resolveName(target.db === undefined ? target.coll : `${target.db}.${target.coll}`)
+        }
+        return resolveName(target)
+    }
+
+    return pipeline.map((stage) => {
+        if (stage === null || typeof stage !== 'object') {
+            return stage
+        }
+        let [name] = Object.keys(stage)
+        let argument = stage[name]
+
+        switch (name) {
+            case '$lookup':
+            case '$graphLookup': {
+                let rewritten = Object.assign({}, argument)
+                if (argument.from !== undefined) {
+                    rewritten.from = resolveName(argument.from)
+                }
+                if (argument.pipeline !== undefined) {
+                    rewritten.pipeline = isolatePipeline(argument.pipeline, resolveName)
+                }
+                return { [name]: rewritten }
+            }
+            case '$unionWith':
+                if (typeof argument === 'string') {
+                    return { $unionWith: resolveName(argument) }
+                }
+                return { $unionWith: Object.assign({}, argument, { coll: resolveName(argument.coll), pipeline: isolatePipeline(argument.pipeline, resolveName) }) }
+            case '$facet': {
+                let rewritten = {}
+                for (const facet in argument) {
+                    rewritten[facet] = isolatePipeline(argument[facet], resolveName)
+                }
+                return { $facet: rewritten }
+            }
+            case '$out':
+                return { $out: resolveTarget(argument) }
+            case '$merge':
+                if (typeof argument === 'string') {
+                    return { $merge: resolveTarget(argument) }
+                }
+                return { $merge: Object.assign({}, argument, { into: resolveTarget(argument.into) }) }
+            default:
+                return stage
+        }
+    })
+}
+
+/**
+ * Wraps a collection so that it can only reach collections under the namespace of the DataStore that handed it out.
+ *
+ * Collection names passed to rename and used in aggregation pipelines are treated as names relative to the
+ * namespace, and are resolved using the same rules as getCollection.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {function} resolveName Function that resolves a collection name to its full name, throwing if the name is not valid.
+ * @param {function} reopen Function that returns the collection to hand out after a rename, called with the new name.
+ * @returns The wrapped collection.
+ */
+const isolateCollection = (collection, resolveName, reopen) => {
+    return wrapCollection(collection, (method, args, invoke) => {
+        let newArgs = args.slice()
+        try {
+            if (method === 'rename') {
+                newArgs[0] = resolveName(args[0])
+            } else if (method === 'aggregate') {
+                newArgs[0] = isolatePipeline(args[0], resolveName)
+            }
+        } catch (e) {
+            return signalError(method, e)
+        }
+
+        if (method === 'rename') {
+            return invoke(newArgs).then(() => reopen(args[0]))
+        }
+        return invoke(newArgs)
+    })
+}
+
+module.exports = {
+    collectionMethodRights,
+    synchronousMethods,
+    writeStages,
+    signalError,
+    wrapCollection,
+    restrictCollection,
+    isolateCollection
+}
@@ -0,0 +1,222 @@
+const { sleep } = require('./utils')
+
+/**
+ * Default settings for connection retries during startup.
+ */
+const retryDefaults = {
+    retries: 0,
+    minDelay: 500,
+    maxDelay: 30000,
+    factor: 2
+}
+
+/**
+ * Connects to MongoDB, retrying with exponential backoff if the connection fails.
+ *
+ * A new client is created for each attempt.
+ *
+ * @param {function} createClient Function returning a new (unconnected) MongoClient.
+ * @param {object} retryOptions Optional settings:
+ *   - retries: Number of times to retry after the first attempt fails (default 0).
+ *   - minDelay: Delay before the first retry, in milliseconds (default 500).
+ *   - maxDelay: Maximum delay between retries, in milliseconds (default 30000).
+ *   - factor: Factor to multiply the delay by after each retry (default 2).
+ *   - onRetry: Function called with {attempt, delay, error} before each retry.
+ * @returns The connected client.
+ * @throws The error from the last attempt, if all attempts fail.
+ */
+const connectWithRetry = async (createClient, retryOptions) => {
+    retryOptions = Object.assign({}, retryDefaults, retryOptions)
+
+    let delay = retryOptions.minDelay
+    for (let attempt = 1; ; attempt++) {
+        let client = createClient()
+        try {
+            await client.connect()
+            return client
+        } catch (error) {
+            await client.close().catch(() => {})
+            if (attempt > retryOptions.retries) {
+                throw error
+            }
+            if (typeof retryOptions.onRetry === 'function') {
+                retryOptions.onRetry({ attempt, delay, error })
+            }
+            await sleep(delay)
+            delay = Math.min(delay * retryOptions.factor, retryOptions.maxDelay)
+        }
+    }
+}
+
+/**
+ * Summarizes a topology description from the driver.
+ * @param {TopologyDescription} description The topology description.
+ * @returns Object with the topology type and the address, type and round trip time of each server.
+ */
+const describeTopology = (description) => {
+    if (!description) {
+        return null
+    }
+
+    return {
+        type: description.type,
+        servers: Array.from(description.servers.values()).map(server => {
+            return { address: server.address, type: server.type, roundTripTime: server.roundTripTime }
+        })
+    }
+}
+
+const hasAvailableServer = (description) => {
+    return Array.from(description.servers.values()).some(server => server.type !== 'Unknown')
+}
+
+/**
+ * Tracks the topology of a client and reports changes in connectivity as events on an emitter.
+ *
+ * Emits 'disconnected' when no servers are available anymore, 'reconnected' when a server becomes available
+ * again and 'error' when a server heartbeat fails ('error' is only emitted if there are listeners for it).
+ * Events are only emitted once the monitor has been started, after the initial connection is made.
+ *
+ * @param {MongoClient} client The client to monitor (before it connects).
+ * @param {EventEmitter} emitter Emitter to emit the events on.
+ * @returns The monitor, with start(), stop() and getTopology() functions.
+ */
+const monitorConnection = (client, emitter) => {
+    let started = false
+    let stopped = false
+    let available = false
+    let description = null
+
+    const onDescriptionChanged = (event) => {
+        description = event.newDescription
+        let nowAvailable = hasAvailableServer(description)
+
+        if (started && available && !nowAvailable) {
+            emitter.emit('disconnected', { topology: describeTopology(description) })
+        } else if (started && !available && nowAvailable) {
+            emitter.emit('reconnected', { topology: describeTopology(description) })
+        }
+
+        available = nowAvailable
+    }
+
+    const onHeartbeatFailed = (event) => {
+        if (started && emitter.listenerCount('error') > 0) {
+            emitter.emit('error', event.failure)
+        }
+    }
+
+    client.on('topologyDescriptionChanged', onDescriptionChanged)
+    client.on('serverHeartbeatFailed', onHeartbeatFailed)
+
+    return {
+        start: () => {
+            if (stopped) {
+                return
+            }
+            started = true
+            emitter.emit('connected', { topology: describeTopology(description) })
+        },
+        stop: () => {
+            started = false
+            stopped = true
+            client.off('topologyDescriptionChanged', onDescriptionChanged)
+            client.off('serverHeartbeatFailed', onHeartbeatFailed)
+        },
+        getTopology: () => {
+            return describeTopology(description)
+        }
+    }
+}
+
+/**
+ * Returns the name of the collection that a command runs on.
+ * @param {string} commandName Name of the command.
+ * @param {object} command The command document.
+ * @returns The collection name, or null if the command does not run on a collection.
+ */
+const commandCollection = (commandName, command) => {
+    let value = commandName === 'getMore' ? command.collection : command[commandName]
+    return typeof value === 'string' ? value : null
+}
+
+/**
+ * Reports the commands run by a client on a database, using the driver's command monitoring.
+ *
+ * The client must be created with 'monitorCommands' enabled. Only commands that run on a collection in the
+ * database are reported.
+ *
+ * @param {MongoClient} client The client to monitor.
+ * @param {string} dbName Name of the database.
+ * @param {function} onCommand Function called with {collectionName, commandName, durationMS, error, command} when a command completes.
+ */
+const monitorCommands = (client, dbName, onCommand) => {
+    let started = new Map()
+
+    client.on('commandStarted', (event) => {
+        if (event.databaseName !== dbName) {
+            return
+        }
+        let collectionName = commandCollection(event.commandName, event.command)
+        if (collectionName !== null) {
+            started.set(event.requestId, { collectionName, command: event.command })
+        }
+    })
+
+    const onCompleted = (event, error) => {
+        let command = started.get(event.requestId)
+        if (!command) {
+            return
+        }
+        started.delete(event.requestId)
+        onCommand({
+            collectionName: command.collectionName,
+            commandName: event.commandName,
+            durationMS: event.duration,
+            error,
+            command: command.command
+        })
+    }
+
+    client.on('commandSucceeded', (event) => onCompleted(event, null))
+    client.on('commandFailed', (event) => onCompleted(event, event.failure))
+}
+
+/**
+ * Pings the database and reports the latency and topology.
+ * @param {Db} database Database to ping.
+ * @param {object} monitor Connection monitor created by monitorConnection.
+ * @param {object} healthCheckOptions Optional settings, recognizes 'timeoutMS' (default 5000).
+ * @returns Object with ok (boolean), latencyMS, topology and error (if the ping failed).
+ */
+const healthCheck = async (database, monitor, healthCheckOptions) => {
+    let timeoutMS = (healthCheckOptions && healthCheckOptions.timeoutMS) || 5000
+    let timer = null
+    let start = process.hrtime.bigint()
+
+    let report = { ok: true, latencyMS: null, topology: null }
+    try {
+        await Promise.race([
+            database.command({ ping: 1 }),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeoutMS}ms.`)), timeoutMS)
+            })
+        ])
+    } catch (error) {
+        report.ok = false
+        report.error = error
+    } finally {
+        clearTimeout(timer)
+    }
+
+    report.latencyMS = Number(process.hrtime.bigint() - start) / 1e6
+    report.topology = monitor.getTopology()
+    return report
+}
+
+module.exports = {
+    connectWithRetry,
+    monitorConnection,
+    monitorCommands,
+    healthCheck
+}
@@ -0,0 +1,88 @@
+const fs = require('fs')
+
+/**
+ * Credential fields that can be read from a source (passed to the client under 'auth').
+ */
+const credentialFields = ['username', 'password']
+
+/**
+ * Settings that are passed to the client as-is, and the client option each of them maps to.
+ */
+const credentialSettings = {
+    authSource: 'authSource',
+    mechanism: 'authMechanism'
+}
+
+/**
+ * Reads the value of a credential field.
+ * @param {string} field Name of the field.
+ * @param {string|object} source The value itself, {env: name} to read it from an environment variable or {file: path} to read it from a file.
+ * @returns The value.
+ */
+const readCredential = async (field, source) => {
+    if (typeof source === 'string') {
+        return source
+    }
+
+    if (source !== null && typeof source === 'object') {
+        if (typeof source.env === 'string') {
+            let value = process.env[source.env]
+            if (typeof value !== 'string' || value.length === 0) {
+                throw new Error(`Unable to read credential '${field}': the environment variable '${source.env}' is not set.`)
+            }
+            return value
+        }
+        if (typeof source.file === 'string') {
+            let content = null
+            try {
+                content = await fs.promises.readFile(source.file, 'utf8')
+            } catch (e) {
+                throw new Error(`Unable to read credential '${field}' from '${source.file}': ${e.message}`)
+            }
+            // Secret files usually end with a line break that is not part of the value:
+            return content.replace(/\r?\n$/, '')
+        }
+    }
+
+    throw new Error(`Invalid source for credential '${field}': ${JSON.stringify(source)}. The source should be a string, {env: name} or {file: path}.`)
+}
+
+/**
+ * Resolves the credentials passed to the initializer into client options.
+ *
+ * @param {object} credentials Credentials:
+ *   - username: Source of the username (a string, {env: name} or {file: path}).
+ *   - password: Source of the password (a string, {env: name} or {file: path}).
+ *   - authSource: Database to authenticate against (optional).
+ *   - mechanism: Authentication mechanism (optional), e.g. 'SCRAM-SHA-256'.
+ * @returns Client options (auth, authSource and authMechanism), or an empty object if no credentials were given.
+ */
+const resolveCredentials = async (credentials) => {
+    if (credentials === undefined || credentials === null) {
+        return {}
+    }
+    if (typeof credentials !== 'object') {
+        throw new Error(`Invalid credentials: ${credentials}. The credentials should be an object with username and password.`)
+    }
+
+    let clientOptions = { auth: {} }
+    for (const field of credentialFields) {
+        if (credentials[field] !== undefined) {
+            clientOptions.auth[field] = await readCredential(field, credentials[field])
+        }
+    }
+    for (const setting in credentialSettings) {
+        if (credentials[setting] !== undefined) {
+            clientOptions[credentialSettings[setting]] = credentials[setting]
+        }
+    }
+
+    if (Object.keys(clientOptions.auth).length === 0) {
+        delete clientOptions.auth
+    }
+    return clientOptions
+}
+
+module.exports = {
+    resolveCredentials
+}
@@ -0,0 +1,710 @@
+const crypto = require('crypto')
+const { Binary, BSON } = require('mongodb')
+const { wrapCollection, signalError } = require('./collections')
+const { EncryptionError } = require('./errors')
+
+/**
+ * Binary subtype used for encrypted values (the first user-defined subtype).
+ */
+const encryptedSubtype = 0x80
+
+/**
+ * Version of the encrypted value format:
+ *   [version (1 byte)][key ID length (1 byte)][key ID (UTF-8)][IV (12 bytes)][auth tag (16 bytes)][ciphertext]
+ */
+const formatVersion = 1
+
+const ivLength = 12
+const tagLength = 16
+const keyLength = 32
+
+/**
+ * Update operators that can be used on encrypted fields. Values set using $set and $setOnInsert are encrypted.
+ */
+const encryptingOperators = ['$set', '$setOnInsert']
+const permittedOperators = encryptingOperators.concat(['$unset'])
+
+/**
+ * Loads and validates the master keys from the key provider passed to the initializer.
+ *
+ * @param {function} keyProvider Async function returning {currentKeyId, keys}, where keys maps key IDs to 32 byte keys (Buffers or base64 strings).
+ * @returns Object with currentKeyId and keys (a Map of key IDs to Buffers).
+ */
+const loadKeys = async (keyProvider) => {
+    if (typeof keyProvider !== 'function') {
+        throw new Error(`Invalid key provider: ${keyProvider}. The key provider should be a function returning {currentKeyId, keys}.`)
+    }
+
+    let provided = await keyProvider()
+    if (!provided || typeof provided.keys !== 'object' || provided.keys === null) {
+        throw new Error(`Invalid keys returned by the key provider. Expected {currentKeyId, keys}.`)
+    }
+
+    let keys = new Map()
+    for (const keyId in provided.keys) {
+        let key = provided.keys[keyId]
+        key = typeof key === 'string' ? Buffer.from(key, 'base64') : key
+        if (!Buffer.isBuffer(key) || key.length !== keyLength) {
+            throw new Error(`Invalid key '${keyId}' returned by the key provider. Keys should be ${keyLength} bytes (as Buffers or base64 strings).`)
+        }
+        if (Buffer.byteLength(keyId) > 255) {
+            throw new Error(`Invalid key ID '${keyId}'. Key IDs can be at most 255 bytes long.`)
+        }
+        keys.set(keyId, key)
+    }
+
+    if (!keys.has(provided.currentKeyId)) {
+        throw new Error(`The current key '${provided.currentKeyId}' was not returned by the key provider.`)
+    }
+
+    return { currentKeyId: provided.currentKeyId, keys }
+}
+
+/**
+ * Creates the keyring of a root DataStore, holding the master keys from the key provider.
+ *
+ * @param {object} encryptionOptions Encryption settings from the initializer, recognizes 'keyProvider'.
+ * @returns The keyring, or null if encryption is not enabled.
+ */
+const createKeyring = async (encryptionOptions) => {
+    if (!encryptionOptions) {
+        return null
+    }
+
+    let loaded = await loadKeys(encryptionOptions.keyProvider)
+    let derived = new Map()
+
+    return {
+        /**
+         * Returns the ID of the key that new values are encrypted with.
+         */
+        currentKeyId: () => {
+            return loaded.currentKeyId
+        },
+
+        /**
+         * Returns the key for a namespace, derived from a master key using HKDF.
+         * @param {string} keyId ID of the master key.
+         * @param {string} encryptionId Encryption ID of the namespace (see the namespace registry).
+         * @returns The derived key, or null if the master key is not known.
+         */
+        namespaceKey: (keyId, encryptionId) => {
+            let master = loaded.keys.get(keyId)
+            if (!master) {
+                return null
+            }
+            let cacheKey = `${keyId}\u0000${encryptionId}`
+            if (!derived.has(cacheKey)) {
+                derived.set(cacheKey, Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), `morrigan.datastore:${encryptionId}`, keyLength)))
+            }
+            return derived.get(cacheKey)
+        },
+
+        /**
+         * Calls the key provider again, e.g. after a new key has been added.
+         */
+        reload: async () => {
+            loaded = await loadKeys(encryptionOptions.keyProvider)
+            derived.clear()
+        }
+    }
+}
+
+/**
+ * Checks whether a value is an encrypted value.
+ * @param {any} value The value.
+ * @returns True if the value was encrypted by encryptValue.
+ */
+const isEncrypted = (value) => {
+    return value instanceof Binary && value.sub_type === encryptedSubtype
+}
+
+/**
+ * Creates the cipher used to encrypt and decrypt fields under a namespace.
+ *
+ * Values are serialized as BSON (so that their types are kept) and encrypted with AES-256-GCM, using the key
+ * derived for the namespace. The key is derived from the encryption ID of the namespace rather than its name, so
+ * that values can still be decrypted after the namespace is renamed. The field path is used as additional
+ * authenticated data, so encrypted values cannot be moved to another field.
+ *
+ * @param {object} keyring Keyring of the root DataStore.
+ * @param {string} namespace The namespace.
+ * @param {function} resolveEncryptionId Function returning the current encryption ID of the namespace.
+ * @returns The cipher.
+ */
+const createCipher = (keyring, namespace, resolveEncryptionId) => {
+
+    const requireKey = (keyId) => {
+        let key = keyring.namespaceKey(keyId, resolveEncryptionId())
+        if (key === null) {
+            throw new EncryptionError(`Unable to decrypt a value under '${namespace}': the key '${keyId}' is not known.`, namespace)
+        }
+        return key
+    }
+
+    return {
+        /**
+         * Encrypts a value with the current key.
+         * @param {any} value The value.
+         * @param {string} field Path of the field the value is stored in.
+         * @returns The encrypted value.
+         */
+        encrypt: (value, field) => {
+            let keyId = keyring.currentKeyId()
+            let iv = crypto.randomBytes(ivLength)
+            let cipher = crypto.createCipheriv('aes-256-gcm', requireKey(keyId), iv)
+            cipher.setAAD(Buffer.from(field))
+            let ciphertext = Buffer.concat([cipher.update(BSON.serialize({ v: value })), cipher.final()])
+            let keyIdBytes = Buffer.from(keyId)
+
+            return new Binary(Buffer.concat([
+                Buffer.from([formatVersion, keyIdBytes.length]), keyIdBytes, iv, cipher.getAuthTag(), ciphertext
+            ]), encryptedSubtype)
+        },
+
+        /**
+         * Decrypts a value. Values that are not encrypted are returned as-is.
+         * @param {any} value The value.
+         * @param {string} field Path of the field the value is stored in.
+         * @returns The decrypted value.
+         */
+        decrypt: (value, field) => {
+            if (!isEncrypted(value)) {
+                return value
+            }
+
+            let bytes = Buffer.from(value.buffer)
+            if (bytes[0] !== formatVersion) {
+                throw new EncryptionError(`Unable to decrypt '${field}' under '${namespace}': unknown format version ${bytes[0]}.`, namespace)
+            }
+            let offset = 2 + bytes[1]
+            let keyId = bytes.subarray(2, offset).toString()
+            let iv = bytes.subarray(offset, offset + ivLength)
+            let tag = bytes.subarray(offset + ivLength, offset + ivLength + tagLength)
+
+            try {
+                let decipher = crypto.createDecipheriv('aes-256-gcm', requireKey(keyId), iv)
+                decipher.setAAD(Buffer.from(field))
+                decipher.setAuthTag(tag)
+                let plaintext = Buffer.concat([decipher.update(bytes.subarray(offset + ivLength + tagLength)), decipher.final()])
+                return BSON.deserialize(plaintext, { promoteBuffers: true }).v
+            } catch (e) {
+                if (e instanceof EncryptionError) {
+                    throw e
+                }
+                throw new EncryptionError(`Unable to decrypt '${field}' under '${namespace}': the value was not encrypted for this namespace and field, or has been tampered with.`, namespace)
+            }
+        },
+
+        /**
+         * Checks whether a value needs to be re-encrypted with the current key.
+         * @param {any} value The value.
+         * @returns True if the value is not encrypted, or is encrypted with another key.
+         */
+        isStale: (value) => {
+            if (!isEncrypted(value)) {
+                return true
+            }
+            let bytes = Buffer.from(value.buffer)
+            return bytes.subarray(2, 2 + bytes[1]).toString() !== keyring.currentKeyId()
+        }
+    }
+}
+
+/**
+ * Validates the list of encrypted fields passed to getCollection.
+ * @param {string[]} fields Paths of the encrypted fields.
+ * @returns The fields.
+ */
+const validateEncryptedFields = (fields) => {
+    if (!Array.isArray(fields) || fields.some(field => typeof field !== 'string' || field.length === 0 || field === '_id' || field.startsWith('_id.') || field.split('.').some(part => part.length === 0 || part.startsWith('$')))) {
+        throw new Error(`Invalid encrypted fields: ${JSON.stringify(fields)}. The fields should be an array of field paths (not including _id).`)
+    }
+    return fields
+}
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Converts a value to a copy of the embedded document it is serialized as, in the same way as BSON does: objects with
+ * a toBSON method are converted first, Maps are serialized as their entries and other objects as their own
+ * enumerable properties, whatever their prototype.
+ * @param {any} value The value.
+ * @returns A plain object copy of the document, or null if the value is not serialized as an embedded document.
+ */
+const toDocument = (value) => {
+    if (value !== null && typeof value === 'object' && typeof value.toBSON === 'function') {
+        value = value.toBSON()
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || typeof value._bsontype === 'string'
+        || value instanceof Date || value instanceof RegExp || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return null
+    }
+    if (value instanceof Map) {
+        return Object.fromEntries(value)
+    }
+    let copy = {}
+    for (const key of Object.keys(value)) {
+        copy[key] = value[key]
+    }
+    return copy
+}
+
+/**
+ * Applies a function to the values at a path of a document, if the path exists. Arrays along the path are
+ * traversed (as MongoDB does for dotted paths), so the function is applied to the value in each element.
+ *
+ * The document is not changed, the objects and arrays along the path are copied instead.
+ *
+ * @param {any} value The document (or the value at the current position of the path).
+ * @param {string[]} parts The remaining parts of the path.
+ * @param {function} fn Function called with each value, returning the new value.
+ * @returns The new document.
+ */
+const mapPath = (value, parts, fn) => {
+    if (parts.length === 0) {
+        return fn(value)
+    }
+    if (Array.isArray(value)) {
+        return value.map(element => mapPath(element, parts, fn))
+    }
+    let document = toDocument(value)
+    if (document === null) {
+        return value
+    }
+    let [part, ...rest] = parts
+    if (document[part] !== undefined) {
+        document[part] = mapPath(document[part], rest, fn)
+    }
+    return document
+}
+
+/**
+ * Removes array positions (numeric indexes and the positional operators $, $[] and $[<identifier>]) from a field
+ * path used in a filter or update, so that it can be compared with the paths of the encrypted fields.
+ * @param {string} key The field path.
+ * @returns The path without array positions.
+ */
+const normalizeKey = (key) => {
+    return key.split('.').filter(part => !/^\d+$/.test(part) && !/^\$(\[[^\]]*\])?$/.test(part)).join('.')
+}
+
+/**
+ * Checks whether a key (a field path used in a filter or update) overlaps an encrypted field.
+ * @param {string} key The key, with array positions removed (see normalizeKey).
+ * @param {string} field Path of the encrypted field.
+ * @returns 'field' if the key is the field, 'parent' if the key is an ancestor of the field, 'child' if the key is inside the field, or null.
+ */
+const overlap = (key, field) => {
+    if (key === field) {
+        return 'field'
+    }
+    if (key === '' || field.startsWith(key + '.')) {
+        return 'parent'
+    }
+    if (key.startsWith(field + '.')) {
+        return 'child'
+    }
+    return null
+}
+
+/**
+ * Checks whether a document contains any encrypted values.
+ * @param {any} value The document (or a value in it).
+ * @returns True if an encrypted value was found.
+ */
+const containsEncryptedValues = (value) => {
+    if (isEncrypted(value)) {
+        return true
+    }
+    if (Array.isArray(value)) {
+        return value.some(containsEncryptedValues)
+    }
+    if (isPlainObject(value)) {
+        return Object.values(value).some(containsEncryptedValues)
+    }
+    return false
+}
+
+/**
+ * Decrypts every encrypted value in a document with one cipher and encrypts it again with another, e.g. when
+ * documents are moved to another namespace. The field path of each value is taken from its position in the
+ * document, skipping array indexes (as when the value was encrypted).
+ * @param {any} value The document (or a value in it).
+ * @param {object} from Cipher the values are currently encrypted with.
+ * @param {object} to Cipher to encrypt the values with.
+ * @param {string} path Path of the value (null for the document).
+ * @returns A copy of the document with the values encrypted using 'to'.
+ */
+const transferEncryptedValues = (value, from, to, path) => {
+    if (isEncrypted(value)) {
+        return to.encrypt(from.decrypt(value, path), path)
+    }
+    if (Array.isArray(value)) {
+        return value.map(element => transferEncryptedValues(element, from, to, path))
+    }
+    if (isPlainObject(value)) {
+        let copy = {}
+        for (const key in value) {
+            copy[key] = transferEncryptedValues(value[key], from, to, path ? path + '.' + key : key)
+        }
+        return copy
+    }
+    return value
+}
+
+/**
+ * Wraps a collection so that the given fields are encrypted when written and decrypted when read.
+ *
+ * Encrypted values are not deterministic, so filters cannot refer to encrypted fields, and only $set,
+ * $setOnInsert and $unset can be used to update them. Bulk operation builders (initializeOrderedBulkOp and
+ * initializeUnorderedBulkOp) are rejected, as the operations they are given cannot be encrypted; use bulkWrite instead.
+ * Aggregation pipelines cannot refer to encrypted fields (in $match or as '$field' expressions), or write their
+ * results using $out or $merge.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {string[]} fields Paths of the encrypted fields.
+ * @param {object} cipher Cipher created by createCipher.
+ * @param {string} namespace Namespace of the DataStore that handed out the collection.
+ * @returns The wrapped collection.
+ */
+const encryptCollection = (collection, fields, cipher, namespace) => {
+    let paths = fields.map(field => ({ field, parts: field.split('.') }))
+
+    const encryptValue = (field) => {
+        return (value) => isEncrypted(value) ? value : cipher.encrypt(value, field)
+    }
+
+    const encryptDocument = (document) => {
+        if (toDocument(document) === null) {
+            return document
+        }
+        for (const { field, parts } of paths) {
+            document = mapPath(document, parts, encryptValue(field))
+        }
+        return document
+    }
+
+    const decryptDocument = (document) => {
+        if (!isPlainObject(document)) {
+            return document
+        }
+        for (const { field, parts } of paths) {
+            document = mapPath(document, parts, (value) => cipher.decrypt(value, field))
+        }
+        return document
+    }
+
+    const checkFilter = (filter) => {
+        filter = toDocument(filter)
+        if (filter === null) {
+            return
+        }
+        for (const key in filter) {
+            if (['$and', '$or', '$nor'].includes(key) && Array.isArray(filter[key])) {
+                filter[key].forEach(checkFilter)
+                continue
+            }
+            let field = fields.find(f => overlap(normalizeKey(key), f) !== null)
+            if (field !== undefined) {
+                throw new EncryptionError(`Unable to query '${key}' under '${namespace}': the field '${field}' is encrypted and cannot be used in filters.`, namespace)
+            }
+        }
+    }
+
+    const checkReferences = (value) => {
+        if (typeof value === 'string') {
+            if (value.startsWith('$') && !value.startsWith('$$')) {
+                let field = fields.find(f => overlap(normalizeKey(value.substring(1)), f) !== null)
+                if (field !== undefined) {
+                    throw new EncryptionError(`Unable to use '${value}' in a pipeline under '${namespace}': the field '${field}' is encrypted.`, namespace)
+                }
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(checkReferences)
+        } else {
+            let document = toDocument(value)
+            if (document !== null) {
+                Object.values(document).forEach(checkReferences)
+            }
+        }
+    }
+
+    const checkPipeline = (pipeline) => {
+        if (!Array.isArray(pipeline)) {
+            return
+        }
+        for (const stage of pipeline) {
+            let document = toDocument(stage)
+            if (document === null) {
+                continue
+            }
+            for (const name in document) {
+                if (name === '$out' || name === '$merge') {
+                    throw new EncryptionError(`Unable to use '${name}' on a collection with encrypted fields under '${namespace}': the documents would be written without encryption.`, namespace)
+                }
+                if (name === '$match') {
+                    checkFilter(document[name])
+                }
+                if (name === '$facet') {
+                    Object.values(toDocument(document[name]) || {}).forEach(checkPipeline)
+                }
+            }
+            checkReferences(document)
+        }
+    }
+
+    const encryptUpdate = (update) => {
+        if (Array.isArray(update)) {
+            throw new EncryptionError(`Unable to update a collection with encrypted fields under '${namespace}' using an aggregation pipeline.`, namespace)
+        }
+        let encrypted = toDocument(update)
+        if (encrypted === null) {
+            return update
+        }
+        if (!Object.keys(encrypted).some(key => key.startsWith('$'))) {
+            return encryptDocument(encrypted)
+        }
+
+        for (const operator in encrypted) {
+            let values = toDocument(encrypted[operator])
+            if (values === null) {
+                continue
+            }
+            for (const key in values) {
+                let normalizedKey = normalizeKey(key)
+                for (const { field, parts } of paths) {
+                    if (operator === '$rename' && typeof values[key] === 'string' && overlap(normalizeKey(values[key]), field) !== null) {
+                        throw new EncryptionError(`Unable to rename '${key}' to '${values[key]}' under '${namespace}': the field '${field}' is encrypted.`, namespace)
+                    }
+                    let relation = overlap(normalizedKey, field)
+                    if (relation === null) {
+                        continue
+                    }
+                    if (!permittedOperators.includes(operator) || relation === 'child') {
+                        throw new EncryptionError(`Unable to apply '${operator}' to '${key}' under '${namespace}': the field '${field}' is encrypted and can only be set or unset as a whole.`, namespace)
+                    }
+                    if (encryptingOperators.includes(operator)) {
+                        let relativeParts = relation === 'field' ? [] : parts.slice(normalizedKey === '' ? 0 : normalizedKey.split('.').length)
+                        values[key] = mapPath(values[key], relativeParts, encryptValue(field))
+                    }
+                }
+            }
+            encrypted[operator] = values
+        }
+        return encrypted
+    }
+
+    const decryptModifyResult = (result) => {
+        if (isPlainObject(result) && 'value' in result && 'ok' in result) {
+            result.value = decryptDocument(result.value)
+            return result
+        }
+        return decryptDocument(result)
+    }
+
+    /**
+     * Copies the _id values assigned to the encrypted copies of documents back to the originals, as the driver would.
+     */
+    const assignIds = (originals, copies) => {
+        originals.forEach((original, i) => {
+            if (original !== null && typeof original === 'object' && !Array.isArray(original) && original._id === undefined && copies[i] !== original && copies[i]._id !== undefined) {
+                original._id = copies[i]._id
+            }
+        })
+    }
+
+    return wrapCollection(collection, (method, args, invoke) => {
+        let newArgs = args.slice()
+        try {
+            switch (method) {
+                case 'initializeOrderedBulkOp':
+                case 'initializeUnorderedBulkOp':
+                    throw new EncryptionError(`Unable to use '${method}' on a collection with encrypted fields under '${namespace}': use bulkWrite instead.`, namespace)
+                case 'insertOne': {
+                    newArgs[0] = encryptDocument(args[0])
+                    return invoke(newArgs).then((result) => {
+                        assignIds([args[0]], [newArgs[0]])
+                        return result
+                    })
+                }
+                case 'insertMany': {
+                    newArgs[0] = (args[0] || []).map(encryptDocument)
+                    return invoke(newArgs).then((result) => {
+                        assignIds(args[0], newArgs[0])
+                        return result
+                    })
+                }
+                case 'replaceOne':
+                case 'findOneAndReplace':
+                    checkFilter(args[0])
+                    newArgs[1] = encryptDocument(args[1])
+                    break
+                case 'updateOne':
+                case 'updateMany':
+                case 'findOneAndUpdate':
+                    checkFilter(args[0])
+                    newArgs[1] = encryptUpdate(args[1])
+                    break
+                case 'bulkWrite':
+                    newArgs[0] = (args[0] || []).map((operation) => {
+                        let [type] = Object.keys(operation)
+                        let spec = Object.assign({}, operation[type])
+                        checkFilter(spec.filter)
+                        if (type === 'insertOne') {
+                            spec.document = encryptDocument(spec.document)
+                        } else if (type === 'replaceOne') {
+                            spec.replacement = encryptDocument(spec.replacement)
+                        } else if (type === 'updateOne' || type === 'updateMany') {
+                            spec.update = encryptUpdate(spec.update)
+                        }
+                        return { [type]: spec }
+                    })
+                    break
+                case 'distinct': {
+                    let field = fields.find(f => typeof args[0] === 'string' && overlap(normalizeKey(args[0]), f) !== null)
+                    if (field !== undefined) {
+                        throw new EncryptionError(`Unable to list distinct values of '${args[0]}' under '${namespace}': the field '${field}' is encrypted.`, namespace)
+                    }
+                    checkFilter(args[1])
+                    break
+                }
+                case 'aggregate':
+                    checkPipeline(args[0])
+                    break
+                case 'find':
+                case 'findOne':
+                case 'findOneAndDelete':
+                case 'countDocuments':
+                case 'count':
+                case 'deleteOne':
+                case 'deleteMany':
+                    checkFilter(args[0])
+                    break
+            }
+        } catch (e) {
+            return signalError(method, e)
+        }
+
+        let result = invoke(newArgs)
+        switch (method) {
+            case 'find':
+            case 'aggregate':
+                return result.map(decryptDocument)
+            case 'findOne':
+                return result.then(decryptDocument)
+            case 'findOneAndReplace':
+            case 'findOneAndUpdate':
+            case 'findOneAndDelete':
+                return result.then(decryptModifyResult)
+            default:
+                return result
+        }
+    })
+}
+
+/**
+ * Prepares the update that re-encrypts the stale values of a document.
+ *
+ * Values are set using their exact paths, and the update only applies if the values have not changed since the
+ * document was read, so concurrent updates to other fields are kept. Values inside arrays cannot be set using their
+ * paths, so the top-level field containing them is replaced instead, on the condition that it has not changed.
+ *
+ * @param {object} document The document, with the top-level fields containing the encrypted fields.
+ * @param {string[]} fields Paths of the encrypted fields.
+ * @param {object} cipher Cipher created by createCipher.
+ * @returns Object with the filter and the $set document of the update, or null if no values are stale.
+ */
+const prepareReencryption = (document, fields, cipher) => {
+    let reencrypted = document
+    let values = {}
+    let replaced = new Set()
+
+    for (const field of fields) {
+        let parts = field.split('.')
+        let insideArray = false
+        let value = document
+        for (const part of parts) {
+            if (Array.isArray(value)) {
+                insideArray = true
+                break
+            }
+            value = isPlainObject(value) ? value[part] : undefined
+        }
+
+        reencrypted = mapPath(reencrypted, parts, (current) => {
+            if (!cipher.isStale(current)) {
+                return current
+            }
+            let encrypted = cipher.encrypt(cipher.decrypt(current, field), field)
+            if (insideArray) {
+                replaced.add(parts[0])
+            } else {
+                values[field] = { current, encrypted }
+            }
+            return encrypted
+        })
+    }
+
+    let filter = { _id: document._id }
+    let set = {}
+    for (const field in values) {
+        if (!replaced.has(field.split('.')[0])) {
+            filter[field] = values[field].current
+            set[field] = values[field].encrypted
+        }
+    }
+    for (const key of replaced) {
+        filter[key] = document[key]
+        set[key] = reencrypted[key]
+    }
+
+    return Object.keys(set).length > 0 ? { filter, set } : null
+}
+
+/**
+ * Re-encrypts the encrypted fields of every document in a collection with the current key.
+ *
+ * Values encrypted with other keys are decrypted and encrypted again, and values that are not encrypted yet
+ * (e.g. written before the field was declared as encrypted) are encrypted. Documents that are changed while they
+ * are being re-encrypted are read again and retried.
+ *
+ * @param {Collection} collection The (unwrapped) collection.
+ * @param {string[]} fields Paths of the encrypted fields.
+ * @param {object} cipher Cipher created by createCipher.
+ * @returns Object with the number of documents that were updated.
+ */
+const reencryptCollection = async (collection, fields, cipher) => {
+    let updated = 0
+    let projection = { _id: 1 }
+    fields.forEach(field => { projection[field.split('.')[0]] = 1 })
+
+    for await (let document of collection.find({}, { projection })) {
+        while (document !== null) {
+            let update = prepareReencryption(document, fields, cipher)
+            if (update === null) {
+                break
+            }
+            let result = await collection.updateOne(update.filter, { $set: update.set })
+            if (result.matchedCount > 0) {
+                updated += 1
+                break
+            }
+            document = await collection.findOne({ _id: document._id }, { projection })
+        }
+    }
+
+    return { documents: updated }
+}
+
+module.exports = {
+    createKeyring,
+    createCipher,
+    validateEncryptedFields,
+    encryptCollection,
+    reencryptCollection,
+    containsEncryptedValues,
+    transferEncryptedValues
+}
@@ -0,0 +1,291 @@
+/**
+ * Error classes thrown by the DataStore module.
+ *
+ * All errors extend the standard Error class and carry structured fields describing what was rejected,
+ * so that callers can react to them without parsing the message.
+ */
+
+/**
+ * Thrown when a collection name does not match VALID_COLLECTION_NAME_FORMAT.
+ */
+class InvalidCollectionNameError extends Error {
+    /**
+     * @param {string} collectionName The rejected collection name.
+     * @param {string} namespace Namespace of the DataStore that rejected the name.
+     */
+    constructor(collectionName, namespace) {
+        super(`Invalid collection name provided to DataStore '${namespace}' (should only contain characters a-z, 0-9, - and _): ${collectionName}`)
+        this.name = 'InvalidCollectionNameError'
+        this.collectionName = collectionName
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when attempting to move collections to a namespace that already has collections.
+ */
+class DataStoreExistsError extends Error {
+    /**
+     * @param {string} namespace The namespace that already has collections.
+     */
+    constructor(namespace) {
+        super(`The namespace '${namespace}' already has collections.`)
+        this.name = 'DataStoreExistsError'
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when attempting to change a schema that has been locked by a parent DataStore.
+ */
+class SchemaLockedError extends Error {
+    /**
+     * @param {string} collectionName Full name of the collection whose schema is locked.
+     * @param {string} lockedBy Namespace of the DataStore that locked the schema.
+     */
+    constructor(collectionName, lockedBy) {
+        super(`The schema of '${collectionName}' has been locked by '${lockedBy}'.`)
+        this.name = 'SchemaLockedError'
+        this.collectionName = collectionName
+        this.lockedBy = lockedBy
+    }
+}
+
+/**
+ * Thrown when a list of migrations is invalid or a migration cannot be rolled back.
+ */
+class MigrationError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     * @param {string} namespace Namespace that the migrations belong to.
+     * @param {number} version Version of the offending migration, if any.
+     */
+    constructor(message, namespace, version) {
+        super(message)
+        this.name = 'MigrationError'
+        this.namespace = namespace
+        this.version = version
+    }
+}
+
+/**
+ * Thrown when the migration lock for a namespace could not be taken in time.
+ */
+class MigrationLockTimeoutError extends Error {
+    /**
+     * @param {string} namespace Namespace that the migrations belong to.
+     * @param {number} timeout Time spent waiting for the lock, in milliseconds.
+     */
+    constructor(namespace, timeout) {
+        super(`Timed out after ${timeout}ms waiting for the migration lock of '${namespace}'.`)
+        this.name = 'MigrationLockTimeoutError'
+        this.namespace = namespace
+        this.timeout = timeout
+    }
+}
+
+/**
+ * Thrown when a DataStore or collection is used for an operation that its scope does not allow.
+ */
+class ForbiddenOperationError extends Error {
+    /**
+     * @param {string} namespace Namespace of the DataStore that rejected the operation.
+     * @param {string} operation Name of the rejected operation.
+     * @param {string[]} scope Scope of the DataStore that rejected the operation.
+     */
+    constructor(namespace, operation, scope) {
+        super(`Operation '${operation}' is not allowed by the scope of DataStore '${namespace}' (${scope.join(', ')}).`)
+        this.name = 'ForbiddenOperationError'
+        this.namespace = namespace
+        this.operation = operation
+        this.scope = scope
+    }
+}
+
+/**
+ * Thrown when attempting to create a child DataStore with more rights than its parent.
+ */
+class ScopeEscalationError extends Error {
+    /**
+     * @param {string} namespace Namespace of the requested child DataStore.
+     * @param {string[]} scope The requested scope.
+     * @param {string[]} parentScope Scope of the parent DataStore.
+     */
+    constructor(namespace, scope, parentScope) {
+        super(`Unable to create DataStore '${namespace}' with scope (${scope.join(', ')}): it exceeds the parent scope (${parentScope.join(', ')}).`)
+        this.name = 'ScopeEscalationError'
+        this.namespace = namespace
+        this.scope = scope
+        this.parentScope = parentScope
+    }
+}
+
+/**
+ * Thrown when an operation would exceed the quota of a DataStore namespace.
+ */
+class QuotaExceededError extends Error {
+    /**
+     * @param {string} namespace Namespace whose quota would be exceeded.
+     * @param {string} limit Name of the exceeded limit ('maxCollections', 'maxDocuments' or 'maxBytes').
+     * @param {number} max Value of the limit.
+     * @param {number} usage Current usage.
+     */
+    constructor(namespace, limit, max, usage) {
+        super(`The operation would exceed the quota of '${namespace}' (${limit}: ${max}, current usage: ${usage}).`)
+        this.name = 'QuotaExceededError'
+        this.namespace = namespace
+        this.limit = limit
+        this.max = max
+        this.usage = usage
+    }
+}
+
+/**
+ * Thrown when attempting to start a transaction against a server that does not support transactions.
+ */
+class TransactionsNotSupportedError extends Error {
+    /**
+     * @param {string} namespace Namespace of the DataStore that attempted to start the transaction.
+     */
+    constructor(namespace) {
+        super(`Unable to start a transaction from '${namespace}': transactions require a replica set or a sharded cluster, but the server is a standalone server.`)
+        this.name = 'TransactionsNotSupportedError'
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when importing from a source that is not a valid DataStore archive.
+ */
+class ArchiveFormatError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     */
+    constructor(message) {
+        super(message)
+        this.name = 'ArchiveFormatError'
+    }
+}
+
+/**
+ * Thrown when the module is initialized while a module-level root DataStore already exists.
+ */
+class AlreadyInitializedError extends Error {
+    constructor() {
+        super('Initialization call rejected: morrigan.utils.datastore has already been initialized!')
+        this.name = 'AlreadyInitializedError'
+    }
+}
+
+/**
+ * Thrown when a DataStore is used before its root has finished initializing.
+ */
+class NotInitializedError extends Error {
+    /**
+     * @param {string} namespace Namespace of the DataStore that was used.
+     */
+    constructor(namespace) {
+        super(`DataStore '${namespace}' cannot be used before its root DataStore has been initialized.`)
+        this.name = 'NotInitializedError'
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when a namespace name does not match VALID_NAMESPACE_FORMAT.
+ */
+class InvalidNamespaceError extends Error {
+    /**
+     * @param {string} namespace The rejected namespace name.
+     * @param {string} parentNamespace Namespace of the DataStore that rejected the name.
+     */
+    constructor(namespace, parentNamespace) {
+        super(`Invalid namespace name provided to DataStore '${parentNamespace}' (should only contain characters a-z, 0-9, - and _): ${namespace}`)
+        this.name = 'InvalidNamespaceError'
+        this.namespace = namespace
+        this.parentNamespace = parentNamespace
+    }
+}
+
+/**
+ * Thrown when a scope is not a valid scope name, or an array of valid scope names.
+ */
+class InvalidScopeError extends Error {
+    /**
+     * @param {string|string[]} scope The rejected scope.
+     * @param {string[]} validScopes The valid scope names.
+     * @param {string} namespace Namespace of the DataStore that the scope was given to.
+     */
+    constructor(scope, validScopes, namespace) {
+        super(`Invalid scope '${scope}' for DataStore '${namespace}'. Valid scopes are: ${validScopes.join(', ')}`)
+        this.name = 'InvalidScopeError'
+        this.scope = scope
+        this.validScopes = validScopes
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when a DataStore (or a collection handed out by it) is used after its root DataStore has been discarded.
+ */
+class DiscardedDataStoreError extends Error {
+    /**
+     * @param {string} namespace Namespace of the DataStore that was used.
+     */
+    constructor(namespace) {
+        super(`DataStore '${namespace}' cannot be used after its root DataStore has been discarded.`)
+        this.name = 'DiscardedDataStoreError'
+        this.namespace = namespace
+    }
+}
+
+/**
+ * Thrown when a DataStore (or a collection handed out by it) is used after it, or one of its ancestors, has been revoked.
+ */
+class RevokedDataStoreError extends Error {
+    /**
+     * @param {string} namespace Namespace of the DataStore that was used.
+     * @param {string} revokedNamespace Namespace of the DataStore that was revoked (the DataStore itself or one of its ancestors).
+     */
+    constructor(namespace, revokedNamespace) {
+        super(`DataStore '${namespace}' cannot be used, as access to '${revokedNamespace}' has been revoked.`)
+        this.name = 'RevokedDataStoreError'
+        this.namespace = namespace
+        this.revokedNamespace = revokedNamespace
+    }
+}
+
+/**
+ * Thrown when an encrypted field cannot be decrypted, or is used in a way that encryption does not allow (e.g. in a filter).
+ */
+class EncryptionError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     * @param {string} namespace Namespace of the DataStore that the collection belongs to.
+     */
+    constructor(message, namespace) {
+        super(message)
+        this.name = 'EncryptionError'
+        this.namespace = namespace
+    }
+}
+
+module.exports = {
+    InvalidCollectionNameError,
+    DataStoreExistsError,
+    SchemaLockedError,
+    MigrationError,
+    MigrationLockTimeoutError,
+    ForbiddenOperationError,
+    ScopeEscalationError,
+    QuotaExceededError,
+    TransactionsNotSupportedError,
+    ArchiveFormatError,
+    AlreadyInitializedError,
+    NotInitializedError,
+    InvalidNamespaceError,
+    InvalidScopeError,
+    DiscardedDataStoreError,
+    RevokedDataStoreError,
+    EncryptionError
+}
@@ -0,0 +1,92 @@
+/**
+ * Handles track which DataStores have been revoked.
+ *
+ * Every DataStore has a handle that links to the handle of the DataStore that issued it (its parent). A DataStore
+ * is revoked if its own handle, or the handle of any of its ancestors, has been revoked. Parents do not keep
+ * references to the handles they issue: instead each handle gets a serial number from its parent, and revoking a
+ * child namespace revokes every handle issued for it so far.
+ */
+
+/**
+ * Creates a handle for a new DataStore.
+ * @param {string} namespace Namespace of the DataStore.
+ * @param {object} parent Handle of the DataStore that issued the new DataStore, or null for a root DataStore.
+ * @returns The handle.
+ */
+const createHandle = (namespace, parent) => {
+    return {
+        namespace,
+        parent: parent || null,
+        serial: parent ? parent.issued++ : 0,
+        revoked: false,
+        issued: 0,
+        revocations: new Map(),
+        changeStreams: new Set()
+    }
+}
+
+/**
+ * Finds the revoked handle (if any) in the chain from a handle to its root.
+ * @param {object} handle The handle to check.
+ * @returns The handle that was revoked (the handle itself or one of its ancestors), or null if none were revoked.
+ */
+const findRevokedHandle = (handle) => {
+    for (let current = handle; current !== null; current = current.parent) {
+        if (current.revoked) {
+            return current
+        }
+        let parent = current.parent
+        if (parent !== null && (parent.revocations.get(current.namespace) || 0) > current.serial) {
+            return current
+        }
+    }
+    return null
+}
+
+/**
+ * Revokes every handle that a handle has issued for a child namespace so far.
+ * @param {object} handle The handle of the issuing DataStore.
+ * @param {string} childNamespace Full name of the child namespace.
+ */
+const revokeIssued = (handle, childNamespace) => {
+    handle.revocations.set(childNamespace, handle.issued)
+}
+
+/**
+ * Registers a change stream opened by a DataStore with its handle and all of its ancestors, so that it can be
+ * closed when the DataStore is revoked. The change stream is unregistered when it is closed.
+ * @param {object} handle Handle of the DataStore that opened the change stream.
+ * @param {ChangeStream} changeStream The change stream.
+ */
+const trackChangeStream = (handle, changeStream) => {
+    let entry = { owner: handle, changeStream }
+    let handles = []
+    for (let current = handle; current !== null; current = current.parent) {
+        current.changeStreams.add(entry)
+        handles.push(current)
+    }
+    changeStream.once('close', () => {
+        handles.forEach(h => h.changeStreams.delete(entry))
+    })
+}
+
+/**
+ * Closes the change streams registered with a handle that were opened by revoked DataStores.
+ * @param {object} handle The handle.
+ */
+const closeRevokedChangeStreams = async (handle) => {
+    for (const entry of Array.from(handle.changeStreams)) {
+        if (findRevokedHandle(entry.owner) !== null) {
+            handle.changeStreams.delete(entry)
+            await entry.changeStream.close()
+        }
+    }
+}
+
+module.exports = {
+    createHandle,
+    findRevokedHandle,
+    revokeIssued,
+    trackChangeStream,
+    closeRevokedChangeStreams
+}
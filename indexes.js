@@ -0,0 +1,109 @@
+const { BSON } = require('mongodb')
+
+/**
+ * Index options that are compared when checking whether an existing index matches a declared index.
+ */
+const comparedOptions = ['unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds', 'hidden']
+
+/**
+ * Returns the name of an index spec, generating the default name used by the server if the spec has none.
+ * @param {object} spec Index spec ({key, name, ...options}).
+ * @returns The index name.
+ */
+const indexName = (spec) => {
+    if (typeof spec.name === 'string') {
+        return spec.name
+    }
+    return Object.entries(spec.key).map(([field, direction]) => `${field}_${direction}`).join('_')
+}
+
+/**
+ * Validates a list of index specs passed to ensureIndexes.
+ * @param {object[]} specs Index specs.
+ * @returns The specs, with names.
+ */
+const validateIndexSpecs = (specs) => {
+    if (!Array.isArray(specs)) {
+        throw new Error(`Invalid index specs: ${specs}. The specs should be an array of objects with 'key' (and optionally 'name' and index options).`)
+    }
+
+    let named = specs.map(spec => {
+        if (spec === null || typeof spec !== 'object' || spec.key === null || typeof spec.key !== 'object' || Object.keys(spec.key).length === 0) {
+            throw new Error(`Invalid index spec: ${JSON.stringify(spec)}. Each spec should have a 'key' object with at least one field.`)
+        }
+        return Object.assign({}, spec, { name: indexName(spec) })
+    })
+
+    let names = named.map(spec => spec.name)
+    let duplicate = names.find((name, i) => names.indexOf(name) !== i)
+    if (duplicate !== undefined) {
+        throw new Error(`Invalid index specs: the index '${duplicate}' is declared more than once.`)
+    }
+
+    return named
+}
+
+const sameValue = (a, b) => {
+    return BSON.EJSON.stringify({ value: a }) === BSON.EJSON.stringify({ value: b })
+}
+
+/**
+ * Checks whether an existing index matches a declared index (same key and options).
+ * @param {object} existing Existing index, as returned by listIndexes.
+ * @param {object} declared Declared index spec.
+ * @returns True if the indexes match.
+ */
+const indexMatches = (existing, declared) => {
+    if (!sameValue(Object.entries(existing.key), Object.entries(declared.key))) {
+        return false
+    }
+    return comparedOptions.every(option => {
+        if (option === 'unique' || option === 'sparse' || option === 'hidden') {
+            return (existing[option] === true) === (declared[option] === true)
+        }
+        return sameValue(existing[option], declared[option])
+    })
+}
+
+/**
+ * Compares the existing indexes of a collection with the declared indexes.
+ *
+ * Indexes are matched by name. A declared index without a matching name also matches an existing index with
+ * the same key, in which case the existing index is reported as changed (it will be recreated with the new name).
+ * The _id index is never reported.
+ *
+ * @param {object[]} existing Existing indexes, as returned by listIndexes.
+ * @param {object[]} declared Declared index specs, as returned by validateIndexSpecs.
+ * @returns Object with the specs to create ('create'), the existing indexes that changed ('change', {existing, declared}), the names of unchanged indexes ('unchanged') and the names of undeclared indexes ('undeclared').
+ */
+const diffIndexes = (existing, declared) => {
+    let remaining = existing.filter(index => index.name !== '_id_')
+    let diff = { create: [], change: [], unchanged: [], undeclared: [] }
+
+    for (const spec of declared) {
+        let match = remaining.find(index => index.name === spec.name)
+        if (!match) {
+            match = remaining.find(index => sameValue(Object.entries(index.key), Object.entries(spec.key)))
+        }
+
+        if (!match) {
+            diff.create.push(spec)
+            continue
+        }
+
+        remaining = remaining.filter(index => index !== match)
+        if (match.name === spec.name && indexMatches(match, spec)) {
+            diff.unchanged.push(spec.name)
+        } else {
+            diff.change.push({ existing: match, declared: spec })
+        }
+    }
+
+    diff.undeclared = remaining.map(index => index.name)
+    return diff
+}
+
+module.exports = {
+    validateIndexSpecs,
+    diffIndexes
+}
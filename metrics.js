@@ -0,0 +1,198 @@
+/**
+ * Default upper bounds of the latency histogram buckets, in milliseconds.
+ */
+const defaultBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
+
+/**
+ * Default threshold above which commands are reported as slow, in milliseconds.
+ */
+const defaultSlowCommandMS = 100
+
+/**
+ * Default handler for slow commands, logs a warning to the console.
+ * @param {object} entry The slow command (namespace, collection, command, durationMS and error).
+ */
+const logSlowCommand = (entry) => {
+    let target = entry.collection === null ? entry.namespace : `${entry.namespace}.${entry.collection}`
+    console.warn(`Slow command '${entry.command}' on '${target}' took ${entry.durationMS.toFixed(1)}ms${entry.error ? ` and failed: ${entry.error.message}` : ''}.`)
+}
+
+/**
+ * Splits a full collection name into the namespace and the name of the collection within it.
+ * @param {string} collectionName Full collection name (e.g. 'global.A.users').
+ * @returns Object with namespace ('global.A') and collection ('users').
+ */
+const splitCollectionName = (collectionName) => {
+    let separatorIndex = collectionName.lastIndexOf('.')
+    if (separatorIndex === -1) {
+        return { namespace: collectionName, collection: null }
+    }
+    return { namespace: collectionName.substring(0, separatorIndex), collection: collectionName.substring(separatorIndex + 1) }
+}
+
+/**
+ * Creates the collector that records command metrics for a root DataStore.
+ *
+ * @param {boolean|object} metricsOptions Metrics settings from the initializer ('true' enables metrics with default settings):
+ *   - buckets: Upper bounds of the latency histogram buckets, in milliseconds.
+ *   - slowCommandMS: Commands that take longer than this are reported as slow (default 100). Set to null to disable.
+ *   - onSlowCommand: Function called with each slow command, defaults to logging a warning to the console.
+ * @returns The collector, or null if metrics are not enabled.
+ */
+const createMetrics = (metricsOptions) => {
+    if (!metricsOptions) {
+        return null
+    }
+    if (metricsOptions === true) {
+        metricsOptions = {}
+    }
+
+    let buckets = defaultBuckets
+    if (metricsOptions.buckets !== undefined) {
+        if (!Array.isArray(metricsOptions.buckets) || metricsOptions.buckets.some(b => typeof b !== 'number' || !(b > 0))) {
+            throw new Error(`Invalid metrics buckets: ${metricsOptions.buckets}. The buckets should be an array of positive numbers (milliseconds).`)
+        }
+        buckets = metricsOptions.buckets.slice().sort((a, b) => a - b)
+    }
+
+    let slowCommandMS = metricsOptions.slowCommandMS === undefined ? defaultSlowCommandMS : metricsOptions.slowCommandMS
+    let onSlowCommand = typeof metricsOptions.onSlowCommand === 'function' ? metricsOptions.onSlowCommand : logSlowCommand
+
+    let series = new Map()
+    let since = new Date()
+
+    return {
+        /**
+         * Records a completed command.
+         * @param {object} event The command, reported by the backend:
+         *   - collectionName: Full name of the collection the command ran on.
+         *   - commandName: Name of the command.
+         *   - durationMS: Time the command took, in milliseconds.
+         *   - error: The error the command failed with, if any.
+         *   - command: The command document, if available.
+         */
+        record: (event) => {
+            let { namespace, collection } = splitCollectionName(event.collectionName)
+            let key = `${namespace}\u0000${collection}\u0000${event.commandName}`
+
+            let entry = series.get(key)
+            if (!entry) {
+                entry = { namespace, collection, command: event.commandName, count: 0, errors: 0, durationSum: 0, bucketCounts: buckets.map(() => 0) }
+                series.set(key, entry)
+            }
+
+            entry.count += 1
+            entry.durationSum += event.durationMS
+            if (event.error) {
+                entry.errors += 1
+            }
+            let bucketIndex = buckets.findIndex(bound => event.durationMS <= bound)
+            if (bucketIndex !== -1) {
+                entry.bucketCounts[bucketIndex] += 1
+            }
+
+            if (slowCommandMS !== null && event.durationMS > slowCommandMS) {
+                try {
+                    onSlowCommand({
+                        namespace,
+                        collection,
+                        command: event.commandName,
+                        durationMS: event.durationMS,
+                        error: event.error || null,
+                        commandDocument: event.command || null
+                    })
+                } catch (e) {
+                    // Failing to report a slow command should not affect the command itself.
+                }
+            }
+        },
+
+        /**
+         * Returns the recorded metrics.
+         * @returns Object with 'since' (when recording started) and 'commands' (one entry per namespace, collection
+         *   and command, with count, errors and latency: sumMS and cumulative buckets ({le, count}), sorted).
+         */
+        snapshot: () => {
+            let commands = Array.from(series.values()).map(entry => {
+                let cumulative = 0
+                return {
+                    namespace: entry.namespace,
+                    collection: entry.collection,
+                    command: entry.command,
+                    count: entry.count,
+                    errors: entry.errors,
+                    latency: {
+                        sumMS: entry.durationSum,
+                        buckets: buckets.map((le, i) => {
+                            cumulative += entry.bucketCounts[i]
+                            return { le, count: cumulative }
+                        }).concat([{ le: Infinity, count: entry.count }])
+                    }
+                }
+            })
+
+            const sortKey = (c) => [c.namespace, c.collection || '', c.command].join('\u0000')
+            commands.sort((a, b) => sortKey(a) < sortKey(b) ? -1 : (sortKey(a) > sortKey(b) ? 1 : 0))
+            return { since, commands }
+        }
+    }
+}
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {string} value The value.
+ * @returns The escaped value.
+ */
+const escapeLabelValue = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Formats metrics returned by getMetrics in the Prometheus text exposition format.
+ *
+ * Produces the counters <prefix>_commands_total and <prefix>_command_errors_total and the histogram
+ * <prefix>_command_duration_seconds, labeled with namespace, collection and command.
+ *
+ * @param {object} metrics Metrics returned by getMetrics.
+ * @param {object} formatOptions Optional settings, recognizes 'prefix' (default 'datastore').
+ * @returns The metrics as text.
+ */
+const formatPrometheusMetrics = (metrics, formatOptions) => {
+    let prefix = (formatOptions && formatOptions.prefix) || 'datastore'
+    let lines = []
+
+    const labels = (command, extra) => {
+        let pairs = [['namespace', command.namespace], ['collection', command.collection || ''], ['command', command.command]].concat(extra || [])
+        return '{' + pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}'
+    }
+
+    lines.push(`# HELP ${prefix}_commands_total Number of commands run, by DataStore namespace, collection and command.`)
+    lines.push(`# TYPE ${prefix}_commands_total counter`)
+    for (const command of metrics.commands) {
+        lines.push(`${prefix}_commands_total${labels(command)} ${command.count}`)
+    }
+
+    lines.push(`# HELP ${prefix}_command_errors_total Number of commands that failed, by DataStore namespace, collection and command.`)
+    lines.push(`# TYPE ${prefix}_command_errors_total counter`)
+    for (const command of metrics.commands) {
+        lines.push(`${prefix}_command_errors_total${labels(command)} ${command.errors}`)
+    }
+
+    lines.push(`# HELP ${prefix}_command_duration_seconds Time taken by commands, by DataStore namespace, collection and command.`)
+    lines.push(`# TYPE ${prefix}_command_duration_seconds histogram`)
+    for (const command of metrics.commands) {
+        for (const bucket of command.latency.buckets) {
+            let le = bucket.le === Infinity ? '+Inf' : String(bucket.le / 1000)
+            lines.push(`${prefix}_command_duration_seconds_bucket${labels(command, [['le', le]])} ${bucket.count}`)
+        }
+        lines.push(`${prefix}_command_duration_seconds_sum${labels(command)} ${command.latency.sumMS / 1000}`)
+        lines.push(`${prefix}_command_duration_seconds_count${labels(command)} ${command.count}`)
+    }
+
+    return lines.join('\n') + '\n'
+}
+
+module.exports = {
+    createMetrics,
+    formatPrometheusMetrics
+}
@@ -0,0 +1,152 @@
+const crypto = require('crypto')
+const { MigrationError, MigrationLockTimeoutError } = require('./errors')
+const { sleep } = require('./utils')
+
+/**
+ * Default settings for runMigrations.
+ */
+const defaults = {
+    lockTimeout: 60000,
+    lockTTL: 300000,
+    lockRetryInterval: 250
+}
+
+const lockName = 'migrations'
+
+/**
+ * Validates a list of migration steps and returns a copy sorted by version.
+ * @param {string} namespace Namespace that the migrations belong to.
+ * @param {object[]} migrations Migration steps ({version, up, down}).
+ * @returns The sorted migration steps.
+ * @throws MigrationError if any of the steps are invalid.
+ */
+const sortMigrations = (namespace, migrations) => {
+    if (!Array.isArray(migrations)) {
+        throw new MigrationError(`Migrations for '${namespace}' should be provided as an array.`, namespace)
+    }
+
+    let versions = new Set()
+    for (const migration of migrations) {
+        if (migration === null || typeof migration !== 'object' || !Number.isInteger(migration.version) || migration.version < 1) {
+            throw new MigrationError(`Invalid migration provided for '${namespace}', the version should be a positive integer.`, namespace)
+        }
+        if (typeof migration.up !== 'function') {
+            throw new MigrationError(`Migration ${migration.version} for '${namespace}' does not have an 'up' function.`, namespace, migration.version)
+        }
+        if (versions.has(migration.version)) {
+            throw new MigrationError(`Migration ${migration.version} for '${namespace}' has been provided more than once.`, namespace, migration.version)
+        }
+        versions.add(migration.version)
+    }
+
+    return migrations.slice().sort((a, b) => a.version - b.version)
+}
+
+/**
+ * Takes the migration lock, waiting for it to be released if it is held by someone else.
+ *
+ * The lock is a single document that is upserted only if it is not held or has expired. If another
+ * process holds the lock, the upsert fails with a duplicate key error.
+ *
+ * @param {Collection} locks Collection holding the lock documents.
+ * @param {string} namespace Namespace that the lock belongs to.
+ * @param {object} options Settings (lockTimeout, lockTTL and lockRetryInterval).
+ * @returns Object with the owner ID of the lock and a function to extend it.
+ */
+const acquireLock = async (locks, namespace, options) => {
+    let owner = crypto.randomUUID()
+    let deadline = Date.now() + options.lockTimeout
+
+    const takeLock = async () => {
+        let now = new Date()
+        await locks.updateOne(
+            { _id: lockName, $or: [{ owner }, { expiresAt: { $lt: now } }] },
+            { $set: { owner, expiresAt: new Date(now.getTime() + options.lockTTL) } },
+            { upsert: true }
+        )
+    }
+
+    while (true) {
+        try {
+            await takeLock()
+            return { owner, extend: takeLock }
+        } catch (e) {
+            if (e.code !== 11000) {
+                throw e
+            }
+        }
+
+        if (Date.now() >= deadline) {
+            throw new MigrationLockTimeoutError(namespace, options.lockTimeout)
+        }
+        await sleep(options.lockRetryInterval)
+    }
+}
+
+/**
+ * Runs pending migration steps (or rolls back applied ones) for a namespace.
+ *
+ * @param {object} store The DataStore that the migrations belong to, passed to each 'up' and 'down' function.
+ * @param {Collection} applied Collection used to record the applied versions.
+ * @param {Collection} locks Collection used to hold the migration lock.
+ * @param {object[]} migrations Migration steps ({version, up, down}).
+ * @param {object} options Optional settings:
+ *   - target: Version to migrate to. Defaults to the highest version provided, applied versions above the target are rolled back.
+ *   - lockTimeout: Time to wait for the migration lock, in milliseconds (default 60000).
+ *   - lockTTL: Time before a held lock is considered abandoned, in milliseconds (default 300000).
+ *   - lockRetryInterval: Time between attempts to take the lock, in milliseconds (default 250).
+ * @returns Object with previousVersion, version, applied (versions applied) and reverted (versions rolled back).
+ */
+const runMigrations = async (store, applied, locks, migrations, options) => {
+    let namespace = store.getNamespace()
+    options = Object.assign({}, defaults, options)
+    migrations = sortMigrations(namespace, migrations)
+
+    let target = options.target
+    if (target !== undefined && (!Number.isInteger(target) || target < 0)) {
+        throw new MigrationError(`Invalid target version for '${namespace}': ${target}`, namespace, target)
+    }
+
+    let lock = await acquireLock(locks, namespace, options)
+
+    try {
+        let appliedVersions = (await applied.find({}).toArray()).map(record => record._id).sort((a, b) => a - b)
+        let previousVersion = appliedVersions.length > 0 ? appliedVersions[appliedVersions.length - 1] : 0
+        let report = { previousVersion, version: previousVersion, applied: [], reverted: [] }
+
+        if (target === undefined) {
+            target = migrations.length > 0 ? Math.max(migrations[migrations.length - 1].version, previousVersion) : previousVersion
+        }
+
+        for (const version of appliedVersions.filter(v => v > target).reverse()) {
+            let migration = migrations.find(m => m.version === version)
+            if (!migration || typeof migration.down !== 'function') {
+                throw new MigrationError(`Unable to roll back migration ${version} for '${namespace}': no 'down' function was provided.`, namespace, version)
+            }
+            await migration.down(store)
+            await applied.deleteOne({ _id: version })
+            await lock.extend()
+            report.reverted.push(version)
+        }
+
+        for (const migration of migrations) {
+            if (migration.version > target || appliedVersions.includes(migration.version)) {
+                continue
+            }
+            await migration.up(store)
+            await applied.insertOne({ _id: migration.version, appliedAt: new Date() })
+            await lock.extend()
+            report.applied.push(migration.version)
+        }
+
+        let remaining = (await applied.find({}).toArray()).map(record => record._id)
+        report.version = remaining.length > 0 ? Math.max(...remaining) : 0
+        return report
+    } finally {
+        await locks.deleteOne({ _id: lockName, owner: lock.owner })
+    }
+}
+
+module.exports = {
+    runMigrations
+}
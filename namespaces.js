@@ -0,0 +1,254 @@
+const crypto = require('crypto')
+const { escapeRegExp } = require('./utils')
+
+/**
+ * Name of the reserved collection that namespace records are written to.
+ *
+ * Like the audit collection, the name is outside of the 'global' namespace.
+ */
+const registryCollectionName = '#datastore.namespaces'
+
+/**
+ * Returns the parent of a namespace.
+ * @param {string} namespace Full name of the namespace.
+ * @returns Full name of the parent namespace, or null for the root namespace.
+ */
+const parentNamespace = (namespace) => {
+    let separatorIndex = namespace.lastIndexOf('.')
+    return separatorIndex === -1 ? null : namespace.substring(0, separatorIndex)
+}
+
+/**
+ * Converts a stored record to the format returned to callers.
+ * @param {object} record The stored record.
+ * @returns Object with namespace, parent, scope, createdAt, updatedAt and labels.
+ */
+const toMetadata = (record) => {
+    return {
+        namespace: record._id,
+        parent: record.parent,
+        scope: record.scope,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        labels: record.labels || {}
+    }
+}
+
+/**
+ * Validates labels passed to setLabels.
+ * @param {object} labels Map of label names to values (null removes a label).
+ * @returns The labels.
+ */
+const validateLabels = (labels) => {
+    if (labels === null || typeof labels !== 'object' || Array.isArray(labels)) {
+        throw new Error(`Invalid labels: ${labels}. The labels should be an object mapping label names to values.`)
+    }
+    for (const name in labels) {
+        if (name.length === 0 || name.startsWith('$') || name.includes('.')) {
+            throw new Error(`Invalid label name '${name}'. Label names cannot be empty, start with '$' or contain '.'.`)
+        }
+        if (labels[name] === undefined) {
+            throw new Error(`Invalid value for label '${name}'. Use null to remove a label.`)
+        }
+    }
+    return labels
+}
+
+/**
+ * Creates the registry that records the namespaces DataStores have been issued for.
+ *
+ * Records are keyed by the full namespace, and hold the parent namespace, the scope the namespace was last issued
+ * with, the time it was first and last issued, free-form labels and (when encryption is used) the encryption ID.
+ *
+ * @param {object} backend Backend holding the registry collection.
+ * @returns The registry.
+ */
+const createRegistry = (backend) => {
+    let collection = backend.collection(registryCollectionName)
+
+    /**
+     * Finds the records of a namespace and all of its descendants.
+     * @param {string} namespace Full name of the namespace.
+     * @returns Array of records.
+     */
+    const findSubtree = async (namespace) => {
+        let pattern = new RegExp('^' + escapeRegExp(namespace) + '(\\.|$)')
+        return await collection.find({ _id: { $regex: pattern } }).toArray()
+    }
+
+    return {
+        collection,
+
+        /**
+         * Records that a DataStore has been issued for a namespace.
+         * @param {string} namespace Full name of the namespace.
+         * @param {string[]} scope Scope the DataStore was issued with.
+         */
+        register: async (namespace, scope) => {
+            let now = new Date()
+            await collection.updateOne(
+                { _id: namespace },
+                { $set: { parent: parentNamespace(namespace), scope, updatedAt: now }, $setOnInsert: { createdAt: now, labels: {} } },
+                { upsert: true }
+            )
+        },
+
+        /**
+         * Returns the record of a namespace.
+         * @param {string} namespace Full name of the namespace.
+         * @returns The metadata of the namespace, or null if it has no record.
+         */
+        get: async (namespace) => {
+            let record = await collection.findOne({ _id: namespace })
+            return record ? toMetadata(record) : null
+        },
+
+        /**
+         * Returns the encryption ID of a namespace, which the keys used to encrypt fields under the namespace are
+         * derived from. The ID is kept in the record, so it moves with the namespace when it is renamed.
+         * @param {string} namespace Full name of the namespace.
+         * @returns The encryption ID, or null if none has been assigned.
+         */
+        getEncryptionId: async (namespace) => {
+            let record = await collection.findOne({ _id: namespace })
+            return (record && record.encryptionId) || null
+        },
+
+        /**
+         * Returns the encryption ID of a namespace, assigning a random ID (and creating the record) if it has none.
+         * @param {string} namespace Full name of the namespace.
+         * @returns The encryption ID.
+         */
+        ensureEncryptionId: async (namespace) => {
+            let record = await collection.findOne({ _id: namespace })
+            if (record && record.encryptionId) {
+                return record.encryptionId
+            }
+
+            let now = new Date()
+            try {
+                await collection.updateOne(
+                    { _id: namespace, encryptionId: { $exists: false } },
+                    { $set: { encryptionId: crypto.randomUUID() }, $setOnInsert: { parent: parentNamespace(namespace), scope: null, createdAt: now, updatedAt: now, labels: {} } },
+                    { upsert: true }
+                )
+            } catch (e) {
+                // Another client assigned an ID first:
+                if (e.code !== 11000) {
+                    throw e
+                }
+            }
+            return (await collection.findOne({ _id: namespace })).encryptionId
+        },
+
+        /**
+         * Adds, changes or removes (when the value is null) labels of a namespace, creating its record if needed.
+         * @param {string} namespace Full name of the namespace.
+         * @param {object} labels Map of label names to values.
+         * @returns The metadata of the namespace.
+         */
+        setLabels: async (namespace, labels) => {
+            validateLabels(labels)
+
+            let now = new Date()
+            let update = { $set: { updatedAt: now }, $setOnInsert: { parent: parentNamespace(namespace), scope: null, createdAt: now } }
+            for (const name in labels) {
+                if (labels[name] === null) {
+                    update.$unset = Object.assign(update.$unset || {}, { [`labels.${name}`]: '' })
+                } else {
+                    update.$set[`labels.${name}`] = labels[name]
+                }
+            }
+            await collection.updateOne({ _id: namespace }, update, { upsert: true })
+            return toMetadata(await collection.findOne({ _id: namespace }))
+        },
+
+        /**
+         * Moves the records of a namespace and its descendants to a new namespace.
+         * @param {string} oldNamespace Full name of the namespace to move.
+         * @param {string} newNamespace Full name of the new namespace.
+         */
+        rename: async (oldNamespace, newNamespace) => {
+            for (const record of await findSubtree(oldNamespace)) {
+                let namespace = newNamespace + record._id.substring(oldNamespace.length)
+                let moved = Object.assign({}, record, { _id: namespace, parent: parentNamespace(namespace) })
+                await collection.replaceOne({ _id: namespace }, moved, { upsert: true })
+                await collection.deleteOne({ _id: record._id })
+            }
+        },
+
+        /**
+         * Removes the records of a namespace and its descendants.
+         * @param {string} namespace Full name of the namespace.
+         */
+        drop: async (namespace) => {
+            let ids = (await findSubtree(namespace)).map(record => record._id)
+            if (ids.length > 0) {
+                await collection.deleteMany({ _id: { $in: ids } })
+            }
+        },
+
+        /**
+         * Lists the namespaces under a root namespace, combining the records with the collections that exist.
+         *
+         * Namespaces that have collections (their own or their descendants') but no record are reported as orphaned.
+         *
+         * @param {string} rootNamespace Full name of the root namespace (not included in the results).
+         * @param {object} listOptions Optional settings:
+         *   - filter: Query filter for the records (e.g. { 'labels.owner': 'billing' }). Orphaned namespaces have no
+         *     records, so they are not included when a filter is given.
+         *   - orphaned: true to only list orphaned namespaces, false to only list registered namespaces.
+         * @returns Array of namespace metadata with 'collections' (number of collections belonging to the namespace itself) and 'orphaned', sorted by namespace.
+         */
+        list: async (rootNamespace, listOptions) => {
+            listOptions = listOptions || {}
+
+            let collectionCounts = new Map()
+            for (const name of await backend.listCollectionNames(rootNamespace + '.')) {
+                let namespace = parentNamespace(name)
+                collectionCounts.set(namespace, (collectionCounts.get(namespace) || 0) + 1)
+                for (let ancestor = parentNamespace(namespace); ancestor !== null && ancestor !== rootNamespace; ancestor = parentNamespace(ancestor)) {
+                    if (!collectionCounts.has(ancestor)) {
+                        collectionCounts.set(ancestor, 0)
+                    }
+                }
+            }
+            collectionCounts.delete(rootNamespace)
+
+            let entries = []
+
+            if (listOptions.orphaned !== true) {
+                let subtree = new RegExp('^' + escapeRegExp(rootNamespace) + '\\.')
+                let filter = { $and: [{ _id: { $regex: subtree } }, listOptions.filter || {}] }
+                for (const record of await collection.find(filter).toArray()) {
+                    entries.push(Object.assign(toMetadata(record), { collections: collectionCounts.get(record._id) || 0, orphaned: false }))
+                }
+            }
+
+            if (listOptions.orphaned !== false && !listOptions.filter) {
+                let registered = new Set((await collection.find({}, { projection: { _id: 1 } }).toArray()).map(record => record._id))
+                for (const [namespace, count] of collectionCounts) {
+                    if (!registered.has(namespace)) {
+                        entries.push({
+                            namespace,
+                            parent: parentNamespace(namespace),
+                            scope: null,
+                            createdAt: null,
+                            updatedAt: null,
+                            labels: {},
+                            collections: count,
+                            orphaned: true
+                        })
+                    }
+                }
+            }
+
+            return entries.sort((a, b) => a.namespace < b.namespace ? -1 : (a.namespace > b.namespace ? 1 : 0))
+        }
+    }
+}
+
+module.exports = {
+    registryCollectionName,
+    createRegistry
+}
@@ -0,0 +1,240 @@
+const { BSON, BatchType } = require('mongodb')
+const { wrapCollection, signalError, writeStages } = require('./collections')
+const { QuotaExceededError } = require('./errors')
+
+/**
+ * Quota limits and the usage figures that they apply to.
+ */
+const quotaLimits = {
+    maxCollections: 'collections',
+    maxDocuments: 'documents',
+    maxBytes: 'bytes'
+}
+
+/**
+ * Validates a quota passed to getDataStore.
+ * @param {object} quota Quota with maxCollections, maxBytes and/or maxDocuments.
+ * @returns The quota.
+ */
+const validateQuota = (quota) => {
+    if (quota === null || typeof quota !== 'object') {
+        throw new Error(`Invalid quota: ${quota}. The quota should be an object with maxCollections, maxBytes and/or maxDocuments.`)
+    }
+    for (const limit in quota) {
+        if (!(limit in quotaLimits) || !Number.isFinite(quota[limit]) || quota[limit] < 0) {
+            throw new Error(`Invalid quota limit '${limit}': ${quota[limit]}. Valid limits are ${Object.keys(quotaLimits).join(', ')} (non-negative finite numbers).`)
+        }
+    }
+    return quota
+}
+
+/**
+ * Ensures that adding the given amounts would not exceed any of the quotas.
+ * @param {object[]} quotas Quotas to check ({namespace, quota}), usually a DataStore and all of its ancestors.
+ * @param {function} getUsage Function returning the usage of a namespace.
+ * @param {object} added Amounts to add (collections, documents and bytes).
+ * @throws QuotaExceededError if any of the quotas would be exceeded.
+ */
+const checkQuotas = async (quotas, getUsage, added) => {
+    for (const { namespace, quota } of quotas) {
+        let usage = null
+        for (const limit in quota) {
+            let usageKey = quotaLimits[limit]
+            if (!added[usageKey]) {
+                continue
+            }
+            if (usage === null) {
+                usage = await getUsage(namespace)
+            }
+            if (usage[usageKey] + added[usageKey] > quota[limit]) {
+                throw new QuotaExceededError(namespace, limit, quota[limit], usage[usageKey])
+            }
+        }
+    }
+}
+
+const calculateSize = (value) => {
+    return BSON.calculateObjectSize(Array.isArray(value) ? { value } : value)
+}
+
+const isUpsert = (options) => {
+    return options !== null && typeof options === 'object' && options.upsert === true
+}
+
+/**
+ * Estimates the number of documents and bytes that a write may add to a collection.
+ *
+ * Updates are estimated using the size of the update document, as the actual growth cannot be known in advance.
+ * Index creation adds no documents, but creates the collection if it does not exist yet.
+ *
+ * @param {string} method Name of the collection method.
+ * @param {any[]} args Arguments passed to the method.
+ * @returns Object with documents and bytes, or null if the method does not add data.
+ */
+const estimateWrite = (method, args) => {
+    switch (method) {
+        case 'insertOne':
+            return { documents: 1, bytes: calculateSize(args[0]) }
+        case 'insertMany':
+            return { documents: args[0].length, bytes: args[0].reduce((sum, doc) => sum + calculateSize(doc), 0) }
+        case 'replaceOne':
+        case 'findOneAndReplace':
+        case 'updateOne':
+        case 'updateMany':
+        case 'findOneAndUpdate':
+            return { documents: isUpsert(args[2]) ? 1 : 0, bytes: calculateSize(args[1]) }
+        case 'bulkWrite':
+            return args[0].reduce((sum, operation) => {
+                let [type] = Object.keys(operation)
+                let spec = operation[type]
+                if (type === 'insertOne') {
+                    sum.documents += 1
+                    sum.bytes += calculateSize(spec.document)
+                } else if (type === 'replaceOne') {
+                    sum.documents += spec.upsert ? 1 : 0
+                    sum.bytes += calculateSize(spec.replacement)
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    sum.documents += spec.upsert ? 1 : 0
+                    sum.bytes += calculateSize(spec.update)
+                }
+                return sum
+            }, { documents: 0, bytes: 0 })
+        case 'createIndex':
+        case 'createIndexes':
+            return { documents: 0, bytes: 0 }
+        default:
+            return null
+    }
+}
+
+/**
+ * Estimates the number of documents and bytes that a bulk operation built using initializeOrderedBulkOp or
+ * initializeUnorderedBulkOp may add to a collection, in the same way as estimateWrite.
+ *
+ * @param {object[]} batches Batches of the bulk operation (see BulkOperationBase.batches in the driver).
+ * @returns Object with documents and bytes.
+ */
+const estimateBatches = (batches) => {
+    let sum = { documents: 0, bytes: 0 }
+    for (const batch of batches) {
+        for (const operation of batch.operations) {
+            if (batch.batchType === BatchType.INSERT) {
+                sum.documents += 1
+                sum.bytes += calculateSize(operation)
+            } else if (batch.batchType === BatchType.UPDATE) {
+                sum.documents += operation.upsert ? 1 : 0
+                sum.bytes += calculateSize(operation.u)
+            }
+        }
+    }
+    return sum
+}
+
+/**
+ * Wraps a bulk operation builder so that the operations it has been given are checked before it is executed.
+ *
+ * Builder methods return the builder itself (or, for 'find', an object whose methods return it), so their results
+ * are wrapped as well to keep callers from reaching the unwrapped execute method by chaining calls.
+ *
+ * @param {object} bulk The bulk operation builder.
+ * @param {function} check Async function called with the estimated amounts before the operation is executed.
+ * @returns The wrapped builder.
+ */
+const checkBulkOperation = (bulk, check) => {
+    let wrappedBulk = null
+
+    const wrapResult = (result) => {
+        if (result === bulk) {
+            return wrappedBulk
+        }
+        if (result !== null && typeof result === 'object' && result.bulkOperation === bulk) {
+            return wrapBuilder(result)
+        }
+        return result
+    }
+
+    const wrapBuilder = (builder) => {
+        return new Proxy(builder, {
+            get: (target, property) => {
+                let value = Reflect.get(target, property, target)
+                if (typeof value !== 'function' || property in Object.prototype) {
+                    return value
+                }
+                if (target === bulk && property === 'execute') {
+                    return async (...args) => {
+                        await check(estimateBatches(bulk.batches))
+                        return await value.apply(target, args)
+                    }
+                }
+                return (...args) => wrapResult(value.apply(target, args))
+            }
+        })
+    }
+
+    wrappedBulk = wrapBuilder(bulk)
+    return wrappedBulk
+}
+
+/**
+ * Wraps a collection so that writes made through it are checked against the quotas before they are performed.
+ *
+ * Each checked write looks up whether the collection exists and the usage of every namespace with a quota (which
+ * lists the collections of the namespace and reads their statistics), so writes to collections with quotas cost
+ * several additional commands.
+ *
+ * Bulk operations built using initializeOrderedBulkOp and initializeUnorderedBulkOp are checked when they are executed.
+ * Aggregation pipelines writing their results using $out or $merge are rejected, as the size of the results cannot
+ * be known in advance.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {object[]} quotas Quotas to enforce ({namespace, quota}).
+ * @param {function} getUsage Function returning the usage of a namespace.
+ * @param {function} exists Function returning whether the collection exists.
+ * @returns The wrapped collection, or the collection itself if there are no quotas.
+ */
+const enforceQuotas = (collection, quotas, getUsage, exists) => {
+    if (quotas.length === 0) {
+        return collection
+    }
+
+    const check = async (added) => {
+        added.collections = (await exists()) ? 0 : 1
+        await checkQuotas(quotas, getUsage, added)
+    }
+
+    return wrapCollection(collection, (method, args, invoke) => {
+        if (method === 'initializeOrderedBulkOp' || method === 'initializeUnorderedBulkOp') {
+            return checkBulkOperation(invoke(), check)
+        }
+        if (method === 'aggregate' && Array.isArray(args[0])) {
+            let stage = args[0].map(s => s && Object.keys(s)[0]).find(name => writeStages.includes(name))
+            if (stage !== undefined) {
+                let { namespace } = quotas[quotas.length - 1]
+                return signalError(method, new Error(`Unable to use '${stage}' on collections under '${namespace}': the results cannot be checked against the quotas that apply to the namespace.`))
+            }
+        }
+
+        let added = null
+        try {
+            added = estimateWrite(method, args)
+        } catch (e) {
+            return signalError(method, e)
+        }
+        if (added === null) {
+            return invoke()
+        }
+
+        const checkAndInvoke = async () => {
+            await check(added)
+            return await invoke()
+        }
+        return checkAndInvoke()
+    })
+}
+
+module.exports = {
+    validateQuota,
+    checkQuotas,
+    estimateWrite,
+    enforceQuotas
+}
@@ -0,0 +1,25 @@
+import assert from 'assert'
+import { createRequire } from 'module'
+import DataStore, * as named from '../DataStore.mjs'
+
+const require = createRequire(import.meta.url)
+
+describe('ES module entry point', () => {
+
+    it('Should export the initializer as the default export', () => {
+        assert.equal(DataStore, require('../DataStore.js'))
+    })
+
+    it('Should export everything else as named exports', () => {
+        for (const name of Object.keys(DataStore)) {
+            assert.equal(named[name], DataStore[name], `Missing named export '${name}'.`)
+        }
+    })
+
+    it('Should create roots', async () => {
+        let root = await named.createDataStoreRoot(named.MEMORY_CONNECTION_STRING)
+        await root.getCollection('items').insertOne({ v: 1 })
+        assert.equal(await root.getCollection('items').countDocuments({}), 1)
+        await root.discard()
+    })
+})
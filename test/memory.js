@@ -0,0 +1,967 @@
+const DataStore = require('../DataStore')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { BatchType } = require('mongodb')
+const { createMemoryBackend } = require('../backends')
+
+describe('In-memory backend', () => {
+
+    describe('module', () => {
+
+        it(`Should initialize the module using '${DataStore.MEMORY_CONNECTION_STRING}'`, async () => {
+            let rootDataStore = await DataStore(DataStore.MEMORY_CONNECTION_STRING)
+            try {
+                assert.equal(rootDataStore.getNamespace(), 'global')
+                let collection = rootDataStore.getCollection('validation')
+                assert.equal(collection.dbName, DataStore.DEFAULT_DBNAME)
+                assert.equal(collection.collectionName, 'global.validation')
+                assert.equal(rootDataStore.collection, rootDataStore.getCollection)
+                let child = await rootDataStore.getDataStore('child')
+                assert.equal(child.collection, child.getCollection)
+            } finally {
+                await rootDataStore.discard()
+            }
+        })
+
+        it('Should keep the data of each root separate', async () => {
+            let rootA = await DataStore.createDataStoreRoot(':memory:')
+            let rootB = await DataStore.createDataStoreRoot(':memory:')
+
+            await rootA.getCollection('shared').insertOne({ root: 'A' })
+            assert.equal(await rootB.getCollection('shared').countDocuments({}), 0)
+
+            await rootA.discard()
+            await rootB.discard()
+        })
+
+        it('Should reject any use of a DataStore after its root has been discarded', async () => {
+            let rootDataStore = await DataStore.createDataStoreRoot(':memory:')
+            let child = await rootDataStore.getDataStore('child')
+            let collection = child.getCollection('items')
+            await rootDataStore.discard()
+
+            assert.throws(() => child.getCollection('items'), DataStore.DiscardedDataStoreError)
+            await assert.rejects(child.listCollections(), DataStore.DiscardedDataStoreError)
+            await assert.rejects(collection.insertOne({}), DataStore.DiscardedDataStoreError)
+            await assert.rejects(rootDataStore.healthCheck(), DataStore.DiscardedDataStoreError)
+        })
+
+        it('Should reject use of the root before it has been initialized', async () => {
+            let attempt = null
+            let rootDataStore = await DataStore.createDataStoreRoot(':memory:', {
+                backend: (connectionString, backendOptions) => {
+                    attempt = backendOptions.emitter.listCollections()
+                    return createMemoryBackend(backendOptions)
+                }
+            })
+            await assert.rejects(attempt, DataStore.NotInitializedError)
+            await rootDataStore.discard()
+        })
+
+        it("Should emit 'connected' and report a healthy connection", async () => {
+            let rootDataStore = await DataStore.createDataStoreRoot(':memory:')
+            let event = await new Promise((resolve) => rootDataStore.once('connected', resolve))
+            assert.equal(event.topology.type, 'Memory')
+
+            let report = await rootDataStore.healthCheck()
+            assert.equal(report.ok, true)
+            await rootDataStore.discard()
+        })
+    })
+
+    describe('Credentials', () => {
+
+        var secretFile = path.join(os.tmpdir(), `datastore-secret-${process.pid}`)
+
+        /**
+         * Creates a root using a backend factory that records the client options passed to it.
+         */
+        const createRoot = async (options) => {
+            let received = null
+            let root = await DataStore.createDataStoreRoot('mongodb://example.invalid', Object.assign({
+                backend: (connectionString, backendOptions) => {
+                    received = backendOptions.clientOptions
+                    return createMemoryBackend(backendOptions)
+                }
+            }, options))
+            await root.discard()
+            return received
+        }
+
+        before(async () => {
+            process.env.DATASTORE_TEST_USERNAME = 'app'
+            await fs.promises.writeFile(secretFile, 's3cret\n')
+        })
+
+        it('Should pass client options to the backend', async () => {
+            let clientOptions = await createRoot({ clientOptions: { appName: 'tests', maxPoolSize: 5 } })
+            assert.deepEqual(clientOptions, { appName: 'tests', maxPoolSize: 5 })
+        })
+
+        it('Should read credentials from values, environment variables and files', async () => {
+            let clientOptions = await createRoot({
+                clientOptions: { appName: 'tests' },
+                credentials: { username: { env: 'DATASTORE_TEST_USERNAME' }, password: { file: secretFile }, authSource: 'admin', mechanism: 'SCRAM-SHA-256' }
+            })
+            assert.deepEqual(clientOptions, {
+                appName: 'tests',
+                auth: { username: 'app', password: 's3cret' },
+                authSource: 'admin',
+                authMechanism: 'SCRAM-SHA-256'
+            })
+            assert.deepEqual((await createRoot({ credentials: { username: 'app', password: 'plain' } })).auth, { username: 'app', password: 'plain' })
+        })
+
+        it('Should reject credentials that cannot be read', async () => {
+            await assert.rejects(createRoot({ credentials: { username: { env: 'DATASTORE_TEST_MISSING' } } }), /DATASTORE_TEST_MISSING/)
+            await assert.rejects(createRoot({ credentials: { password: { file: secretFile + '.missing' } } }), /Unable to read credential 'password'/)
+            await assert.rejects(createRoot({ credentials: { password: 42 } }), /Invalid source/)
+        })
+
+        after(async () => {
+            delete process.env.DATASTORE_TEST_USERNAME
+            await fs.promises.unlink(secretFile)
+        })
+    })
+
+    describe('Audit log', () => {
+
+        it('Should close the backend if the audit options are invalid', async () => {
+            let closed = false
+            await assert.rejects(DataStore.createDataStoreRoot(':memory:', {
+                audit: { sinks: [42] },
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    let close = backend.close
+                    backend.close = async () => {
+                        closed = true
+                        await close()
+                    }
+                    return backend
+                }
+            }), /Invalid audit sink/)
+            assert.equal(closed, true)
+        })
+
+        it('Should report failing sinks without failing the audited operation', async () => {
+            let failures = []
+            let root = await DataStore.createDataStoreRoot(':memory:', {
+                audit: {
+                    writes: true,
+                    sinks: [() => { throw new Error('sink down') }],
+                    onSinkError: (error, entry) => failures.push([error.message, entry.operation])
+                }
+            })
+            let items = root.getCollection('items')
+            await items.insertOne({ v: 1 })
+            assert.equal(await items.countDocuments({}), 1)
+            assert.deepEqual(failures, [['sink down', 'insertOne']])
+            await root.discard()
+        })
+    })
+
+    describe('Metrics', () => {
+
+        it('Should count commands and errors per namespace and collection', async () => {
+            let root = await DataStore.createDataStoreRoot(':memory:', { metrics: true })
+            let store = await root.getDataStore('A')
+            let users = store.getCollection('users')
+            await users.createIndex({ email: 1 }, { unique: true })
+            await users.insertOne({ email: 'a@example.com' })
+            await assert.rejects(users.insertOne({ email: 'a@example.com' }))
+            await users.find({}).toArray()
+            await root.getCollection('settings').findOne({})
+
+            let metrics = await root.getMetrics()
+            assert.ok(metrics.since instanceof Date)
+            const find = (namespace, collection, command) => metrics.commands.find(c => c.namespace === namespace && c.collection === collection && c.command === command)
+
+            assert.equal(find('global.A', 'users', 'insertOne').count, 2)
+            assert.equal(find('global.A', 'users', 'insertOne').errors, 1)
+            assert.equal(find('global.A', 'users', 'find').count, 1)
+            assert.equal(find('global', 'settings', 'findOne').count, 1)
+
+            let buckets = find('global.A', 'users', 'insertOne').latency.buckets
+            assert.equal(buckets[buckets.length - 1].le, Infinity)
+            assert.equal(buckets[buckets.length - 1].count, 2)
+            await root.discard()
+        })
+
+        it('Should report slow commands', async () => {
+            let slow = []
+            let root = await DataStore.createDataStoreRoot(':memory:', { metrics: { slowCommandMS: 0, onSlowCommand: (entry) => slow.push(entry) } })
+            await root.getCollection('items').insertOne({ v: 1 })
+            assert.deepEqual(slow.map(e => [e.namespace, e.collection, e.command]), [['global', 'items', 'insertOne']])
+            assert.equal(typeof slow[0].durationMS, 'number')
+            await root.discard()
+        })
+
+        it('Should format metrics for Prometheus', async () => {
+            let root = await DataStore.createDataStoreRoot(':memory:', { metrics: { buckets: [10, 100] } })
+            await root.getCollection('items').insertOne({ v: 1 })
+            let text = DataStore.formatPrometheusMetrics(await root.getMetrics(), { prefix: 'app' })
+
+            let labels = 'namespace="global",collection="items",command="insertOne"'
+            assert.ok(text.includes('# TYPE app_commands_total counter\n'))
+            assert.ok(text.includes(`app_commands_total{${labels}} 1\n`))
+            assert.ok(text.includes(`app_command_errors_total{${labels}} 0\n`))
+            assert.ok(text.includes(`app_command_duration_seconds_bucket{${labels},le="0.01"} 1\n`))
+            assert.ok(text.includes(`app_command_duration_seconds_bucket{${labels},le="+Inf"} 1\n`))
+            assert.ok(text.includes(`app_command_duration_seconds_count{${labels}} 1\n`))
+            await root.discard()
+        })
+
+        it('Should only add getMetrics to roots with metrics enabled', async () => {
+            let root = await DataStore.createDataStoreRoot(':memory:')
+            assert.equal(root.getMetrics, undefined)
+            await root.discard()
+        })
+    })
+
+    describe('Encryption', () => {
+
+        const crypto = require('crypto')
+        const { Binary } = require('mongodb')
+
+        let keys = { k1: crypto.randomBytes(32) }
+        let currentKeyId = 'k1'
+        let backendCollections = null
+        let root = null
+
+        before(async () => {
+            root = await DataStore.createDataStoreRoot(':memory:', {
+                encryption: { keyProvider: async () => ({ currentKeyId, keys }) },
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    backendCollections = (name) => backend.collection(name)
+                    return backend
+                }
+            })
+        })
+
+        after(async () => {
+            await root.discard()
+        })
+
+        it('Should encrypt declared fields and decrypt them when read', async () => {
+            let store = await root.getDataStore('A')
+            let creds = store.getCollection('creds', { encrypt: ['token', 'secrets.password'] })
+            let doc = { name: 'service', token: 'abc123', secrets: { password: 'hunter2', hint: 'none' } }
+            await creds.insertOne(doc)
+            assert.ok(doc._id, 'The inserted document should be given an _id')
+            assert.equal(doc.token, 'abc123', 'The inserted document should not be changed')
+
+            let raw = await backendCollections('global.A.creds').findOne({ name: 'service' })
+            assert.ok(raw.token instanceof Binary)
+            assert.equal(raw.token.sub_type, 0x80)
+            assert.ok(raw.secrets.password instanceof Binary)
+            assert.equal(raw.secrets.hint, 'none')
+
+            let found = await creds.findOne({ name: 'service' })
+            assert.equal(found.token, 'abc123')
+            assert.equal(found.secrets.password, 'hunter2')
+            assert.deepEqual((await creds.find({}).toArray()).map(d => d.token), ['abc123'])
+        })
+
+        it('Should keep the types of encrypted values and encrypt values set by updates', async () => {
+            let store = await root.getDataStore('A')
+            let creds = store.getCollection('types', { encrypt: ['value'] })
+            await creds.insertOne({ name: 'n', value: { nested: [1, 2], at: new Date(0) } })
+            let found = await creds.findOne({ name: 'n' })
+            assert.deepEqual(found.value, { nested: [1, 2], at: new Date(0) })
+
+            await creds.updateOne({ name: 'n' }, { $set: { value: 42 } })
+            assert.ok((await backendCollections('global.A.types').findOne({ name: 'n' })).value instanceof Binary)
+            let result = await creds.findOneAndUpdate({ name: 'n' }, { $set: { name: 'm' } }, { returnDocument: 'after' })
+            assert.equal(result.value.value, 42)
+        })
+
+        it('Should reject filters and updates that cannot be applied to encrypted values', async () => {
+            let store = await root.getDataStore('A')
+            let creds = store.getCollection('creds', { encrypt: ['token', 'secrets.password'] })
+            await assert.rejects(creds.findOne({ token: 'abc123' }), DataStore.EncryptionError)
+            await assert.rejects(creds.updateOne({}, { $inc: { token: 1 } }), DataStore.EncryptionError)
+            await assert.rejects(creds.updateOne({}, { $set: { 'secrets.password.x': 1 } }), DataStore.EncryptionError)
+            assert.throws(() => creds.find({ $or: [{ 'secrets': {} }] }), DataStore.EncryptionError)
+            await assert.rejects(creds.updateOne({}, { $rename: { name: 'token' } }), DataStore.EncryptionError)
+            await assert.rejects(creds.updateOne({}, { $rename: { token: 'name' } }), DataStore.EncryptionError)
+            assert.throws(() => creds.initializeOrderedBulkOp(), DataStore.EncryptionError)
+            assert.throws(() => creds.initializeUnorderedBulkOp(), DataStore.EncryptionError)
+        })
+
+        it('Should reject pipelines that refer to encrypted fields or write their results', async () => {
+            let store = await root.getDataStore('A')
+            let creds = store.getCollection('creds', { encrypt: ['token', 'secrets.password'] })
+            assert.throws(() => creds.aggregate([{ $set: { token: 'plain' } }, { $merge: { into: 'creds' } }]), DataStore.EncryptionError)
+            assert.throws(() => creds.aggregate([{ $out: 'copy' }]), DataStore.EncryptionError)
+            assert.throws(() => creds.aggregate([{ $match: { token: 'abc123' } }]), DataStore.EncryptionError)
+            assert.throws(() => creds.aggregate([{ $facet: { found: [{ $match: { 'secrets.password': 'hunter2' } }] } }]), DataStore.EncryptionError)
+            assert.throws(() => creds.aggregate([{ $group: { _id: '$secrets' } }]), DataStore.EncryptionError)
+
+            let names = await creds.aggregate([{ $match: { name: 'service' } }, { $project: { _id: 0, name: '$name', token: 1 } }]).toArray()
+            assert.deepEqual(names, [{ name: 'service', token: 'abc123' }])
+        })
+
+        it('Should encrypt declared fields in any object and inside arrays', async () => {
+            class Secrets {
+                constructor(password) {
+                    this.password = password
+                }
+            }
+            let store = await root.getDataStore('A')
+            let creds = store.getCollection('shapes', { encrypt: ['secrets.password', 'list.token'] })
+            let bare = Object.create(null)
+            bare.password = 'bare'
+
+            await creds.insertOne({ n: 1, secrets: new Secrets('instance') })
+            await creds.insertOne({ n: 2, secrets: bare })
+            await creds.insertOne(new Map([['n', 3], ['secrets', new Map([['password', 'map']])]]))
+            await creds.insertOne({ n: 4, list: [{ token: 'first' }, { token: 'second' }, 'other'] })
+            await creds.updateOne({ n: 4 }, { $set: { 'list.1.token': 'updated', 'list.0': { token: 'replaced' } } })
+
+            let raw = await backendCollections('global.A.shapes').find({}).sort({ n: 1 }).toArray()
+            raw.slice(0, 3).forEach(doc => assert.ok(doc.secrets.password instanceof Binary, `Document ${doc.n} should be encrypted`))
+            assert.ok(raw[3].list[0].token instanceof Binary)
+            assert.ok(raw[3].list[1].token instanceof Binary)
+            assert.equal(raw[3].list[2], 'other')
+
+            let found = await creds.find({}).sort({ n: 1 }).toArray()
+            assert.deepEqual(found.slice(0, 3).map(doc => doc.secrets.password), ['instance', 'bare', 'map'])
+            assert.deepEqual(found[3].list, [{ token: 'replaced' }, { token: 'updated' }, 'other'])
+        })
+
+        it('Should use a different key for each namespace', async () => {
+            let a = await root.getDataStore('A')
+            let b = await root.getDataStore('B')
+            await a.getCollection('moved', { encrypt: ['token'] }).insertOne({ name: 'x', token: 'secret' })
+            let raw = await backendCollections('global.A.moved').findOne({ name: 'x' })
+            await backendCollections('global.B.moved').insertOne(raw)
+            await assert.rejects(b.getCollection('moved', { encrypt: ['token'] }).findOne({ name: 'x' }), DataStore.EncryptionError)
+        })
+
+        it('Should keep encrypted values readable when namespaces are renamed', async () => {
+            let old = await root.getDataStore('N1', DataStore.SCOPE_DELEGATE)
+            let child = await old.getDataStore('child')
+            await old.getCollection('creds', { encrypt: ['token'] }).insertOne({ name: 'x', token: 'own' })
+            await child.getCollection('creds', { encrypt: ['token'] }).insertOne({ name: 'x', token: 'child' })
+            let issued = await root.getDataStore('N2', DataStore.SCOPE_DELEGATE)
+
+            await root.renameDataStore('N1', 'N2')
+            assert.equal((await issued.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'x' })).token, 'own')
+            let renamedChild = await (await root.getDataStore('N2', DataStore.SCOPE_DELEGATE)).getDataStore('child')
+            assert.equal((await renamedChild.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'x' })).token, 'child')
+            await assert.rejects(old.getCollection('creds', { encrypt: ['token'] }).insertOne({ token: 'lost' }), DataStore.EncryptionError)
+        })
+
+        it('Should not encrypt values with the encryption IDs of dropped namespaces', async () => {
+            let store = await root.getDataStore('D1', DataStore.SCOPE_DELEGATE)
+            let child = await store.getDataStore('child')
+            await child.getCollection('creds', { encrypt: ['token'] }).insertOne({ token: 'dropped' })
+            let encryptionId = (await backendCollections('#datastore.namespaces').findOne({ _id: 'global.D1.child' })).encryptionId
+
+            await root.dropDataStore('D1')
+            await assert.rejects(store.getCollection('creds', { encrypt: ['token'] }).insertOne({ token: 'lost' }), DataStore.EncryptionError)
+            await assert.rejects(child.getCollection('creds', { encrypt: ['token'] }).insertOne({ token: 'lost' }), DataStore.EncryptionError)
+
+            let recreated = await (await root.getDataStore('D1', DataStore.SCOPE_DELEGATE)).getDataStore('child')
+            await recreated.getCollection('creds', { encrypt: ['token'] }).insertOne({ token: 'new' })
+            assert.notEqual((await backendCollections('#datastore.namespaces').findOne({ _id: 'global.D1.child' })).encryptionId, encryptionId)
+            assert.deepEqual((await recreated.getCollection('creds', { encrypt: ['token'] }).find({}).toArray()).map(d => d.token), ['new'])
+        })
+
+        it('Should encrypt imported values again for the namespace they are imported into', async () => {
+            const { PassThrough, Readable } = require('stream')
+            let source = await root.getDataStore('N2', DataStore.SCOPE_DELEGATE)
+            let stream = new PassThrough()
+            let chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            await source.exportDataStore(stream)
+            stream.end()
+            await new Promise((resolve) => stream.on('end', resolve))
+            let archive = Buffer.concat(chunks).toString()
+
+            let target = await root.getDataStore('N3', DataStore.SCOPE_DELEGATE)
+            await target.importDataStore(Readable.from([archive]))
+            assert.equal((await target.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'x' })).token, 'own')
+            let child = await target.getDataStore('child')
+            assert.equal((await child.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'x' })).token, 'child')
+
+            let [manifest, ...lines] = archive.split('\n')
+            manifest = JSON.parse(manifest)
+            delete manifest.encryptionIds
+            let other = await root.getDataStore('N4', DataStore.SCOPE_DELEGATE)
+            await assert.rejects(other.importDataStore(Readable.from([[JSON.stringify(manifest)].concat(lines).join('\n')])), DataStore.EncryptionError)
+        })
+
+        it('Should decrypt values encrypted with older keys and re-encrypt them after rotation', async () => {
+            let store = await root.getDataStore('R')
+            let creds = store.getCollection('creds', { encrypt: ['token'] })
+            await creds.insertMany([{ n: 1, token: 'one' }, { n: 2, token: 'two' }])
+            await backendCollections('global.R.creds').insertOne({ n: 3, token: 'plain' })
+
+            keys = Object.assign({ k2: crypto.randomBytes(32) }, keys)
+            currentKeyId = 'k2'
+            await root.reloadEncryptionKeys()
+            assert.equal((await creds.findOne({ n: 1 })).token, 'one')
+
+            let result = await store.reencrypt('creds', { encrypt: ['token'] })
+            assert.deepEqual(result, { documents: 3 })
+            assert.deepEqual(await store.reencrypt('creds', { encrypt: ['token'] }), { documents: 0 })
+
+            keys = { k2: keys.k2 }
+            await root.reloadEncryptionKeys()
+            assert.deepEqual((await creds.find({}).sort({ n: 1 }).toArray()).map(d => d.token), ['one', 'two', 'plain'])
+        })
+
+        it('Should keep concurrent updates to other fields when re-encrypting', async () => {
+            let concurrentUpdates = []
+            let other = await DataStore.createDataStoreRoot(':memory:', {
+                encryption: { keyProvider: async () => ({ currentKeyId, keys }) },
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    let collection = backend.collection
+                    backend.collection = (name, options) => {
+                        let result = collection(name, options)
+                        let updateOne = result.updateOne.bind(result)
+                        result.updateOne = async (...args) => {
+                            let update = concurrentUpdates.shift()
+                            if (update) {
+                                await collection(name).updateOne(...update)
+                            }
+                            return updateOne(...args)
+                        }
+                        return result
+                    }
+                    return backend
+                }
+            })
+            try {
+                let creds = other.getCollection('creds', { encrypt: ['oauth.refreshToken', 'logins.password'] })
+                await creds.insertOne({ n: 1, oauth: { refreshToken: 'r1', expiry: 1 }, logins: [{ password: 'p1', at: 1 }] })
+
+                keys = Object.assign({ k3: crypto.randomBytes(32) }, keys)
+                currentKeyId = 'k3'
+                await other.reloadEncryptionKeys()
+                concurrentUpdates.push([{ n: 1 }, { $set: { 'oauth.expiry': 2, 'logins.0.at': 2 } }])
+                assert.deepEqual(await other.reencrypt('creds', { encrypt: ['oauth.refreshToken', 'logins.password'] }), { documents: 1 })
+
+                keys = { k3: keys.k3 }
+                await other.reloadEncryptionKeys()
+                let found = await creds.findOne({ n: 1 })
+                assert.deepEqual(found.oauth, { refreshToken: 'r1', expiry: 2 })
+                assert.deepEqual(found.logins, [{ password: 'p1', at: 2 }])
+            } finally {
+                await other.discard()
+            }
+        })
+
+        it('Should require the encryption option to encrypt fields', async () => {
+            let other = await DataStore.createDataStoreRoot(':memory:')
+            assert.throws(() => other.getCollection('creds', { encrypt: ['token'] }), /encryption has not been enabled/)
+            assert.equal(other.reloadEncryptionKeys, undefined)
+            await other.discard()
+            await assert.rejects(DataStore.createDataStoreRoot(':memory:', { encryption: { keyProvider: () => ({ currentKeyId: 'x', keys: { x: 'c2hvcnQ=' } }) } }), /Invalid key 'x'/)
+            assert.throws(() => root.getCollection('creds', { encrypt: ['_id'] }), /Invalid encrypted fields/)
+        })
+    })
+
+    describe('Collections', () => {
+
+        var rootDataStore = null
+        var collection = null
+
+        before(async () => {
+            rootDataStore = await DataStore.createDataStoreRoot(':memory:')
+        })
+
+        beforeEach(async () => {
+            await rootDataStore.dropCollection('items')
+            collection = rootDataStore.getCollection('items')
+            await collection.insertMany([
+                { _id: 1, name: 'anvil', price: 100, tags: ['heavy', 'metal'], stock: { count: 3 } },
+                { _id: 2, name: 'bucket', price: 15, tags: ['metal'], stock: { count: 0 } },
+                { _id: 3, name: 'candle', price: 2, tags: [] },
+                { _id: 4, name: 'drum', price: null }
+            ])
+        })
+
+        it('Should find documents using query operators', async () => {
+            const ids = async (filter) => (await collection.find(filter).toArray()).map(d => d._id)
+
+            assert.deepEqual(await ids({ price: { $gt: 10 } }), [1, 2])
+            assert.deepEqual(await ids({ price: { $lte: 15, $ne: 2 } }), [2])
+            assert.deepEqual(await ids({ name: { $in: ['candle', 'drum'] } }), [3, 4])
+            assert.deepEqual(await ids({ tags: 'metal' }), [1, 2])
+            assert.deepEqual(await ids({ tags: { $size: 0 } }), [3])
+            assert.deepEqual(await ids({ 'stock.count': { $gte: 1 } }), [1])
+            assert.deepEqual(await ids({ stock: { $exists: false } }), [3, 4])
+            assert.deepEqual(await ids({ price: null }), [4])
+            assert.deepEqual(await ids({ $or: [{ _id: 1 }, { name: /^c/ }] }), [1, 3])
+            assert.deepEqual(await ids({ name: { $not: { $regex: 'an' } } }), [2, 4])
+        })
+
+        it('Should sort, skip, limit and project results', async () => {
+            let documents = await collection.find({ price: { $type: 'number' } }).sort({ price: -1 }).skip(1).limit(1).project({ name: 1 }).toArray()
+            assert.deepEqual(documents, [{ _id: 2, name: 'bucket' }])
+
+            let names = []
+            for await (const document of collection.find({}, { sort: { name: -1 }, projection: { _id: 0, name: 1 } })) {
+                names.push(document.name)
+            }
+            assert.deepEqual(names, ['drum', 'candle', 'bucket', 'anvil'])
+        })
+
+        it('Should apply update operators', async () => {
+            let result = await collection.updateOne({ _id: 1 }, { $set: { 'stock.count': 5 }, $inc: { price: -10 }, $push: { tags: 'sale' }, $unset: { name: '' } })
+            assert.equal(result.matchedCount, 1)
+            assert.equal(result.modifiedCount, 1)
+            assert.deepEqual(await collection.findOne({ _id: 1 }), { _id: 1, price: 90, tags: ['heavy', 'metal', 'sale'], stock: { count: 5 } })
+
+            result = await collection.updateMany({ tags: 'metal' }, { $addToSet: { tags: 'metal' }, $pull: { tags: 'heavy' } })
+            assert.equal(result.matchedCount, 2)
+            assert.equal(result.modifiedCount, 1)
+        })
+
+        it('Should upsert documents using the equality conditions of the filter', async () => {
+            let result = await collection.updateOne({ name: 'easel', price: { $gt: 5 } }, { $set: { price: 40 } }, { upsert: true })
+            assert.equal(result.upsertedCount, 1)
+            assert.deepEqual(await collection.findOne({ _id: result.upsertedId }, { projection: { _id: 0 } }), { name: 'easel', price: 40 })
+        })
+
+        it('Should replace and delete documents', async () => {
+            await collection.replaceOne({ _id: 3 }, { name: 'lamp' })
+            assert.deepEqual(await collection.findOne({ _id: 3 }), { _id: 3, name: 'lamp' })
+
+            let result = await collection.findOneAndDelete({ price: { $lt: 50 } }, { sort: { price: 1 } })
+            assert.equal(result.value._id, 2)
+            assert.equal((await collection.deleteMany({ price: { $exists: true } })).deletedCount, 2)
+            assert.equal(await collection.countDocuments({}), 1)
+        })
+
+        it('Should not share documents with the caller', async () => {
+            let document = await collection.findOne({ _id: 1 })
+            document.tags.push('changed')
+            assert.deepEqual((await collection.findOne({ _id: 1 })).tags, ['heavy', 'metal'])
+        })
+
+        it('Should enforce unique indexes', async () => {
+            await collection.createIndex({ name: 1 }, { unique: true })
+            await assert.rejects(collection.insertOne({ name: 'anvil' }), (e) => e.code === 11000)
+            await assert.rejects(collection.updateOne({ _id: 2 }, { $set: { name: 'anvil' } }), (e) => e.code === 11000)
+            await assert.rejects(collection.insertOne({ _id: 1 }), (e) => e.code === 11000)
+
+            let indexes = await collection.indexes()
+            assert.deepEqual(indexes.map(i => i.name), ['_id_', 'name_1'])
+            await assert.rejects(collection.createIndex({ 'stock.count': 1 }, { unique: true }), (e) => e.code === 11000)
+        })
+
+        it('Should count and list distinct values', async () => {
+            assert.equal(await collection.countDocuments({ price: { $gt: 1 } }), 3)
+            assert.deepEqual((await collection.distinct('tags')).sort(), ['heavy', 'metal'])
+        })
+
+        after(async () => {
+            await rootDataStore.discard()
+        })
+    })
+
+    describe('DataStore', () => {
+
+        var rootDataStore = null
+
+        before(async () => {
+            rootDataStore = await DataStore.createDataStoreRoot(':memory:')
+        })
+
+        it('Should keep the collections of each namespace separate', async () => {
+            let storeA = await rootDataStore.getDataStore('A', 'delegate')
+            let storeB = await rootDataStore.getDataStore('B')
+
+            await storeA.getCollection('users').insertOne({ name: 'a' })
+            await (await storeA.getDataStore('C')).getCollection('users').insertOne({ name: 'c' })
+
+            assert.equal(await storeB.getCollection('users').countDocuments({}), 0)
+            assert.deepEqual(await storeA.listCollections(), ['users'])
+            assert.deepEqual(await storeA.listDataStores(), ['C'])
+            assert.deepEqual(await rootDataStore.listDataStores(), ['A'])
+            assert.throws(() => storeB.getCollection('A.users'), DataStore.InvalidCollectionNameError)
+        })
+
+        it('Should not reach the collections of other namespaces through rename', async () => {
+            let storeA = await rootDataStore.getDataStore('A')
+            let storeB = await rootDataStore.getDataStore('B')
+            await storeB.getCollection('secrets').insertOne({ secret: 'b' })
+            await storeA.getCollection('evil').insertOne({ secret: 'a' })
+
+            await assert.rejects(storeA.getCollection('evil').rename('global.B.secrets', { dropTarget: true }), DataStore.InvalidCollectionNameError)
+            assert.deepEqual((await storeB.getCollection('secrets').find({}, { projection: { _id: 0 } }).toArray()), [{ secret: 'b' }])
+
+            let renamed = await storeA.getCollection('evil').rename('renamed')
+            assert.deepEqual(await storeA.listCollections(), ['renamed', 'users'])
+            assert.equal(await renamed.countDocuments({}), 1)
+            await assert.rejects(renamed.rename('global.B.secrets'), DataStore.InvalidCollectionNameError)
+            await storeA.dropCollection('renamed')
+            await rootDataStore.dropDataStore('B')
+        })
+
+        it('Should not create views of collections in other namespaces', async () => {
+            let store = await rootDataStore.getDataStore('A')
+            await assert.rejects(store.createCollection('view', { viewOn: 'global.B.secrets', pipeline: [] }), /Invalid collection option 'viewOn'/)
+            await assert.rejects(store.createCollection('view', { pipeline: [] }), /Invalid collection option 'pipeline'/)
+            assert.deepEqual(await store.listCollections(), ['users'])
+
+            let created = await store.createCollection('validated', { validator: { name: { $exists: true } }, validationAction: 'error' })
+            assert.equal(created.collectionName, 'global.A.validated')
+            await store.dropCollection('validated')
+        })
+
+        it('Should resolve collections named in aggregation pipelines under the namespace', async () => {
+            let pipelines = []
+            let root = await DataStore.createDataStoreRoot(':memory:', {
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    let collection = backend.collection
+                    backend.collection = (name, options) => {
+                        let c = collection(name, options)
+                        let aggregate = c.aggregate.bind(c)
+                        c.aggregate = (pipeline, options) => {
+                            pipelines.push(pipeline)
+                            return aggregate([], options)
+                        }
+                        return c
+                    }
+                    return backend
+                }
+            })
+            let items = (await root.getDataStore('A')).getCollection('items')
+
+            const lookup = (from) => ({ $lookup: { from, localField: 'a', foreignField: 'b', as: 'c' } })
+            assert.throws(() => items.aggregate([lookup('global.B.secrets')]), DataStore.InvalidCollectionNameError)
+            assert.throws(() => items.aggregate([{ $unionWith: { coll: 'other', pipeline: [{ $graphLookup: { from: '../B' } }] } }]), DataStore.InvalidCollectionNameError)
+            assert.throws(() => items.aggregate([{ $facet: { f: [{ $unionWith: 'B.secrets' }] } }]), DataStore.InvalidCollectionNameError)
+            assert.throws(() => items.aggregate([{ $out: { db: 'other', coll: 'secrets' } }]), DataStore.InvalidCollectionNameError)
+            assert.throws(() => items.aggregate([{ $merge: { into: 'global.B.secrets' } }]), DataStore.InvalidCollectionNameError)
+            assert.equal(pipelines.length, 0)
+
+            await items.aggregate([lookup('other'), { $unionWith: { coll: 'more', pipeline: [{ $match: {} }] } }, { $merge: { into: { coll: 'target' } } }]).toArray()
+            assert.deepEqual(pipelines[0], [
+                lookup('global.A.other'),
+                { $unionWith: { coll: 'global.A.more', pipeline: [{ $match: {} }] } },
+                { $merge: { into: 'global.A.target' } }
+            ])
+            await root.discard()
+        })
+
+        it('Should enforce scopes', async () => {
+            let readOnly = await rootDataStore.getDataStore('A', ['delegate', 'readOnly'])
+            assert.equal(await readOnly.getCollection('users').countDocuments({}), 1)
+            await assert.rejects(readOnly.getCollection('users').insertOne({}), DataStore.ForbiddenOperationError)
+            assert.throws(() => readOnly.getCollection('users').aggregate([{ $match: {} }, { $out: 'copy' }]), DataStore.ForbiddenOperationError)
+            assert.throws(() => readOnly.getCollection('users').aggregate([{ $merge: { into: 'copy' } }]), (e) => e.operation === '$merge')
+            assert.equal((await readOnly.getCollection('users').aggregate([{ $match: {} }]).toArray()).length, 1)
+            await assert.rejects(readOnly.getDataStore('C', 'delegate'), DataStore.ScopeEscalationError)
+        })
+
+        it('Should create, describe and drop collections', async () => {
+            let store = await rootDataStore.getDataStore('D')
+            await store.createCollection('things')
+            await assert.rejects(store.createCollection('things'), (e) => e.codeName === 'NamespaceExists')
+            await store.getCollection('things').insertOne({ value: 1 })
+
+            let description = await store.describe()
+            assert.equal(description.collections.things.count, 1)
+            assert.equal(description.totals.indexes, 1)
+
+            assert.equal(await store.dropCollection('things'), true)
+            assert.equal(await store.dropCollection('things'), false)
+        })
+
+        it('Should rename child namespaces', async () => {
+            let renamed = await rootDataStore.renameDataStore('A', 'E')
+            assert.deepEqual(renamed, ['E.C.users', 'E.users'])
+            assert.deepEqual(await rootDataStore.listDataStores(), ['E'])
+        })
+
+        it('Should not allow children to drop collections with locked schemas', async () => {
+            let store = await rootDataStore.getDataStore('L', 'delegate')
+            let child = await store.getDataStore('M')
+            await store.lockSchema('M', 'people', { bsonType: 'object', required: ['name'] })
+
+            await assert.rejects(child.dropCollection('people'), DataStore.SchemaLockedError)
+            await assert.rejects(child.getCollection('people').drop(), DataStore.SchemaLockedError)
+            await assert.rejects(child.getCollection('people').rename('others'), DataStore.SchemaLockedError)
+            await child.getCollection('others').insertOne({})
+            await assert.rejects(child.getCollection('others').rename('people', { dropTarget: true }), DataStore.SchemaLockedError)
+            assert.deepEqual(await child.getSchema('people'), { schema: { bsonType: 'object', required: ['name'] }, level: 'strict', action: 'error', locked: true })
+            assert.equal(await child.getSchema('others'), null)
+
+            const { PassThrough, Readable } = require('stream')
+            let stream = new PassThrough()
+            let chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            await child.exportDataStore(stream)
+            stream.end()
+            await new Promise((resolve) => stream.on('end', resolve))
+            await assert.rejects(child.importDataStore(Readable.from([Buffer.concat(chunks)]), { mode: 'replace' }), DataStore.SchemaLockedError)
+            assert.deepEqual(await child.listCollections(), ['others', 'people'])
+
+            // The schema is read from the collection, so changes made outside of the DataStore are reported:
+            await store.dropDataStore('M')
+            await child.getCollection('people').insertOne({})
+            assert.equal(await child.getSchema('people'), null)
+            await rootDataStore.dropDataStore('L')
+        })
+
+        it('Should check bulk operations against quotas when they are executed', async () => {
+            // The in-memory backend has no bulk operation builders, so a minimal one with the driver's interface is used:
+            const createBulk = (collection) => {
+                let inserts = []
+                let updates = []
+                let bulk = {
+                    get batches() {
+                        return [{ batchType: BatchType.INSERT, operations: inserts }, { batchType: BatchType.UPDATE, operations: updates }]
+                    },
+                    insert(document) {
+                        inserts.push(document)
+                        return this
+                    },
+                    find(q) {
+                        return {
+                            bulkOperation: bulk,
+                            upsert() {
+                                this.upserted = true
+                                return this
+                            },
+                            updateOne(u) {
+                                updates.push({ q, u, upsert: this.upserted === true })
+                                return this.bulkOperation
+                            }
+                        }
+                    },
+                    async execute() {
+                        if (inserts.length > 0) {
+                            await collection.insertMany(inserts)
+                        }
+                        for (const { q, u, upsert } of updates) {
+                            await collection.updateOne(q, u, { upsert })
+                        }
+                        return { ok: 1 }
+                    }
+                }
+                return bulk
+            }
+
+            let root = await DataStore.createDataStoreRoot(':memory:', {
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    let collection = backend.collection
+                    backend.collection = (name, options) => {
+                        let c = collection(name, options)
+                        c.initializeOrderedBulkOp = () => createBulk(c)
+                        return c
+                    }
+                    return backend
+                }
+            })
+            let store = await root.getDataStore('Q', 'collectionsOnly', { quota: { maxDocuments: 2 } })
+            let items = store.getCollection('items')
+
+            let bulk = items.initializeOrderedBulkOp()
+            bulk.insert({ v: 1 })
+            bulk.insert({ v: 2 })
+            bulk.insert({ v: 3 })
+            await assert.rejects(bulk.execute(), DataStore.QuotaExceededError)
+            await assert.rejects(items.initializeOrderedBulkOp().insert({ v: 1 }).insert({ v: 2 }).insert({ v: 3 }).execute(), DataStore.QuotaExceededError)
+            assert.equal(await items.countDocuments({}), 0)
+
+            await items.initializeOrderedBulkOp().insert({ v: 1 }).insert({ v: 2 }).execute()
+            await assert.rejects(items.initializeOrderedBulkOp().find({ v: 3 }).upsert().updateOne({ $set: { v: 3 } }).execute(), DataStore.QuotaExceededError)
+            await items.initializeOrderedBulkOp().find({ v: 2 }).updateOne({ $set: { v: 3 } }).execute()
+            assert.deepEqual((await items.find({}, { projection: { _id: 0 } }).toArray()), [{ v: 1 }, { v: 3 }])
+            await root.discard()
+        })
+
+        it('Should check index creation and pipelines writing their results against quotas', async () => {
+            await assert.rejects(rootDataStore.getDataStore('Q2', DataStore.SCOPE_DELEGATE, { quota: { maxDocuments: NaN } }), /Invalid quota limit 'maxDocuments'/)
+            let store = await rootDataStore.getDataStore('Q2', DataStore.SCOPE_DELEGATE, { quota: { maxCollections: 1 } })
+            let items = store.getCollection('items')
+            await items.insertOne({ v: 1 })
+            await items.createIndex({ v: 1 })
+            await assert.rejects(store.getCollection('others').createIndex({ v: 1 }), DataStore.QuotaExceededError)
+            await assert.rejects(store.getCollection('others').createIndexes([{ key: { v: 1 } }]), DataStore.QuotaExceededError)
+            assert.deepEqual(await store.listCollections(), ['items'])
+
+            assert.throws(() => items.aggregate([{ $match: {} }, { $out: 'others' }]), /Unable to use '\$out'/)
+            assert.throws(() => items.aggregate([{ $merge: { into: 'items' } }]), /Unable to use '\$merge'/)
+            assert.deepEqual(await items.aggregate([{ $project: { _id: 0 } }]).toArray(), [{ v: 1 }])
+            await rootDataStore.dropDataStore('Q2')
+        })
+
+        it('Should export and import DataStores', async () => {
+            const { PassThrough, Readable } = require('stream')
+            let source = await rootDataStore.getDataStore('exportSource')
+            await source.getCollection('people').insertMany([{ name: 'a', age: 1 }, { name: 'b', age: 2 }])
+            let stream = new PassThrough()
+            let chunks = []
+            stream.on('data', (chunk) => chunks.push(chunk))
+            await source.exportDataStore(stream)
+            stream.end()
+            await new Promise((resolve) => stream.on('end', resolve))
+
+            let target = await rootDataStore.getDataStore('exportTarget')
+            let summary = await target.importDataStore(Readable.from([Buffer.concat(chunks)]))
+            assert.deepEqual(summary, { namespace: 'global.exportSource', collections: 1, documents: 2 })
+            assert.deepEqual((await target.getCollection('people').find({}, { projection: { _id: 0 } }).sort({ age: 1 }).toArray()), [{ name: 'a', age: 1 }, { name: 'b', age: 2 }])
+            await rootDataStore.dropDataStore('exportSource')
+            await rootDataStore.dropDataStore('exportTarget')
+        })
+
+        it('Should only create collections with validation options when importing', async () => {
+            const { Readable } = require('stream')
+            let created = []
+            let root = await DataStore.createDataStoreRoot(':memory:', {
+                backend: (connectionString, backendOptions) => {
+                    let backend = createMemoryBackend(backendOptions)
+                    let createCollection = backend.createCollection
+                    backend.createCollection = (name, options) => {
+                        created.push([name, options])
+                        return createCollection(name, options)
+                    }
+                    return backend
+                }
+            })
+            let manifest = {
+                format: 'morrigan.datastore.archive',
+                version: 1,
+                namespace: 'global.crafted',
+                collections: [{ name: 'view', options: { viewOn: 'global.B.secrets', pipeline: [], validationAction: 'warn' }, indexes: [] }]
+            }
+            let store = await root.getDataStore('A')
+            await store.importDataStore(Readable.from([JSON.stringify(manifest) + '\n']))
+            assert.deepEqual(created, [['global.A.view', { validationAction: 'warn' }]])
+            await root.discard()
+        })
+
+        it('Should run migrations', async () => {
+            let store = await rootDataStore.getDataStore('F')
+            let result = await store.migrate([
+                { version: 1, up: async (s) => s.getCollection('settings').insertOne({ _id: 'theme', value: 'dark' }) }
+            ])
+            assert.deepEqual(result.applied, [1])
+            assert.deepEqual((await store.migrate([{ version: 1, up: async () => {} }])).applied, [])
+        })
+
+        it('Should ensure declared indexes', async () => {
+            let store = await rootDataStore.getDataStore('G')
+            await store.getCollection('users').createIndex({ legacy: 1 })
+
+            let report = await store.ensureIndexes('users', [{ key: { email: 1 }, unique: true }], { dropUndeclared: true })
+            assert.deepEqual(report, { created: ['email_1'], changed: [], dropped: ['legacy_1'], unchanged: [], undeclared: [] })
+            await store.getCollection('users').insertOne({ email: 'a@example.com' })
+            await assert.rejects(store.getCollection('users').insertOne({ email: 'a@example.com' }), (e) => e.code === 11000)
+        })
+
+        it('Should revoke issued DataStores', async () => {
+            let store = await rootDataStore.getDataStore('H', 'delegate')
+            let child = await store.getDataStore('I', 'delegate')
+            let grandchild = await child.getDataStore('J')
+            let collection = grandchild.getCollection('items')
+
+            await store.revoke('I')
+            await assert.rejects(child.listCollections(), DataStore.RevokedDataStoreError)
+            assert.throws(() => grandchild.getCollection('items'), (e) => e instanceof DataStore.RevokedDataStoreError && e.revokedNamespace === 'global.H.I')
+            await assert.rejects(collection.insertOne({}), DataStore.RevokedDataStoreError)
+
+            let reissued = await store.getDataStore('I')
+            let reissuedCollection = reissued.getCollection('items')
+            await reissuedCollection.insertOne({})
+            await reissued.revoke()
+            await reissued.revoke()
+            await assert.rejects(reissuedCollection.insertOne({}), DataStore.RevokedDataStoreError)
+            await store.getCollection('items').insertOne({})
+
+            let readOnly = await rootDataStore.getDataStore('H', 'collectionsOnly')
+            await assert.rejects(readOnly.revoke('I'), DataStore.ForbiddenOperationError)
+            await assert.rejects(rootDataStore.revoke())
+        })
+
+        it('Should pass read and write concerns down to child DataStores', async () => {
+            let store = await rootDataStore.getDataStore('K', 'delegate', { readConcern: 'majority', writeConcern: { w: 'majority' } })
+            let child = await store.getDataStore('L', 'collectionsOnly', { writeConcern: { w: 1 } })
+
+            assert.deepEqual(store.getCollection('items').readConcern, { level: 'majority' })
+            assert.deepEqual(child.getCollection('items').readConcern, { level: 'majority' })
+            assert.deepEqual(child.getCollection('items').writeConcern, { w: 1 })
+            assert.equal(rootDataStore.getCollection('items').readConcern, undefined)
+            await assert.rejects(store.getDataStore('M', 'collectionsOnly', { readConcern: 42 }), /Invalid read concern/)
+            await assert.rejects(store.getDataStore('M', 'collectionsOnly', { writeConcern: 'majority' }), /Invalid write concern/)
+        })
+
+        it('Should record namespaces in the registry', async () => {
+            let store = await rootDataStore.getDataStore('N', 'delegate')
+            let child = await store.getDataStore('O', ['collectionsOnly', 'readOnly'])
+            await store.getCollection('items').insertOne({})
+            await rootDataStore.getCollection('legacy').insertOne({})
+            await (await rootDataStore.getDataStore('P')).getCollection('items').insertOne({})
+            await rootDataStore.dropDataStore('P')
+
+            let metadata = await child.getMetadata()
+            assert.equal(metadata.namespace, 'global.N.O')
+            assert.equal(metadata.parent, 'global.N')
+            assert.deepEqual(metadata.scope, ['collectionsOnly', 'readOnly'])
+            assert.ok(metadata.createdAt instanceof Date)
+            assert.deepEqual(metadata.labels, {})
+
+            await store.setLabels({ owner: 'billing', tier: 'gold' })
+            assert.deepEqual((await store.setLabels({ tier: null })).labels, { owner: 'billing' })
+            await assert.rejects(child.setLabels({ owner: 'reports' }), DataStore.ForbiddenOperationError)
+            await assert.rejects(store.setLabels({ 'a.b': 1 }), /Invalid label name/)
+            assert.equal(await rootDataStore.getMetadata(), null)
+
+            let owned = await rootDataStore.listNamespaces({ filter: { 'labels.owner': 'billing' } })
+            assert.deepEqual(owned.map(e => [e.namespace, e.collections, e.orphaned]), [['global.N', 1, false]])
+            assert.equal(child.listNamespaces, undefined)
+        })
+
+        it('Should report orphaned namespaces', async () => {
+            let backend = null
+            let root = await DataStore.createDataStoreRoot(':memory:', {
+                backend: (connectionString, backendOptions) => {
+                    backend = createMemoryBackend(backendOptions)
+                    return backend
+                }
+            })
+            await (await root.getDataStore('S')).getCollection('items').insertOne({})
+            await root.renameDataStore('S', 'T')
+            // Data written without going through getDataStore (e.g. before the registry existed):
+            await backend.collection('global.U.V.items').insertOne({})
+
+            let entries = await root.listNamespaces()
+            assert.deepEqual(entries.map(e => [e.namespace, e.parent, e.collections, e.orphaned]), [
+                ['global.T', 'global', 1, false],
+                ['global.U', 'global', 0, true],
+                ['global.U.V', 'global.U', 1, true]
+            ])
+            assert.deepEqual((await root.listNamespaces({ orphaned: true })).map(e => e.namespace), ['global.U', 'global.U.V'])
+            assert.deepEqual((await root.listNamespaces({ orphaned: false })).map(e => e.namespace), ['global.T'])
+
+            await root.dropDataStore('T')
+            assert.deepEqual((await root.listNamespaces()).map(e => e.namespace), ['global.U', 'global.U.V'])
+            await root.discard()
+        })
+
+        it('Should not support transactions', async () => {
+            await assert.rejects(rootDataStore.withTransaction(async () => {}), DataStore.TransactionsNotSupportedError)
+        })
+
+        it('Should not support change streams', async () => {
+            await assert.rejects(rootDataStore.watch(), (e) => e.codeName === 'CommandNotSupported')
+        })
+
+        after(async () => {
+            await rootDataStore.discard()
+        })
+    })
+})
@@ -42,7 +42,8 @@ describe('DataStore', () => {
                 it("Should fail to initialize if it's already been initialized", async () => {
                     try {
                         await DataStore(server.getUri())
-                    } catch {
+                    } catch (e) {
+                        assert.ok(e instanceof DataStore.AlreadyInitializedError)
                         return
                     }
 
@@ -87,6 +88,348 @@ describe('DataStore', () => {
                     await server.stop()
                 })
             })
+
+            describe('createDataStoreRoot', () => {
+
+                var server = null
+                var moduleRoot = null
+                var rootA = null
+                var rootB = null
+
+                before(async () => {
+                    server = await MongoMemoryServer.create()
+                })
+
+                it('Should create independent roots alongside the module-level root', async () => {
+                    moduleRoot = await DataStore(server.getUri())
+                    rootA = await DataStore.createDataStoreRoot(server.getUri(), { dbName: 'rootA' })
+                    rootB = await DataStore.createDataStoreRoot(server.getUri(), { dbName: 'rootB' })
+
+                    assert.equal(rootA.getNamespace(), 'global')
+                    assert.equal(rootA.getCollection('validation').s.namespace.db, 'rootA')
+                    assert.equal(rootB.getCollection('validation').s.namespace.db, 'rootB')
+                    assert.equal(moduleRoot.getCollection('validation').s.namespace.db, DataStore.DEFAULT_DBNAME)
+                })
+
+                it('Should keep the data of each root separate', async () => {
+                    await rootA.getCollection('validation').insertOne({ v: 'A' })
+                    assert.deepEqual(await rootA.listCollections(), ['validation'])
+                    assert.deepEqual(await rootB.listCollections(), [])
+                })
+
+                it('Should not be affected when another root is discarded', async () => {
+                    await rootB.discard({ dropDb: true })
+                    rootB = null
+                    assert.equal(await rootA.getCollection('validation').countDocuments(), 1)
+                })
+
+                it('Should allow the module-level root to be initialized again once it has been discarded', async () => {
+                    await moduleRoot.discard({ dropDb: true })
+                    moduleRoot = await DataStore(server.getUri())
+                    assert.equal(moduleRoot.getNamespace(), 'global')
+                })
+
+                it('Should reject any use of a discarded root, its children and their collections', async () => {
+                    let root = await DataStore.createDataStoreRoot(server.getUri(), { dbName: 'discarded' })
+                    let child = await root.getDataStore('child')
+                    let collection = child.getCollection('items')
+                    await root.discard({ dropDb: true })
+
+                    assert.throws(() => root.getCollection('items'), DataStore.DiscardedDataStoreError)
+                    await assert.rejects(root.listCollections(), DataStore.DiscardedDataStoreError)
+                    await assert.rejects(child.listCollections(), DataStore.DiscardedDataStoreError)
+                    await assert.rejects(collection.insertOne({ v: 1 }), (e) => e instanceof DataStore.DiscardedDataStoreError && e.namespace === 'global.child')
+                    assert.throws(() => collection.find({}), DataStore.DiscardedDataStoreError)
+                    await assert.rejects(root.discard(), DataStore.DiscardedDataStoreError)
+                })
+
+                it('Should pass client options to the MongoClient', async () => {
+                    let root = await DataStore.createDataStoreRoot(server.getUri(), {
+                        dbName: 'clientOptions',
+                        clientOptions: { appName: 'datastore-tests', maxPoolSize: 5, readConcern: { level: 'majority' } }
+                    })
+                    let collection = root.getCollection('items')
+                    assert.equal(collection.s.db.s.client.options.appName, 'datastore-tests')
+                    assert.equal(collection.s.db.s.client.options.maxPoolSize, 5)
+                    assert.equal(collection.readConcern.level, 'majority')
+                    await root.discard({ dropDb: true })
+                })
+
+                it('Should apply the read and write concerns of each DataStore to its collections', async () => {
+                    let child = await rootA.getDataStore('concerns', DataStore.SCOPE_DELEGATE, { readConcern: 'majority', writeConcern: { w: 1, wtimeoutMS: 1000 } })
+                    let grandChild = await child.getDataStore('child', DataStore.SCOPE_COLLECTIONSONLY, { readConcern: 'local' })
+
+                    assert.equal(child.getCollection('items').readConcern.level, 'majority')
+                    assert.equal(grandChild.getCollection('items').readConcern.level, 'local')
+                    assert.equal(grandChild.getCollection('items').writeConcern.wtimeout, 1000)
+                    await grandChild.getCollection('items').insertOne({ v: 1 })
+                    assert.equal(await grandChild.getCollection('items').countDocuments({}), 1)
+                })
+
+                after(async () => {
+                    for (const root of [moduleRoot, rootA, rootB]) {
+                        if (root !== null) {
+                            await root.discard({ dropDb: true })
+                        }
+                    }
+                    await server.stop()
+                })
+            })
+
+            describe('Connection lifecycle', () => {
+
+                const net = require('net')
+
+                const getFreePort = () => {
+                    return new Promise((resolve) => {
+                        let probe = net.createServer()
+                        probe.listen(0, () => {
+                            let { port } = probe.address()
+                            probe.close(() => resolve(port))
+                        })
+                    })
+                }
+
+                var server = null
+                var root = null
+                var connectionString = null
+                var events = null
+                var connectedEvent = null
+
+                before(async () => {
+                    events = []
+                    let port = await getFreePort()
+                    connectionString = `mongodb://127.0.0.1:${port}/?serverSelectionTimeoutMS=500&heartbeatFrequencyMS=500`
+                })
+
+                it('Should retry the initial connection with backoff until the server is available', async () => {
+                    let retries = []
+                    let port = Number(new URL(connectionString).port)
+
+                    root = await DataStore.createDataStoreRoot(connectionString, {
+                        retry: {
+                            retries: 10,
+                            minDelay: 100,
+                            onRetry: (info) => {
+                                retries.push(info)
+                                if (retries.length === 1) {
+                                    MongoMemoryServer.create({ instance: { port } }).then(s => { server = s })
+                                }
+                            }
+                        }
+                    })
+                    connectedEvent = new Promise((resolve) => root.once('connected', resolve))
+
+                    assert.ok(retries.length >= 1)
+                    assert.equal(retries[0].attempt, 1)
+                    assert.equal(retries[0].delay, 100)
+                    assert.ok(retries[0].error)
+                })
+
+                it("Should emit 'connected' once the root has been returned", async () => {
+                    assert.ok(root instanceof require('events').EventEmitter)
+                    let event = await connectedEvent
+                    assert.ok(event.topology)
+                })
+
+                it('Should report latency and topology from healthCheck', async () => {
+                    let report = await root.healthCheck()
+                    assert.equal(report.ok, true)
+                    assert.equal(typeof report.latencyMS, 'number')
+                    assert.ok(report.topology.servers.length > 0)
+                })
+
+                it("Should emit 'disconnected' and 'reconnected' when the server goes away and comes back", async () => {
+                    root.on('disconnected', () => events.push('disconnected'))
+                    root.on('reconnected', () => events.push('reconnected'))
+                    root.on('error', () => {})
+
+                    let disconnected = new Promise((resolve) => root.once('disconnected', resolve))
+                    await server.stop({ doCleanup: false })
+                    await disconnected
+
+                    let report = await root.healthCheck({ timeoutMS: 1000 })
+                    assert.equal(report.ok, false)
+
+                    let reconnected = new Promise((resolve) => root.once('reconnected', resolve))
+                    await server.start(true)
+                    await reconnected
+
+                    assert.deepEqual(events, ['disconnected', 'reconnected'])
+                })
+
+                it('Should fail once all retries have been used', async () => {
+                    let port = await getFreePort()
+                    await assert.rejects(DataStore.createDataStoreRoot(`mongodb://127.0.0.1:${port}/?serverSelectionTimeoutMS=200`, { retry: { retries: 1, minDelay: 10 } }))
+                })
+
+                after(async () => {
+                    if (root !== null) {
+                        await root.discard({ dropDb: true })
+                    }
+                    if (server !== null) {
+                        await server.stop()
+                    }
+                })
+            })
+
+            describe('Metrics', () => {
+
+                var server = null
+                var root = null
+                var slowCommands = []
+
+                before(async () => {
+                    server = await MongoMemoryServer.create()
+                    root = await DataStore.createDataStoreRoot(server.getUri(), {
+                        dbName: 'metrics',
+                        metrics: { slowCommandMS: 0, onSlowCommand: (entry) => slowCommands.push(entry) }
+                    })
+                })
+
+                it('Should record the commands run on each collection using command monitoring', async () => {
+                    let store = await root.getDataStore('A')
+                    let users = store.getCollection('users')
+                    await users.insertOne({ name: 'a' })
+                    await users.find({ name: 'a' }).toArray()
+                    await assert.rejects(users.find({ $invalid: true }).toArray())
+
+                    let metrics = await root.getMetrics()
+                    let insert = metrics.commands.find(c => c.namespace === 'global.A' && c.collection === 'users' && c.command === 'insert')
+                    let find = metrics.commands.find(c => c.namespace === 'global.A' && c.collection === 'users' && c.command === 'find')
+                    assert.equal(insert.count, 1)
+                    assert.equal(insert.errors, 0)
+                    assert.equal(find.count, 2)
+                    assert.equal(find.errors, 1)
+                    assert.ok(find.latency.sumMS >= 0)
+                })
+
+                it('Should report slow commands', () => {
+                    let slow = slowCommands.find(e => e.namespace === 'global.A' && e.command === 'find')
+                    assert.ok(slow)
+                    assert.deepEqual(slow.commandDocument.filter, { name: 'a' })
+                })
+
+                it('Should export the metrics in the Prometheus format', async () => {
+                    let text = DataStore.formatPrometheusMetrics(await root.getMetrics())
+                    assert.ok(text.includes('datastore_commands_total{namespace="global.A",collection="users",command="insert"} 1'))
+                    assert.ok(text.includes('# TYPE datastore_command_duration_seconds histogram'))
+                })
+
+                after(async () => {
+                    await root.discard({ dropDb: true })
+                    await server.stop()
+                })
+            })
+
+            describe('Encryption', () => {
+
+                const crypto = require('crypto')
+                const path = require('path')
+                const os = require('os')
+                const fs = require('fs')
+                const { Binary } = require('mongodb')
+
+                var server = null
+                var root = null
+                var client = null
+                var keys = { k1: crypto.randomBytes(32).toString('base64') }
+                var currentKeyId = 'k1'
+
+                before(async () => {
+                    server = await MongoMemoryServer.create()
+                    root = await DataStore.createDataStoreRoot(server.getUri(), {
+                        dbName: 'encryption',
+                        encryption: { keyProvider: async () => ({ currentKeyId, keys }) }
+                    })
+                    client = await MongoClient.connect(server.getUri())
+                })
+
+                it('Should store encrypted fields as binary values and decrypt them when read', async () => {
+                    let store = await root.getDataStore('A')
+                    let creds = store.getCollection('creds', { encrypt: ['token'] })
+                    await creds.insertOne({ name: 'service', token: 'abc123' })
+                    await creds.bulkWrite([{ insertOne: { document: { name: 'other', token: 'def456' } } }])
+
+                    let raw = await client.db('encryption').collection('global.A.creds').findOne({ name: 'service' })
+                    assert.ok(raw.token instanceof Binary)
+                    assert.ok(!raw.token.buffer.toString().includes('abc123'))
+
+                    assert.equal((await creds.findOne({ name: 'service' })).token, 'abc123')
+                    let tokens = await creds.aggregate([{ $sort: { name: 1 } }]).map(d => d.token).toArray()
+                    assert.deepEqual(tokens, ['def456', 'abc123'])
+                })
+
+                it('Should never write encrypted fields as plaintext', async () => {
+                    let store = await root.getDataStore('A')
+                    let creds = store.getCollection('lists', { encrypt: ['list.token'] })
+                    await creds.insertOne({ name: 'list', list: [{ token: 'first' }, { token: 'second' }] })
+                    await creds.updateOne({ name: 'list' }, { $set: { 'list.$[].token': 'all' } })
+
+                    let raw = await client.db('encryption').collection('global.A.lists').findOne({ name: 'list' })
+                    raw.list.forEach(element => assert.ok(element.token instanceof Binary))
+                    assert.deepEqual((await creds.findOne({ name: 'list' })).list, [{ token: 'all' }, { token: 'all' }])
+
+                    await assert.rejects(creds.updateOne({ name: 'list' }, { $rename: { name: 'list' } }), DataStore.EncryptionError)
+                    assert.throws(() => creds.initializeUnorderedBulkOp(), DataStore.EncryptionError)
+                    assert.throws(() => creds.aggregate([{ $set: { 'list.token': 'plain' } }, { $merge: { into: 'lists' } }]), DataStore.EncryptionError)
+                    assert.throws(() => creds.aggregate([{ $match: { 'list.token': 'all' } }]), DataStore.EncryptionError)
+                })
+
+                it('Should encrypt fields of collections used in transactions', async () => {
+                    let store = await root.getDataStore('A')
+                    let supported = true
+                    try {
+                        await store.withTransaction(async (tx) => {
+                            await tx.getCollection('tx', { encrypt: ['token'] }).insertOne({ token: 'in-tx' })
+                        })
+                    } catch (e) {
+                        assert.ok(e instanceof DataStore.TransactionsNotSupportedError)
+                        supported = false
+                    }
+                    if (supported) {
+                        let raw = await client.db('encryption').collection('global.A.tx').findOne({})
+                        assert.ok(raw.token instanceof Binary)
+                    }
+                })
+
+                it('Should keep encrypted fields readable after renames, exports and imports', async () => {
+                    let store = await root.getDataStore('moving')
+                    await store.getCollection('creds', { encrypt: ['token'] }).insertOne({ name: 'service', token: 'abc123' })
+                    await root.renameDataStore('moving', 'moved')
+
+                    let moved = await root.getDataStore('moved')
+                    assert.equal((await moved.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'service' })).token, 'abc123')
+
+                    let archiveFile = path.join(os.tmpdir(), `datastore-encrypted-${process.pid}.jsonl`)
+                    try {
+                        await moved.exportDataStore(archiveFile)
+                        let target = await root.getDataStore('imported')
+                        await target.importDataStore(archiveFile)
+                        assert.equal((await target.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'service' })).token, 'abc123')
+                    } finally {
+                        await fs.promises.unlink(archiveFile)
+                    }
+                })
+
+                it('Should re-encrypt fields after the keys have been rotated', async () => {
+                    let store = await root.getDataStore('A')
+                    keys = Object.assign({ k2: crypto.randomBytes(32).toString('base64') }, keys)
+                    currentKeyId = 'k2'
+                    await root.reloadEncryptionKeys()
+
+                    assert.deepEqual(await store.reencrypt('creds', { encrypt: ['token'] }), { documents: 2 })
+                    keys = { k2: keys.k2 }
+                    await root.reloadEncryptionKeys()
+                    assert.equal((await store.getCollection('creds', { encrypt: ['token'] }).findOne({ name: 'service' })).token, 'abc123')
+                })
+
+                after(async () => {
+                    await client.close()
+                    await root.discard({ dropDb: true })
+                    await server.stop()
+                })
+            })
         })
     })
 
@@ -407,10 +750,1231 @@ describe('DataStore', () => {
             })
         })
 
+        describe('Namespace isolation', () => {
+
+            var siblingA = null
+            var siblingB = null
+            var delegateStore = null
+            var childStore = null
+
+            before(async () => {
+                siblingA = await rootDataStore.getDataStore('isolationA')
+                siblingB = await rootDataStore.getDataStore('isolationB')
+                delegateStore = await rootDataStore.getDataStore('isolationDelegate', DataStore.SCOPE_DELEGATE)
+                childStore = await delegateStore.getDataStore('child')
+                await childStore.getCollection('secrets').insertOne({ v: 'secret' })
+                await siblingB.getCollection('secrets').insertOne({ v: 'secret' })
+            })
+
+            it(`Should export VALID_COLLECTION_NAME_FORMAT`, () => {
+                assert.ok(DataStore.VALID_COLLECTION_NAME_FORMAT instanceof RegExp)
+                assert.ok(DataStore.VALID_COLLECTION_NAME_FORMAT.test('valid-Name_1'))
+                assert.ok(!DataStore.VALID_COLLECTION_NAME_FORMAT.test('child.secrets'))
+            })
+
+            for (const name of ['child.secrets', '', '$cmd', 'a$b', '.secrets', 'secrets.', null, undefined, 42]) {
+                it(`getCollection should reject the collection name ${JSON.stringify(name)} with an InvalidCollectionNameError`, () => {
+                    assert.throws(() => delegateStore.getCollection(name), (e) => {
+                        assert.ok(e instanceof DataStore.InvalidCollectionNameError)
+                        assert.equal(e.collectionName, name)
+                        assert.equal(e.namespace, delegateStore.getNamespace())
+                        return true
+                    })
+                })
+            }
+
+            it('createCollection should reject names containing a dot with an InvalidCollectionNameError', async () => {
+                await assert.rejects(delegateStore.createCollection('child.secrets'), DataStore.InvalidCollectionNameError)
+            })
+
+            it("Should not allow a DataStore to reach the collections of it's child namespaces", () => {
+                assert.throws(() => delegateStore.getCollection('child.secrets'), DataStore.InvalidCollectionNameError)
+            })
+
+            it("Should not allow a DataStore to reach the collections of it's siblings", async () => {
+                let collection = siblingA.getCollection('secrets')
+                assert.equal(collection.s.namespace.collection, `${siblingA.getNamespace()}.secrets`)
+                assert.equal(await collection.countDocuments(), 0)
+                assert.throws(() => siblingA.getCollection('..isolationB.secrets'), DataStore.InvalidCollectionNameError)
+            })
+
+            it("Should not allow a DataStore to create views of the collections of it's siblings", async () => {
+                await assert.rejects(siblingA.createCollection('view', { viewOn: `${siblingB.getNamespace()}.secrets`, pipeline: [] }), /Invalid collection option 'viewOn'/)
+                assert.equal(await siblingA.getCollection('view').countDocuments(), 0)
+            })
+
+            it("Should not allow a DataStore to rename collections into the namespaces of it's siblings", async () => {
+                await siblingA.getCollection('evil').insertOne({ v: 'overwritten' })
+                await assert.rejects(siblingA.getCollection('evil').rename(`${siblingB.getNamespace()}.secrets`, { dropTarget: true }), DataStore.InvalidCollectionNameError)
+                assert.equal((await siblingB.getCollection('secrets').findOne({})).v, 'secret')
+                await siblingA.getCollection('evil').drop()
+            })
+
+            it("Should not allow aggregation pipelines to reach the collections of it's siblings", async () => {
+                let collection = siblingA.getCollection('secrets')
+                let lookup = { $lookup: { from: `${siblingB.getNamespace()}.secrets`, pipeline: [], as: 'stolen' } }
+                assert.throws(() => collection.aggregate([lookup]), DataStore.InvalidCollectionNameError)
+                assert.throws(() => collection.aggregate([{ $unionWith: `${siblingB.getNamespace()}.secrets` }]), DataStore.InvalidCollectionNameError)
+                assert.throws(() => collection.aggregate([{ $out: `${siblingB.getNamespace()}.secrets` }]), DataStore.InvalidCollectionNameError)
+
+                await siblingA.getCollection('other').insertOne({ v: 'own' })
+                let results = await siblingA.getCollection('other').aggregate([{ $unionWith: 'other' }, { $project: { _id: 0 } }]).toArray()
+                assert.deepEqual(results, [{ v: 'own' }, { v: 'own' }])
+                await siblingA.getCollection('other').drop()
+            })
+
+            for (const namespace of ['child.secrets', '', '..', null, 42]) {
+                it(`getDataStore should reject the namespace ${JSON.stringify(namespace)} with an InvalidNamespaceError`, async () => {
+                    await assert.rejects(delegateStore.getDataStore(namespace), (e) => {
+                        assert.ok(e instanceof DataStore.InvalidNamespaceError)
+                        assert.equal(e.namespace, namespace)
+                        assert.equal(e.parentNamespace, delegateStore.getNamespace())
+                        return true
+                    })
+                })
+            }
+
+            after(async () => {
+                await childStore.getCollection('secrets').drop()
+                await siblingB.getCollection('secrets').drop()
+            })
+        })
+
+        describe('Introspection', () => {
+
+            var store = null
+            var childA = null
+            var childB = null
+            var grandChild = null
+            var sibling = null
+
+            before(async () => {
+                store = await rootDataStore.getDataStore('introspection', DataStore.SCOPE_DELEGATE)
+                childA = await store.getDataStore('childA')
+                childB = await store.getDataStore('childB', DataStore.SCOPE_DELEGATE)
+                grandChild = await childB.getDataStore('grandChild')
+                sibling = await rootDataStore.getDataStore('introspection2')
+
+                await store.getCollection('c1').insertMany([{ v: 1 }, { v: 2 }])
+                await store.getCollection('c2').insertOne({ v: 3 })
+                await store.getCollection('c2').createIndex({ v: 1 }, { unique: true })
+                await childA.getCollection('x').insertOne({ v: 4 })
+                await grandChild.getCollection('y').insertOne({ v: 5 })
+                await sibling.getCollection('z').insertOne({ v: 6 })
+            })
+
+            describe('listCollections', () => {
+
+                it('Should only list the collections directly under the namespace, without the prefix', async () => {
+                    assert.deepEqual(await store.listCollections(), ['c1', 'c2'])
+                    assert.deepEqual(await childA.listCollections(), ['x'])
+                    assert.deepEqual(await childB.listCollections(), [])
+                })
+
+                it('Should not list collections belonging to sibling namespaces sharing the same prefix', async () => {
+                    assert.deepEqual(await sibling.listCollections(), ['z'])
+                })
+            })
+
+            describe('listDataStores', () => {
+
+                it(`Should only be available on '${DataStore.SCOPE_DELEGATE}' DataStores`, () => {
+                    assert.ok(store.listDataStores)
+                    assert.equal(childA.listDataStores, undefined)
+                })
+
+                it('Should list the child namespaces that have collections', async () => {
+                    assert.deepEqual(await store.listDataStores(), ['childA', 'childB'])
+                    assert.deepEqual(await childB.listDataStores(), ['grandChild'])
+                })
+            })
+
+            describe('describe', () => {
+
+                it('Should describe the collections, indexes and child namespaces of the subtree', async () => {
+                    let description = await store.describe()
+
+                    assert.equal(description.namespace, store.getNamespace())
+                    assert.deepEqual(Object.keys(description.collections), ['c1', 'c2'])
+                    assert.equal(description.collections.c1.count, 2)
+                    assert.deepEqual(description.collections.c2.indexes.map(i => i.name), ['_id_', 'v_1'])
+                    assert.equal(description.collections.c2.indexes[1].unique, true)
+                    assert.deepEqual(Object.keys(description.dataStores), ['childA', 'childB'])
+                    assert.equal(description.dataStores.childB.dataStores.grandChild.collections.y.count, 1)
+                    assert.equal(description.totals.collections, 4)
+                    assert.equal(description.totals.documents, 5)
+                    assert.equal(description.totals.indexes, 5)
+                })
+
+                it(`Should not include child namespaces for DataStores without the '${DataStore.SCOPE_DELEGATE}' scope`, async () => {
+                    let description = await childA.describe()
+                    assert.equal(description.dataStores, undefined)
+                    assert.equal(description.totals.collections, 1)
+                })
+            })
+
+            after(async () => {
+                for (const collection of [store.getCollection('c1'), store.getCollection('c2'), childA.getCollection('x'), grandChild.getCollection('y'), sibling.getCollection('z')]) {
+                    await collection.drop()
+                }
+            })
+        })
+
+        describe('Drop and rename', () => {
+
+            var store = null
+            var sibling = null
+
+            beforeEach(async () => {
+                store = await rootDataStore.getDataStore('dropRename', DataStore.SCOPE_DELEGATE)
+                sibling = await rootDataStore.getDataStore('dropRename2')
+
+                let child = await store.getDataStore('child', DataStore.SCOPE_DELEGATE)
+                let grandChild = await child.getDataStore('grandChild')
+                await store.getCollection('own').insertOne({ v: 1 })
+                await child.getCollection('x').insertOne({ v: 2 })
+                await grandChild.getCollection('y').insertOne({ v: 3 })
+                await sibling.getCollection('z').insertOne({ v: 4 })
+            })
+
+            describe('dropCollection', () => {
+
+                it('Should drop the collection and return true', async () => {
+                    assert.equal(await store.dropCollection('own'), true)
+                    assert.deepEqual(await store.listCollections(), [])
+                })
+
+                it('Should return false if the collection does not exist', async () => {
+                    assert.equal(await store.dropCollection('missing'), false)
+                })
+
+                it('Should refuse to drop collections outside of the namespace', async () => {
+                    await assert.rejects(store.dropCollection('child.x'), DataStore.InvalidCollectionNameError)
+                    assert.deepEqual(await store.listDataStores(), ['child'])
+                })
+            })
+
+            describe('dropDataStore', () => {
+
+                it(`Should only be available on '${DataStore.SCOPE_DELEGATE}' DataStores`, () => {
+                    assert.ok(store.dropDataStore)
+                    assert.equal(sibling.dropDataStore, undefined)
+                })
+
+                it('Should drop every collection under the child namespace recursively', async () => {
+                    assert.deepEqual(await store.dropDataStore('child'), ['child.grandChild.y', 'child.x'])
+                    assert.deepEqual(await store.listDataStores(), [])
+                    assert.deepEqual(await store.listCollections(), ['own'])
+                    assert.deepEqual(await sibling.listCollections(), ['z'])
+                })
+
+                it('Should refuse to drop namespaces outside of the namespace', async () => {
+                    await assert.rejects(store.dropDataStore('child.grandChild'))
+                    await assert.rejects(rootDataStore.dropDataStore('dropRename2.z'))
+                    assert.deepEqual(await sibling.listCollections(), ['z'])
+                })
+            })
+
+            describe('renameDataStore', () => {
+
+                it('Should move every collection under the child namespace to the new namespace', async () => {
+                    assert.deepEqual(await store.renameDataStore('child', 'moved'), ['moved.grandChild.y', 'moved.x'])
+                    assert.deepEqual(await store.listDataStores(), ['moved'])
+
+                    let moved = await store.getDataStore('moved')
+                    assert.equal(await moved.getCollection('x').countDocuments(), 1)
+                })
+
+                it('Should refuse to move collections to a namespace that already has collections', async () => {
+                    let other = await store.getDataStore('other')
+                    await other.getCollection('x').insertOne({ v: 5 })
+
+                    await assert.rejects(store.renameDataStore('child', 'other'), DataStore.DataStoreExistsError)
+                    assert.deepEqual(await store.listDataStores(), ['child', 'other'])
+                })
+
+                it('Should refuse to move namespaces outside of the namespace', async () => {
+                    await assert.rejects(store.renameDataStore('child', '..dropRename2'))
+                    await assert.rejects(store.renameDataStore('child.grandChild', 'moved'))
+                    assert.deepEqual(await store.listDataStores(), ['child'])
+                })
+            })
+
+            afterEach(async () => {
+                await rootDataStore.dropDataStore('dropRename')
+                await rootDataStore.dropDataStore('dropRename2')
+            })
+        })
+
+        describe('Schema registry', () => {
+
+            const personSchema = {
+                bsonType: 'object',
+                required: ['name'],
+                properties: {
+                    name: { bsonType: 'string' }
+                }
+            }
+
+            var store = null
+            var child = null
+
+            before(async () => {
+                store = await rootDataStore.getDataStore('schemas', DataStore.SCOPE_DELEGATE)
+                child = await store.getDataStore('child')
+            })
+
+            describe('setSchema/getSchema', () => {
+
+                it('Should return null for collections without a schema', async () => {
+                    assert.equal(await store.getSchema('people'), null)
+                })
+
+                it('Should create the collection with the schema if it does not exist', async () => {
+                    await store.setSchema('people', personSchema)
+                    assert.deepEqual(await store.listCollections(), ['people'])
+                    await assert.rejects(store.getCollection('people').insertOne({ age: 1 }))
+                    await store.getCollection('people').insertOne({ name: 'A' })
+                })
+
+                it('Should apply the schema to existing collections using collMod', async () => {
+                    await store.getCollection('existing').insertOne({ age: 1 })
+                    await store.setSchema('existing', personSchema, { level: 'moderate', action: 'error' })
+                    await assert.rejects(store.getCollection('existing').insertOne({ age: 2 }))
+
+                    let schema = await store.getSchema('existing')
+                    assert.deepEqual(schema, { schema: personSchema, level: 'moderate', action: 'error', locked: false })
+                })
+
+                it('Should apply the schema again when the collection is recreated using createCollection', async () => {
+                    await store.dropCollection('people')
+                    let collection = await store.createCollection('people')
+                    await assert.rejects(collection.insertOne({ age: 1 }))
+                })
+
+                it('Should reject invalid collection names', async () => {
+                    await assert.rejects(store.setSchema('child.people', personSchema), DataStore.InvalidCollectionNameError)
+                    await assert.rejects(store.getSchema('child.people'), DataStore.InvalidCollectionNameError)
+                })
+            })
+
+            describe('lockSchema', () => {
+
+                it(`Should only be available on '${DataStore.SCOPE_DELEGATE}' DataStores`, () => {
+                    assert.ok(store.lockSchema)
+                    assert.equal(child.lockSchema, undefined)
+                })
+
+                it('Should apply the schema to the collection under the child namespace', async () => {
+                    await store.lockSchema('child', 'people', personSchema)
+                    assert.deepEqual(await child.getSchema('people'), { schema: personSchema, level: 'strict', action: 'error', locked: true })
+                    await assert.rejects(child.getCollection('people').insertOne({ age: 1 }))
+                })
+
+                it('Should not allow the child DataStore to override the schema', async () => {
+                    await assert.rejects(child.setSchema('people', { bsonType: 'object' }), DataStore.SchemaLockedError)
+                    await assert.rejects(child.createCollection('people', { validator: {} }), DataStore.SchemaLockedError)
+                    await assert.rejects(child.getCollection('people').insertOne({ age: 1 }))
+                })
+
+                it('Should not allow the child DataStore to drop or replace the locked collection', async () => {
+                    await assert.rejects(child.dropCollection('people'), DataStore.SchemaLockedError)
+                    await assert.rejects(child.getCollection('people').drop(), DataStore.SchemaLockedError)
+                    await assert.rejects(child.getCollection('people').rename('others'), DataStore.SchemaLockedError)
+                    await child.getCollection('others').insertOne({ age: 1 })
+                    await assert.rejects(child.getCollection('others').rename('people', { dropTarget: true }), DataStore.SchemaLockedError)
+
+                    const { PassThrough, Readable } = require('stream')
+                    let stream = new PassThrough()
+                    let chunks = []
+                    stream.on('data', (chunk) => chunks.push(chunk))
+                    await child.exportDataStore(stream)
+                    stream.end()
+                    await new Promise((resolve) => stream.on('end', resolve))
+                    await assert.rejects(child.importDataStore(Readable.from([Buffer.concat(chunks)]), { mode: 'replace' }), DataStore.SchemaLockedError)
+
+                    // The collection still has the schema:
+                    await assert.rejects(child.getCollection('people').insertOne({ age: 1 }))
+                    assert.equal((await child.getSchema('people')).locked, true)
+                })
+
+                it('Should allow the parent DataStore to change the locked schema', async () => {
+                    await store.lockSchema('child', 'people', { bsonType: 'object' })
+                    await child.getCollection('people').insertOne({ age: 1 })
+                })
+            })
+
+            after(async () => {
+                await rootDataStore.dropDataStore('schemas')
+            })
+        })
+
+        describe('Migrations', () => {
+
+            var store = null
+            var calls = null
+
+            const migrations = [
+                {
+                    version: 2,
+                    up: async (s) => { calls.push('up2'); await s.getCollection('items').updateMany({}, { $set: { migrated: true } }) },
+                    down: async (s) => { calls.push('down2'); await s.getCollection('items').updateMany({}, { $unset: { migrated: '' } }) }
+                },
+                {
+                    version: 1,
+                    up: async (s) => { calls.push('up1'); await s.getCollection('items').insertOne({ v: 1 }) },
+                    down: async (s) => { calls.push('down1'); await s.getCollection('items').deleteMany({}) }
+                }
+            ]
+
+            beforeEach(async () => {
+                calls = []
+                store = await rootDataStore.getDataStore('migrations', DataStore.SCOPE_DELEGATE)
+            })
+
+            it('Should run pending migrations in order of version', async () => {
+                let report = await store.migrate(migrations)
+                assert.deepEqual(calls, ['up1', 'up2'])
+                assert.deepEqual(report, { previousVersion: 0, version: 2, applied: [1, 2], reverted: [] })
+                assert.equal(await store.getCollection('items').countDocuments({ migrated: true }), 1)
+            })
+
+            it('Should not run migrations that have already been applied', async () => {
+                await store.migrate(migrations)
+                calls = []
+                let report = await store.migrate(migrations)
+                assert.deepEqual(calls, [])
+                assert.deepEqual(report, { previousVersion: 2, version: 2, applied: [], reverted: [] })
+            })
+
+            it('Should only run each migration once when called concurrently', async () => {
+                let otherStore = await rootDataStore.getDataStore('migrations', DataStore.SCOPE_DELEGATE)
+                await Promise.all([store.migrate(migrations), otherStore.migrate(migrations)])
+                assert.deepEqual(calls, ['up1', 'up2'])
+                assert.equal(await store.getCollection('items').countDocuments(), 1)
+            })
+
+            it('Should roll back to the target version', async () => {
+                await store.migrate(migrations)
+                calls = []
+                let report = await store.migrate(migrations, { target: 0 })
+                assert.deepEqual(calls, ['down2', 'down1'])
+                assert.deepEqual(report, { previousVersion: 2, version: 0, applied: [], reverted: [2, 1] })
+                assert.equal(await store.getCollection('items').countDocuments(), 0)
+            })
+
+            it("Should fail to roll back migrations without a 'down' function", async () => {
+                await store.migrate([{ version: 1, up: async () => {} }])
+                await assert.rejects(store.migrate([{ version: 1, up: async () => {} }], { target: 0 }), DataStore.MigrationError)
+            })
+
+            it('Should reject invalid migrations', async () => {
+                await assert.rejects(store.migrate([{ version: 0, up: async () => {} }]), DataStore.MigrationError)
+                await assert.rejects(store.migrate([{ version: 1 }]), DataStore.MigrationError)
+                await assert.rejects(store.migrate([{ version: 1, up: async () => {} }, { version: 1, up: async () => {} }]), DataStore.MigrationError)
+            })
+
+            it('Should fail if the migration lock cannot be taken in time', async () => {
+                let release = null
+                let blocker = new Promise((resolve) => { release = resolve })
+                let running = store.migrate([{ version: 1, up: () => blocker }])
+
+                await assert.rejects(store.migrate(migrations, { lockTimeout: 100 }), DataStore.MigrationLockTimeoutError)
+
+                release()
+                await running
+            })
+
+            it('Should not list the reserved collections', async () => {
+                await store.migrate(migrations)
+                assert.deepEqual(await store.listCollections(), ['items'])
+            })
+
+            afterEach(async () => {
+                await rootDataStore.dropDataStore('migrations')
+            })
+        })
+
+        describe('Scopes', () => {
+
+            var store = null
+
+            before(async () => {
+                store = await rootDataStore.getDataStore('scopes', DataStore.SCOPE_DELEGATE)
+                await store.getCollection('items').insertOne({ v: 1 })
+            })
+
+            it('Should report the scope of each DataStore', async () => {
+                assert.deepEqual(rootDataStore.getScope(), [DataStore.SCOPE_DELEGATE])
+                let child = await store.getDataStore('reader', [DataStore.SCOPE_DELEGATE, DataStore.SCOPE_READONLY])
+                assert.deepEqual(child.getScope(), [DataStore.SCOPE_DELEGATE, DataStore.SCOPE_READONLY])
+            })
+
+            it('Should reject unknown scopes', async () => {
+                await assert.rejects(store.getDataStore('invalid', 'superUser'), (e) => {
+                    return e instanceof DataStore.InvalidScopeError && e.scope === 'superUser' && e.namespace === 'global.scopes.invalid'
+                })
+                await assert.rejects(store.getDataStore('invalid', []), DataStore.InvalidScopeError)
+            })
+
+            describe(`'${DataStore.SCOPE_READONLY}'`, () => {
+
+                var readOnlyStore = null
+                var collection = null
+
+                before(async () => {
+                    readOnlyStore = await rootDataStore.getDataStore('scopes', DataStore.SCOPE_READONLY)
+                    collection = readOnlyStore.getCollection('items')
+                })
+
+                it('Should allow collections to be read', async () => {
+                    assert.equal(collection.s.namespace.collection, `${readOnlyStore.getNamespace()}.items`)
+                    assert.equal((await collection.find({}).toArray()).length, 1)
+                    assert.equal((await collection.findOne({})).v, 1)
+                    assert.equal(await collection.countDocuments(), 1)
+                })
+
+                for (const [method, args] of [
+                    ['insertOne', [{ v: 2 }]],
+                    ['insertMany', [[{ v: 2 }]]],
+                    ['updateOne', [{}, { $set: { v: 2 } }]],
+                    ['updateMany', [{}, { $set: { v: 2 } }]],
+                    ['replaceOne', [{}, { v: 2 }]],
+                    ['deleteOne', [{}]],
+                    ['deleteMany', [{}]],
+                    ['findOneAndUpdate', [{}, { $set: { v: 2 } }]],
+                    ['bulkWrite', [[{ insertOne: { document: { v: 2 } } }]]],
+                    ['drop', []],
+                    ['createIndex', [{ v: 1 }]],
+                    ['dropIndexes', []]
+                ]) {
+                    it(`Should reject '${method}' with a ForbiddenOperationError`, async () => {
+                        await assert.rejects(collection[method](...args), (e) => {
+                            assert.ok(e instanceof DataStore.ForbiddenOperationError)
+                            assert.equal(e.operation, method)
+                            assert.equal(e.namespace, readOnlyStore.getNamespace())
+                            return true
+                        })
+                    })
+                }
+
+                it('Should reject aggregation pipelines that write with $out or $merge', async () => {
+                    assert.throws(() => collection.aggregate([{ $out: 'copy' }]), (e) => e instanceof DataStore.ForbiddenOperationError && e.operation === '$out')
+                    assert.throws(() => collection.aggregate([{ $match: {} }, { $merge: { into: 'items' } }]), (e) => e instanceof DataStore.ForbiddenOperationError && e.operation === '$merge')
+                    assert.deepEqual(await readOnlyStore.listCollections(), ['items'])
+                    assert.equal((await collection.aggregate([{ $match: { v: 1 } }]).toArray()).length, 1)
+                })
+
+                it('Should reject store operations that modify collections', async () => {
+                    await assert.rejects(readOnlyStore.createCollection('other'), DataStore.ForbiddenOperationError)
+                    await assert.rejects(readOnlyStore.dropCollection('items'), DataStore.ForbiddenOperationError)
+                    await assert.rejects(readOnlyStore.setSchema('items', {}), DataStore.ForbiddenOperationError)
+                    assert.equal(await collection.countDocuments(), 1)
+                })
+            })
+
+            describe(`'${DataStore.SCOPE_WRITEONLY}'`, () => {
+
+                var collection = null
+
+                before(async () => {
+                    let writeOnlyStore = await rootDataStore.getDataStore('scopes', DataStore.SCOPE_WRITEONLY)
+                    collection = writeOnlyStore.getCollection('items')
+                })
+
+                it('Should allow collections to be written', async () => {
+                    await collection.insertOne({ v: 2 })
+                    await collection.deleteOne({ v: 2 })
+                })
+
+                it('Should reject reads with a ForbiddenOperationError', async () => {
+                    assert.throws(() => collection.find({}), DataStore.ForbiddenOperationError)
+                    await assert.rejects(collection.findOne({}), DataStore.ForbiddenOperationError)
+                    await assert.rejects(collection.countDocuments(), DataStore.ForbiddenOperationError)
+                })
+            })
+
+            describe('Composition', () => {
+
+                var readOnlyDelegate = null
+
+                before(async () => {
+                    readOnlyDelegate = await rootDataStore.getDataStore('scopes', [DataStore.SCOPE_DELEGATE, DataStore.SCOPE_READONLY])
+                })
+
+                it(`Should allow '${DataStore.SCOPE_DELEGATE}' to be combined with '${DataStore.SCOPE_READONLY}'`, async () => {
+                    assert.ok(readOnlyDelegate.getDataStore)
+                    await assert.rejects(readOnlyDelegate.getCollection('items').insertOne({ v: 2 }), DataStore.ForbiddenOperationError)
+                })
+
+                it('Should give children the access restrictions of their parent by default', async () => {
+                    let child = await readOnlyDelegate.getDataStore('child')
+                    assert.deepEqual(child.getScope(), [DataStore.SCOPE_COLLECTIONSONLY, DataStore.SCOPE_READONLY])
+                    await assert.rejects(child.getCollection('items').insertOne({ v: 2 }), DataStore.ForbiddenOperationError)
+                })
+
+                it('Should not allow children to be given more rights than their parent', async () => {
+                    for (const childScope of [DataStore.SCOPE_COLLECTIONSONLY, DataStore.SCOPE_DELEGATE, DataStore.SCOPE_WRITEONLY, [DataStore.SCOPE_READONLY, DataStore.SCOPE_WRITEONLY]]) {
+                        await assert.rejects(readOnlyDelegate.getDataStore('child', childScope), DataStore.ScopeEscalationError)
+                    }
+                })
+
+                it('Should not allow read-only DataStores to drop or rename child namespaces', async () => {
+                    await assert.rejects(readOnlyDelegate.dropDataStore('child'), DataStore.ForbiddenOperationError)
+                    await assert.rejects(readOnlyDelegate.renameDataStore('child', 'other'), DataStore.ForbiddenOperationError)
+                })
+            })
+
+            after(async () => {
+                await rootDataStore.dropDataStore('scopes')
+            })
+        })
+
+        describe('Audit log', () => {
+
+            const path = require('path')
+            const os = require('os')
+            const fs = require('fs')
+
+            var auditedRoot = null
+            var entries = null
+            var auditFile = null
+
+            before(async () => {
+                entries = []
+                auditFile = path.join(os.tmpdir(), `datastore-audit-${process.pid}.jsonl`)
+                auditedRoot = await DataStore.createDataStoreRoot(server.getUri(), {
+                    dbName: 'audit',
+                    audit: {
+                        writes: true,
+                        sinks: [(entry) => { entries.push(entry) }, { file: auditFile }]
+                    }
+                })
+            })
+
+            it('Should not add getAuditLog to roots without an audit log', () => {
+                assert.equal(rootDataStore.getAuditLog, undefined)
+            })
+
+            it('Should record getDataStore, createCollection, setSchema and drops', async () => {
+                let store = await auditedRoot.getDataStore('A', DataStore.SCOPE_DELEGATE)
+                await store.createCollection('items')
+                await store.setSchema('items', { bsonType: 'object' })
+                await store.dropCollection('items')
+                await auditedRoot.dropDataStore('A')
+
+                let log = await auditedRoot.getAuditLog({})
+                assert.deepEqual(log.map(e => [e.namespace, e.operation]), [
+                    ['global', 'getDataStore'],
+                    ['global.A', 'createCollection'],
+                    ['global.A', 'setSchema'],
+                    ['global.A', 'dropCollection'],
+                    ['global', 'dropDataStore']
+                ])
+                assert.equal(log[0].details.namespace, 'global.A')
+                assert.equal(log[1].collection, 'items')
+                assert.ok(log[1].timestamp instanceof Date)
+            })
+
+            it('Should record revocations', async () => {
+                let store = await auditedRoot.getDataStore('R', DataStore.SCOPE_DELEGATE)
+                await store.getDataStore('child')
+                await store.revoke('child')
+
+                let log = await auditedRoot.getAuditLog({ namespace: 'global.R', operation: 'revoke' })
+                assert.deepEqual(log.map(e => e.details.namespace), ['global.R.child'])
+            })
+
+            it('Should record index changes and writes made through collections, with document ids', async () => {
+                let store = await auditedRoot.getDataStore('B')
+                let collection = store.getCollection('items')
+                let result = await collection.insertOne({ v: 1 })
+                await collection.updateOne({ _id: result.insertedId }, { $set: { v: 2 } })
+                await collection.createIndex({ v: 1 })
+
+                let log = await auditedRoot.getAuditLog({ namespace: 'global.B' })
+                assert.deepEqual(log.map(e => e.operation), ['insertOne', 'updateOne', 'createIndex'])
+                assert.ok(log[0].documentIds[0].equals(result.insertedId))
+                assert.ok(log[1].documentIds[0].equals(result.insertedId))
+            })
+
+            it('Should not record reads', async () => {
+                let store = await auditedRoot.getDataStore('B')
+                let count = (await auditedRoot.getAuditLog({})).length
+                await store.getCollection('items').find({}).toArray()
+                assert.equal((await auditedRoot.getAuditLog({})).length, count)
+            })
+
+            it('Should write entries to the configured sinks', async () => {
+                let log = await auditedRoot.getAuditLog({})
+                assert.equal(entries.length, log.length)
+
+                let lines = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+                assert.equal(lines.length, log.length)
+                assert.equal(lines[0].operation, 'getDataStore')
+            })
+
+            it('Should not allow non-root DataStores to reach the audit collection', async () => {
+                let store = await auditedRoot.getDataStore('C')
+                assert.equal(store.getAuditLog, undefined)
+                assert.throws(() => store.getCollection(DataStore.AUDIT_COLLECTION_NAME), DataStore.InvalidCollectionNameError)
+                assert.deepEqual(await auditedRoot.listCollections(), [])
+            })
+
+            after(async () => {
+                await auditedRoot.discard({ dropDb: true })
+                fs.rmSync(auditFile, { force: true })
+            })
+        })
+
+        describe('Quotas', () => {
+
+            var store = null
+
+            beforeEach(async () => {
+                store = await rootDataStore.getDataStore('quotas', DataStore.SCOPE_DELEGATE, { quota: { maxCollections: 2, maxDocuments: 3, maxBytes: 1024 } })
+            })
+
+            it('Should report the quota of the DataStore', async () => {
+                assert.deepEqual(store.getQuota(), { maxCollections: 2, maxDocuments: 3, maxBytes: 1024 })
+                assert.equal(rootDataStore.getQuota(), null)
+            })
+
+            it('Should report the usage of the subtree', async () => {
+                let child = await store.getDataStore('child')
+                await store.getCollection('a').insertMany([{ v: 1 }, { v: 2 }])
+                await child.getCollection('b').insertOne({ v: 3 })
+
+                let usage = await store.getUsage()
+                assert.equal(usage.collections, 2)
+                assert.equal(usage.documents, 3)
+                assert.ok(usage.bytes > 0)
+                assert.equal((await child.getUsage()).documents, 1)
+            })
+
+            it('Should reject invalid quotas', async () => {
+                await assert.rejects(rootDataStore.getDataStore('quotas', DataStore.SCOPE_DELEGATE, { quota: { maxDocuments: -1 } }))
+                await assert.rejects(rootDataStore.getDataStore('quotas', DataStore.SCOPE_DELEGATE, { quota: { maxWidgets: 1 } }))
+                await assert.rejects(rootDataStore.getDataStore('quotas', DataStore.SCOPE_DELEGATE, { quota: { maxBytes: NaN } }))
+            })
+
+            it('Should enforce maxCollections when creating collections', async () => {
+                await store.createCollection('a')
+                await store.setSchema('b', { bsonType: 'object' })
+                await assert.rejects(store.createCollection('c'), (e) => {
+                    assert.ok(e instanceof DataStore.QuotaExceededError)
+                    assert.equal(e.namespace, store.getNamespace())
+                    assert.equal(e.limit, 'maxCollections')
+                    assert.equal(e.max, 2)
+                    assert.equal(e.usage, 2)
+                    return true
+                })
+                await assert.rejects(store.getCollection('c').insertOne({ v: 1 }), DataStore.QuotaExceededError)
+                assert.deepEqual(await store.listCollections(), ['a', 'b'])
+            })
+
+            it('Should enforce maxDocuments on writes', async () => {
+                let collection = store.getCollection('a')
+                await collection.insertMany([{ v: 1 }, { v: 2 }])
+                await assert.rejects(collection.insertMany([{ v: 3 }, { v: 4 }]), DataStore.QuotaExceededError)
+                await collection.insertOne({ v: 3 })
+                await assert.rejects(collection.updateOne({ v: 4 }, { $set: { v: 4 } }, { upsert: true }), DataStore.QuotaExceededError)
+                await collection.updateOne({ v: 3 }, { $set: { v: 4 } })
+                assert.equal(await collection.countDocuments(), 3)
+            })
+
+            it('Should enforce maxBytes on writes', async () => {
+                await assert.rejects(store.getCollection('a').insertOne({ v: 'x'.repeat(2048) }), DataStore.QuotaExceededError)
+            })
+
+            it('Should enforce the quotas on bulk operations when they are executed', async () => {
+                let collection = store.getCollection('a')
+                await collection.insertMany([{ v: 1 }, { v: 2 }])
+
+                let bulk = collection.initializeUnorderedBulkOp()
+                bulk.insert({ v: 3 })
+                bulk.find({ v: 4 }).upsert().updateOne({ $set: { v: 4 } })
+                await assert.rejects(bulk.execute(), DataStore.QuotaExceededError)
+
+                let ordered = collection.initializeOrderedBulkOp()
+                await assert.rejects(ordered.insert({ v: 3 }).find({ v: 1 }).upsert().replaceOne({ v: 'x'.repeat(2048) }).execute(), DataStore.QuotaExceededError)
+                assert.equal(await collection.countDocuments(), 2)
+
+                let allowed = collection.initializeOrderedBulkOp()
+                allowed.insert({ v: 3 })
+                allowed.find({ v: 1 }).deleteOne()
+                await allowed.execute()
+                assert.equal(await collection.countDocuments(), 2)
+            })
+
+            it('Should enforce the quotas of parent DataStores on their children', async () => {
+                let child = await store.getDataStore('child', DataStore.SCOPE_COLLECTIONSONLY, { quota: { maxDocuments: 10 } })
+                await store.getCollection('a').insertMany([{ v: 1 }, { v: 2 }])
+                await child.getCollection('b').insertOne({ v: 3 })
+                await assert.rejects(child.getCollection('b').insertOne({ v: 4 }), (e) => {
+                    assert.ok(e instanceof DataStore.QuotaExceededError)
+                    assert.equal(e.namespace, store.getNamespace())
+                    return true
+                })
+            })
+
+            afterEach(async () => {
+                await rootDataStore.dropDataStore('quotas')
+            })
+        })
+
+        describe('withTransaction (standalone server)', () => {
+
+            it('Should fail with a TransactionsNotSupportedError', async () => {
+                let store = await rootDataStore.getDataStore('transactions')
+                await assert.rejects(store.withTransaction(async () => {}), (e) => {
+                    assert.ok(e instanceof DataStore.TransactionsNotSupportedError)
+                    assert.equal(e.namespace, store.getNamespace())
+                    return true
+                })
+            })
+        })
+
+        describe('Export and import', () => {
+
+            const path = require('path')
+            const os = require('os')
+            const fs = require('fs')
+            const { PassThrough, Readable } = require('stream')
+            const { ObjectId } = require('mongodb')
+
+            var source = null
+            var archiveFile = null
+            var documentId = null
+
+            before(async () => {
+                archiveFile = path.join(os.tmpdir(), `datastore-archive-${process.pid}.jsonl`)
+                source = await rootDataStore.getDataStore('exportSource', DataStore.SCOPE_DELEGATE)
+                let child = await source.getDataStore('child')
+
+                await source.setSchema('people', { bsonType: 'object', required: ['name'] })
+                let result = await source.getCollection('people').insertOne({ name: 'A', created: new Date(0), tags: ['x'] })
+                documentId = result.insertedId
+                await source.getCollection('people').createIndex({ name: 1 }, { unique: true })
+                await child.getCollection('items').insertMany([{ v: 1 }, { v: 2 }])
+            })
+
+            it('Should export every collection in the subtree to a file', async () => {
+                let summary = await source.exportDataStore(archiveFile)
+                assert.deepEqual(summary, { collections: 2, documents: 3 })
+
+                let lines = fs.readFileSync(archiveFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+                assert.equal(lines[0].format, 'morrigan.datastore.archive')
+                assert.equal(lines[0].namespace, source.getNamespace())
+                assert.deepEqual(lines[0].collections.map(c => c.name), ['child.items', 'people'])
+                assert.ok(lines[0].collections[1].options.validator)
+                assert.deepEqual(lines[0].collections[1].indexes.map(i => i.name), ['name_1'])
+                assert.deepEqual(lines[1].document.v, { $numberInt: '1' })
+            })
+
+            it('Should import the archive under a different namespace, preserving types, validators and indexes', async () => {
+                let target = await rootDataStore.getDataStore('exportTarget', DataStore.SCOPE_DELEGATE)
+                let summary = await target.importDataStore(archiveFile)
+
+                assert.deepEqual(summary, { namespace: source.getNamespace(), collections: 2, documents: 3 })
+                assert.deepEqual(await target.listCollections(), ['people'])
+                assert.deepEqual(await target.listDataStores(), ['child'])
+
+                let person = await target.getCollection('people').findOne({ _id: documentId })
+                assert.ok(person._id instanceof ObjectId)
+                assert.ok(person.created instanceof Date)
+                assert.deepEqual(person.tags, ['x'])
+
+                assert.ok((await target.getSchema('people')).schema)
+                await assert.rejects(target.getCollection('people').insertOne({ age: 1 }))
+                await assert.rejects(target.getCollection('people').insertOne({ name: 'A' }))
+            })
+
+            it("Should merge documents into existing collections in 'merge' mode", async () => {
+                let target = await rootDataStore.getDataStore('exportTarget', DataStore.SCOPE_DELEGATE)
+                await target.getCollection('people').updateOne({ _id: documentId }, { $set: { name: 'B' } })
+                await target.getCollection('people').insertOne({ name: 'C' })
+
+                await target.importDataStore(archiveFile, { mode: 'merge' })
+
+                assert.equal(await target.getCollection('people').countDocuments(), 2)
+                assert.equal((await target.getCollection('people').findOne({ _id: documentId })).name, 'A')
+            })
+
+            it("Should drop the existing collections first in 'replace' mode", async () => {
+                let target = await rootDataStore.getDataStore('exportTarget', DataStore.SCOPE_DELEGATE)
+                await target.getCollection('extra').insertOne({ v: 1 })
+
+                await target.importDataStore(archiveFile, { mode: 'replace' })
+
+                assert.deepEqual(await target.listCollections(), ['people'])
+                assert.equal(await target.getCollection('people').countDocuments(), 1)
+            })
+
+            it('Should write to and read from streams', async () => {
+                let stream = new PassThrough()
+                let chunks = []
+                stream.on('data', (chunk) => chunks.push(chunk))
+                await source.exportDataStore(stream)
+                stream.end()
+
+                let target = await rootDataStore.getDataStore('exportStream', DataStore.SCOPE_DELEGATE)
+                let summary = await target.importDataStore(Readable.from([Buffer.concat(chunks)]))
+                assert.equal(summary.documents, 3)
+            })
+
+            it(`Should not allow DataStores without the '${DataStore.SCOPE_DELEGATE}' scope to import child namespaces`, async () => {
+                let target = await rootDataStore.getDataStore('exportCollectionsOnly')
+                await assert.rejects(target.importDataStore(archiveFile), DataStore.ForbiddenOperationError)
+                assert.deepEqual(await target.listCollections(), [])
+            })
+
+            it('Should reject sources that are not DataStore archives', async () => {
+                let target = await rootDataStore.getDataStore('exportInvalid')
+                await assert.rejects(target.importDataStore(Readable.from(['{"hello":"world"}\n'])), DataStore.ArchiveFormatError)
+                await assert.rejects(target.importDataStore(Readable.from(['not json\n'])), DataStore.ArchiveFormatError)
+                await assert.rejects(target.importDataStore(Readable.from([])), DataStore.ArchiveFormatError)
+            })
+
+            after(async () => {
+                fs.rmSync(archiveFile, { force: true })
+                for (const namespace of ['exportSource', 'exportTarget', 'exportStream', 'exportCollectionsOnly', 'exportInvalid']) {
+                    await rootDataStore.dropDataStore(namespace)
+                }
+            })
+        })
+
+        describe('Indexes', () => {
+
+            var store = null
+
+            before(async () => {
+                store = await rootDataStore.getDataStore('indexes')
+                await store.getCollection('users').createIndex({ legacy: 1 })
+                await store.getCollection('users').createIndex({ email: 1 })
+            })
+
+            it('Should report the changes without making them in dry-run mode', async () => {
+                let report = await store.ensureIndexes('users', [{ key: { email: 1 }, unique: true }, { key: { name: 1 } }], { dryRun: true })
+                assert.deepEqual(report, { created: ['name_1'], changed: ['email_1'], dropped: [], unchanged: [], undeclared: ['legacy_1'] })
+
+                let indexes = await store.getCollection('users').indexes()
+                assert.deepEqual(indexes.map(i => i.name).sort(), ['_id_', 'email_1', 'legacy_1'])
+            })
+
+            it('Should create missing indexes, recreate changed indexes and drop undeclared indexes', async () => {
+                let report = await store.ensureIndexes('users', [{ key: { email: 1 }, unique: true }, { key: { name: 1 } }], { dropUndeclared: true })
+                assert.deepEqual(report, { created: ['name_1'], changed: ['email_1'], dropped: ['legacy_1'], unchanged: [], undeclared: [] })
+
+                let indexes = await store.getCollection('users').indexes()
+                assert.deepEqual(indexes.map(i => i.name).sort(), ['_id_', 'email_1', 'name_1'])
+                assert.equal(indexes.find(i => i.name === 'email_1').unique, true)
+            })
+
+            it('Should not change anything when the indexes match', async () => {
+                let report = await store.ensureIndexes('users', [{ key: { email: 1 }, unique: true }, { key: { name: 1 } }])
+                assert.deepEqual(report, { created: [], changed: [], dropped: [], unchanged: ['email_1', 'name_1'], undeclared: [] })
+            })
+
+            it('Should create the indexes of collections that do not exist yet', async () => {
+                let report = await store.ensureIndexes('sessions', [{ key: { createdAt: 1 }, name: 'expiry', expireAfterSeconds: 3600 }])
+                assert.deepEqual(report.created, ['expiry'])
+                assert.deepEqual(await store.listCollections(), ['sessions', 'users'])
+            })
+
+            it("Should only allow dry runs for DataStores with the 'readOnly' scope", async () => {
+                let readOnly = await rootDataStore.getDataStore('indexes', DataStore.SCOPE_READONLY)
+                let report = await readOnly.ensureIndexes('users', [{ key: { name: 1 } }], { dryRun: true })
+                assert.deepEqual(report.undeclared, ['email_1'])
+                await assert.rejects(readOnly.ensureIndexes('users', [{ key: { name: 1 } }]), DataStore.ForbiddenOperationError)
+            })
+
+            it('Should reject invalid specs', async () => {
+                await assert.rejects(store.ensureIndexes('users', [{ name: 'missingKey' }]), /Invalid index spec/)
+                await assert.rejects(store.ensureIndexes('users', [{ key: { a: 1 } }, { key: { a: 1 } }]), /declared more than once/)
+            })
+        })
+
+        describe('Revocation', () => {
+
+            var store = null
+
+            beforeEach(async () => {
+                store = await rootDataStore.getDataStore('revocation', DataStore.SCOPE_DELEGATE)
+            })
+
+            it('Should reject all calls to revoked DataStores, their children and their collections', async () => {
+                let child = await store.getDataStore('child', DataStore.SCOPE_DELEGATE)
+                let grandChild = await child.getDataStore('grandChild')
+                let collection = grandChild.getCollection('items')
+                await collection.insertOne({ v: 1 })
+
+                await store.revoke('child')
+
+                for (const s of [child, grandChild]) {
+                    assert.throws(() => s.getCollection('items'), DataStore.RevokedDataStoreError)
+                    await assert.rejects(s.listCollections(), DataStore.RevokedDataStoreError)
+                }
+                await assert.rejects(collection.findOne({}), (e) => e instanceof DataStore.RevokedDataStoreError && e.revokedNamespace === `global.revocation.child`)
+                await store.getCollection('own').insertOne({ v: 2 })
+            })
+
+            it('Should not affect DataStores issued after the revocation', async () => {
+                await store.getDataStore('child')
+                await store.revoke('child')
+                let reissued = await store.getDataStore('child')
+                assert.equal(await reissued.getCollection('items').countDocuments({}), 0)
+            })
+
+            it('Should allow a DataStore to revoke itself', async () => {
+                let child = await store.getDataStore('child')
+                let collection = child.getCollection('items')
+                await child.revoke()
+                await child.revoke()
+                await assert.rejects(collection.insertOne({ v: 1 }), DataStore.RevokedDataStoreError)
+                await assert.rejects(rootDataStore.revoke())
+            })
+
+            it('Should only allow delegates to revoke children', async () => {
+                let child = await rootDataStore.getDataStore('revocation', DataStore.SCOPE_COLLECTIONSONLY)
+                await assert.rejects(child.revoke('child'), DataStore.ForbiddenOperationError)
+            })
+
+            afterEach(async () => {
+                await rootDataStore.dropDataStore('revocation')
+            })
+        })
+
+        describe('Namespace registry', () => {
+
+            it('Should record namespaces when DataStores are issued', async () => {
+                let store = await rootDataStore.getDataStore('registry', DataStore.SCOPE_DELEGATE)
+                let child = await store.getDataStore('child', [DataStore.SCOPE_COLLECTIONSONLY, DataStore.SCOPE_READONLY])
+
+                let metadata = await child.getMetadata()
+                assert.equal(metadata.namespace, 'global.registry.child')
+                assert.equal(metadata.parent, 'global.registry')
+                assert.deepEqual(metadata.scope, [DataStore.SCOPE_COLLECTIONSONLY, DataStore.SCOPE_READONLY])
+                assert.ok(metadata.createdAt instanceof Date)
+
+                let record = await rootDataStore.listNamespaces({ filter: { _id: 'global.registry.child' } })
+                assert.equal(record.length, 1)
+                assert.equal(record[0].orphaned, false)
+            })
+
+            it('Should set and remove labels', async () => {
+                let store = await rootDataStore.getDataStore('registry')
+                await store.setLabels({ owner: 'billing', tier: 'gold' })
+                let metadata = await store.setLabels({ tier: null })
+                assert.deepEqual(metadata.labels, { owner: 'billing' })
+
+                let owned = await rootDataStore.listNamespaces({ filter: { 'labels.owner': 'billing' } })
+                assert.deepEqual(owned.map(e => e.namespace), ['global.registry'])
+            })
+
+            it('Should move and remove records with their namespaces', async () => {
+                let store = await rootDataStore.getDataStore('registry', DataStore.SCOPE_DELEGATE)
+                await (await store.getDataStore('child')).getCollection('items').insertOne({ v: 1 })
+
+                await rootDataStore.renameDataStore('registry', 'registry2')
+                let names = (await rootDataStore.listNamespaces({ orphaned: false })).map(e => e.namespace)
+                assert.ok(names.includes('global.registry2.child'))
+                assert.ok(!names.includes('global.registry.child'))
+
+                await rootDataStore.dropDataStore('registry2')
+                names = (await rootDataStore.listNamespaces()).map(e => e.namespace)
+                assert.ok(!names.some(name => name.startsWith('global.registry')))
+            })
+
+            it('Should only list namespaces on the root DataStore', async () => {
+                let store = await rootDataStore.getDataStore('registry', DataStore.SCOPE_DELEGATE)
+                assert.equal(store.listNamespaces, undefined)
+                await rootDataStore.dropDataStore('registry')
+            })
+        })
+
         after(async () => {
             await rootDataStore.discard({ dropDb: true })
             await server.stop()
         })
     })
 
+    describe('Transactions', () => {
+        var replSet = null
+        var rootDataStore = null
+        var store = null
+
+        before(async () => {
+            const { MongoMemoryReplSet } = await import('mongodb-memory-server')
+            replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+            rootDataStore = await DataStore.createDataStoreRoot(replSet.getUri())
+            store = await rootDataStore.getDataStore('transactions', DataStore.SCOPE_DELEGATE)
+            await store.createCollection('accounts')
+            await store.createCollection('ledger')
+            await store.getCollection('accounts').insertMany([{ _id: 'a', balance: 10 }, { _id: 'b', balance: 0 }])
+        })
+
+        it('Should commit changes to several collections together', async () => {
+            let result = await store.withTransaction(async (tx) => {
+                await tx.getCollection('accounts').updateOne({ _id: 'a' }, { $inc: { balance: -5 } })
+                await tx.getCollection('accounts').updateOne({ _id: 'b' }, { $inc: { balance: 5 } })
+                await tx.collection('ledger').insertOne({ from: 'a', to: 'b', amount: 5 })
+                return 'done'
+            })
+
+            assert.equal(result, 'done')
+            assert.equal((await store.getCollection('accounts').findOne({ _id: 'b' })).balance, 5)
+            assert.equal(await store.getCollection('ledger').countDocuments(), 1)
+        })
+
+        it('Should abort all changes if the function throws', async () => {
+            await assert.rejects(store.withTransaction(async (tx) => {
+                await tx.getCollection('accounts').updateOne({ _id: 'a' }, { $inc: { balance: -5 } })
+                await tx.getCollection('ledger').insertOne({ from: 'a', to: 'b', amount: 5 })
+                throw new Error('Abort')
+            }), /Abort/)
+
+            assert.equal((await store.getCollection('accounts').findOne({ _id: 'a' })).balance, 5)
+            assert.equal(await store.getCollection('ledger').countDocuments(), 1)
+        })
+
+        it('Should make reads inside the transaction see its own writes', async () => {
+            await store.withTransaction(async (tx) => {
+                await tx.getCollection('ledger').insertOne({ v: 'inside' })
+                assert.equal(await tx.getCollection('ledger').countDocuments({ v: 'inside' }), 1)
+                assert.equal(await store.getCollection('ledger').countDocuments({ v: 'inside' }), 0)
+            })
+        })
+
+        it('Should retry the function on transient transaction errors', async () => {
+            const { MongoError } = require('mongodb')
+            let attempts = 0
+
+            await store.withTransaction(async (tx) => {
+                attempts++
+                await tx.getCollection('ledger').insertOne({ v: 'retried' })
+                if (attempts === 1) {
+                    let error = new MongoError('Transient failure')
+                    error.addErrorLabel('TransientTransactionError')
+                    throw error
+                }
+            })
+
+            assert.equal(attempts, 2)
+            assert.equal(await store.getCollection('ledger').countDocuments({ v: 'retried' }), 1)
+        })
+
+        it("Should limit the transaction to the DataStore's own namespace", async () => {
+            await assert.rejects(store.withTransaction(async (tx) => {
+                tx.getCollection('child.accounts')
+            }), DataStore.InvalidCollectionNameError)
+        })
+
+        it('Should apply the scope of the DataStore to the collections in the transaction', async () => {
+            let readOnlyStore = await rootDataStore.getDataStore('transactions', DataStore.SCOPE_READONLY)
+            await assert.rejects(readOnlyStore.withTransaction(async (tx) => {
+                await tx.getCollection('ledger').insertOne({ v: 'forbidden' })
+            }), DataStore.ForbiddenOperationError)
+        })
+
+        after(async () => {
+            await rootDataStore.discard({ dropDb: true })
+            await replSet.stop()
+        })
+    })
+
+    describe('Change streams', () => {
+        var replSet = null
+        var rootDataStore = null
+        var store = null
+
+        before(async () => {
+            const { MongoMemoryReplSet } = await import('mongodb-memory-server')
+            replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+            rootDataStore = await DataStore.createDataStoreRoot(replSet.getUri())
+            store = await rootDataStore.getDataStore('streams', DataStore.SCOPE_DELEGATE)
+        })
+
+        it('Should only report changes under the namespace, with relative collection names', async () => {
+            let sibling = await rootDataStore.getDataStore('other')
+            let changeStream = await store.watch()
+            try {
+                await sibling.getCollection('items').insertOne({ v: 'sibling' })
+                await store.getCollection('items').insertOne({ v: 'own' })
+
+                let event = await changeStream.next()
+                assert.equal(event.operationType, 'insert')
+                assert.equal(event.ns.coll, 'items')
+                assert.equal(event.fullDocument.v, 'own')
+            } finally {
+                await changeStream.close()
+            }
+        })
+
+        it('Should not report changes under namespaces that only differ in case', async () => {
+            let upper = await rootDataStore.getDataStore('Case')
+            let lower = await rootDataStore.getDataStore('case')
+            let changeStream = await upper.watch()
+            try {
+                await lower.getCollection('items').insertOne({ v: 'lower' })
+                await upper.getCollection('items').insertOne({ v: 'upper' })
+                assert.equal((await changeStream.next()).fullDocument.v, 'upper')
+            } finally {
+                await changeStream.close()
+            }
+        })
+
+        it("Should include child namespaces for DataStores with the 'delegate' scope", async () => {
+            let child = await store.getDataStore('child')
+            let delegateStream = await store.watch()
+            let childStream = await child.watch()
+            try {
+                await child.getCollection('items').insertOne({ v: 'child' })
+                assert.equal((await delegateStream.next()).ns.coll, 'child.items')
+                assert.equal((await childStream.next()).ns.coll, 'items')
+            } finally {
+                await delegateStream.close()
+                await childStream.close()
+            }
+        })
+
+        it('Should apply the pipeline to the rewritten events', async () => {
+            let changeStream = await store.watch([{ $match: { 'ns.coll': 'filtered' } }])
+            try {
+                await store.getCollection('items').insertOne({ v: 'skipped' })
+                await store.getCollection('filtered').insertOne({ v: 'matched' })
+                assert.equal((await changeStream.next()).fullDocument.v, 'matched')
+            } finally {
+                await changeStream.close()
+            }
+        })
+
+        it('Should resume after the last committed resume token', async () => {
+            let changeStream = await store.watch([], { resumeTokenKey: 'consumer' })
+            await store.getCollection('queue').insertOne({ v: 1 })
+            assert.equal((await changeStream.next()).fullDocument.v, 1)
+            await changeStream.commitResumeToken()
+            await changeStream.close()
+
+            await store.getCollection('queue').insertOne({ v: 2 })
+
+            changeStream = await store.watch([], { resumeTokenKey: 'consumer' })
+            try {
+                assert.equal((await changeStream.next()).fullDocument.v, 2)
+            } finally {
+                await changeStream.close()
+            }
+        })
+
+        it('Should not be allowed for write-only DataStores', async () => {
+            let writeOnly = await rootDataStore.getDataStore('streams', DataStore.SCOPE_WRITEONLY)
+            await assert.rejects(writeOnly.watch(), DataStore.ForbiddenOperationError)
+        })
+
+        after(async () => {
+            await rootDataStore.discard({ dropDb: true })
+            await replSet.stop()
+        })
+    })
+
 })
\ No newline at end of file
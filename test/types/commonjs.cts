@@ -0,0 +1,125 @@
+import DataStore = require('@adicitus/morrigan.utils.datastore')
+import type { ChangeStreamDocument } from 'mongodb'
+
+interface User {
+    name: string
+    email: string
+}
+
+const main = async () => {
+    let root: DataStore.RootDataStore = await DataStore(DataStore.MEMORY_CONNECTION_STRING, { dbName: DataStore.DEFAULT_DBNAME, audit: { writes: true } })
+    let other = await DataStore.createDataStoreRoot(':memory:', { retry: { retries: 3, onRetry: ({ attempt, delay }) => console.log(attempt, delay) } })
+    let secured = await DataStore.createDataStoreRoot('mongodb://db', {
+        clientOptions: { tls: true, maxPoolSize: 10, appName: 'service' },
+        metrics: { slowCommandMS: 250, onSlowCommand: ({ namespace, collection, durationMS }) => console.warn(namespace, collection, durationMS) },
+        credentials: { username: { env: 'DB_USER' }, password: { file: '/run/secrets/db_password' }, authSource: 'admin', mechanism: 'SCRAM-SHA-256' }
+    })
+    // @ts-expect-error
+    await DataStore.createDataStoreRoot('mongodb://db', { credentials: { password: { secret: 'db_password' } } })
+    // @ts-expect-error
+    await DataStore.createDataStoreRoot('mongodb://db', { clientOptions: { maxPoolSize: 'ten' } })
+    let encrypted = await DataStore.createDataStoreRoot(':memory:', {
+        encryption: { keyProvider: async () => ({ currentKeyId: 'k1', keys: { k1: Buffer.alloc(32) } }) }
+    })
+    // @ts-expect-error
+    await DataStore.createDataStoreRoot(':memory:', { encryption: { keyProvider: async () => ({ keys: {} }) } })
+    await encrypted.reloadEncryptionKeys?.()
+
+    root.on('connected', (event) => event.topology?.type)
+    root.on('error', (error) => error.message)
+    let report: DataStore.HealthReport = await root.healthCheck({ timeoutMS: 1000 })
+    let ok: boolean = report.ok
+    await root.getAuditLog?.({ namespace: 'global.A' }, { limit: 10 })
+    let orphans: DataStore.NamespaceEntry[] = await root.listNamespaces({ orphaned: true })
+    let metrics = await root.getMetrics?.()
+    if (metrics) {
+        let text: string = DataStore.formatPrometheusMetrics(metrics, { prefix: 'service' })
+        let errors: number = metrics.commands[0].errors
+    }
+    await root.listNamespaces({ filter: { 'labels.owner': 'billing' } })
+
+    // Delegate scopes give access to the methods that manage child namespaces:
+    let delegate = await root.getDataStore('A', DataStore.SCOPE_DELEGATE)
+    let readOnlyDelegate = await delegate.getDataStore('B', ['delegate', 'readOnly'], { quota: { maxDocuments: 10 } })
+    let grandChild = await readOnlyDelegate.getDataStore('C')
+    await delegate.getDataStore('K', 'collectionsOnly', { readConcern: 'majority', writeConcern: { w: 'majority', wtimeoutMS: 5000 } })
+    await delegate.listDataStores()
+    await delegate.lockSchema('B', 'users', { bsonType: 'object' }, { level: 'moderate' })
+    let dropped: string[] = await delegate.dropDataStore('B')
+    await delegate.renameDataStore('B', 'D')
+    await delegate.revoke('B')
+
+    // Other scopes do not:
+    let collectionsOnly = await root.getDataStore('E', DataStore.SCOPE_COLLECTIONSONLY)
+    let defaultScope = await root.getDataStore('F')
+    let readOnly = await root.getDataStore('G', [DataStore.SCOPE_COLLECTIONSONLY, DataStore.SCOPE_READONLY])
+    // @ts-expect-error
+    collectionsOnly.getDataStore('H')
+    // @ts-expect-error
+    defaultScope.listDataStores()
+    // @ts-expect-error
+    readOnly.dropDataStore('H')
+    // @ts-expect-error
+    grandChild.getDataStore('H')
+    // @ts-expect-error
+    await root.getDataStore('H', 'admin')
+
+    // If the scope is not known, the delegate methods may be missing:
+    let scope: DataStore.Scope = Math.random() > 0.5 ? 'delegate' : 'readOnly'
+    let unknown = await root.getDataStore('I', scope)
+    // @ts-expect-error
+    unknown.getDataStore('J')
+    await unknown.getDataStore?.('J')
+
+    // Collections are typed using the driver's types:
+    let users = collectionsOnly.getCollection<User>('users')
+    let user = await users.findOne({ name: 'a' })
+    let email: string | undefined = user?.email
+    // @ts-expect-error
+    await users.insertOne({ name: 'b' })
+    let creds = collectionsOnly.getCollection<User & { token: string }>('creds', { encrypt: ['token'] })
+    let reencrypted: DataStore.ReencryptReport = await collectionsOnly.reencrypt('creds', { encrypt: ['token'] })
+    // @ts-expect-error
+    await collectionsOnly.reencrypt('creds')
+    await (await collectionsOnly.createCollection<User>('admins')).insertOne({ name: 'c', email: 'c@example.com' })
+
+    let indexReport: DataStore.EnsureIndexesReport = await collectionsOnly.ensureIndexes('users', [{ key: { email: 1 }, unique: true }], { dryRun: true })
+    let migration: DataStore.MigrationReport = await collectionsOnly.migrate([{ version: 1, up: async (s) => s.getCollection('settings').insertOne({ v: 1 }) }], { target: 1 })
+    let count: number = await collectionsOnly.withTransaction(async (tx) => tx.getCollection('users').countDocuments({}))
+    let changeStream = await collectionsOnly.watch<ChangeStreamDocument<User>>([], { resumeTokenKey: 'worker', fullDocument: 'updateLookup' })
+    await changeStream.commitResumeToken?.()
+    let usage: DataStore.Usage = await collectionsOnly.getUsage()
+    let quota: DataStore.Quota | null = collectionsOnly.getQuota()
+    let metadata: DataStore.NamespaceMetadata | null = await collectionsOnly.getMetadata()
+    await collectionsOnly.setLabels({ owner: 'billing', tier: null })
+    // @ts-expect-error
+    await collectionsOnly.listNamespaces()
+    let scopes: DataStore.Scope[] = collectionsOnly.getScope()
+    let namespaceOk: boolean = DataStore.VALID_NAMESPACE_FORMAT.test(collectionsOnly.getNamespace())
+    await collectionsOnly.revoke()
+
+    try {
+        await collectionsOnly.listCollections()
+    } catch (e) {
+        if (e instanceof DataStore.RevokedDataStoreError) {
+            let revoked: string = e.revokedNamespace
+        }
+        if (e instanceof DataStore.EncryptionError) {
+            let encryptedNamespace: string = e.namespace
+        }
+        if (e instanceof DataStore.ForbiddenOperationError) {
+            let rejected: DataStore.Scope[] = e.scope
+        }
+    }
+
+    await other.discard()
+    await secured.discard()
+    await encrypted.discard()
+    await root.discard({ dropDb: true })
+    // @ts-expect-error
+    await root.discard({ dropDB: true })
+    // @ts-expect-error
+    await delegate.discard()
+}
+
+export = main
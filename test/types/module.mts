@@ -0,0 +1,32 @@
+import DataStore, { createDataStoreRoot, SCOPE_DELEGATE, SCOPE_READONLY, DiscardedDataStoreError, EncryptionError } from '@adicitus/morrigan.utils.datastore'
+import type { RootDataStore, DataStore as DataStoreType, Scope, EncryptionKeys } from '@adicitus/morrigan.utils.datastore'
+
+let root: RootDataStore = await DataStore(':memory:')
+let keys: EncryptionKeys = { currentKeyId: 'k1', keys: { k1: Buffer.alloc(32).toString('base64') } }
+let other = await createDataStoreRoot(':memory:', { encryption: { keyProvider: () => keys } })
+
+let delegate: DataStoreType<'delegate'> = await root.getDataStore('A', SCOPE_DELEGATE)
+let child: DataStoreType<['collectionsOnly', 'readOnly']> = await delegate.getDataStore('B', ['collectionsOnly', SCOPE_READONLY])
+// @ts-expect-error
+child.getDataStore('C')
+let scopes: Scope[] = child.getScope()
+
+let dynamicScopes: Scope[] = ['delegate']
+let dynamic = await delegate.getDataStore('D', dynamicScopes)
+// @ts-expect-error
+dynamic.listDataStores()
+await dynamic.listDataStores?.()
+
+await other.discard()
+await root.discard()
+
+try {
+    root.getCollection('users')
+} catch (e) {
+    if (e instanceof DiscardedDataStoreError) {
+        let namespace: string = e.namespace
+    }
+    if (e instanceof EncryptionError) {
+        let message: string = e.message
+    }
+}
@@ -0,0 +1,85 @@
+const { wrapCollection, signalError } = require('./collections')
+const { TransactionsNotSupportedError } = require('./errors')
+
+/**
+ * Position of the options argument for each of the Collection methods that can be used inside a transaction.
+ */
+const optionsArgumentIndex = {
+    aggregate: 1,
+    bulkWrite: 1,
+    countDocuments: 1,
+    createIndex: 1,
+    createIndexes: 1,
+    deleteMany: 1,
+    deleteOne: 1,
+    distinct: 2,
+    drop: 0,
+    dropIndex: 1,
+    dropIndexes: 0,
+    estimatedDocumentCount: 0,
+    find: 1,
+    findOne: 1,
+    findOneAndDelete: 1,
+    findOneAndReplace: 2,
+    findOneAndUpdate: 2,
+    indexes: 0,
+    indexExists: 1,
+    indexInformation: 0,
+    insertMany: 1,
+    insertOne: 1,
+    isCapped: 0,
+    listIndexes: 0,
+    options: 0,
+    replaceOne: 2,
+    updateMany: 2,
+    updateOne: 2
+}
+
+/**
+ * Wraps a collection so that every method call is made using the given session.
+ *
+ * Methods that cannot be bound to a session (e.g. bulk operation builders) are rejected.
+ *
+ * @param {Collection} collection Collection to wrap.
+ * @param {ClientSession} session The session to bind.
+ * @returns The wrapped collection.
+ */
+const bindSession = (collection, session) => {
+    return wrapCollection(collection, (method, args, invoke) => {
+        let index = optionsArgumentIndex[method]
+        if (index === undefined) {
+            return signalError(method, new Error(`Collection method '${method}' cannot be used inside a transaction.`))
+        }
+
+        let boundArgs = args.slice()
+        while (boundArgs.length <= index) {
+            boundArgs.push(undefined)
+        }
+        boundArgs[index] = Object.assign({}, boundArgs[index], { session })
+        return invoke(boundArgs)
+    })
+}
+
+/**
+ * Ensures that the backend supports transactions (for MongoDB, the server must be a replica set member or a mongos).
+ *
+ * The result is cached in the root state.
+ *
+ * @param {object} state State of the root DataStore.
+ * @param {string} namespace Namespace of the DataStore that attempted to start the transaction.
+ * @throws TransactionsNotSupportedError if the backend does not support transactions.
+ */
+const requireTransactionSupport = async (state, namespace) => {
+    if (state.transactionsSupported === undefined) {
+        state.transactionsSupported = await state.backend.supportsTransactions()
+    }
+
+    if (!state.transactionsSupported) {
+        throw new TransactionsNotSupportedError(namespace)
+    }
+}
+
+module.exports = {
+    bindSession,
+    requireTransactionSupport
+}
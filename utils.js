@@ -0,0 +1,26 @@
+/**
+ * Small helpers shared by the modules of the package.
+ */
+
+/**
+ * Escapes any characters with special meaning in regular expressions.
+ * @param {string} str String to escape.
+ * @returns The escaped string.
+ */
+const escapeRegExp = (str) => {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Waits for the given amount of time.
+ * @param {number} ms Time to wait, in milliseconds.
+ * @returns Promise that resolves once the time has passed.
+ */
+const sleep = (ms) => {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+module.exports = {
+    escapeRegExp,
+    sleep
+}